@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Reprocesses the files already in a folder and the folders below it, such as a
+ * folder the skill was activated on after files were added to it, or after the
+ * skill configuration changed.
+ *
+ * Usage: node bin/backfill.js <folderId> --skill-id <id> [--concurrency 4] [--checkpoint <file>] [--dry-run]
+ *        [--overwrite-unrecorded]
+ *
+ * Box is called with the skill's service account, configured as for the worker
+ * function (BOX_JWT_CONFIG, or BOX_CLIENT_ID, BOX_CLIENT_SECRET and BOX_ENTERPRISE_ID).
+ * Set SKILL_IDEMPOTENCY_TABLE to share what the skill last wrote to each file with the
+ * deployed skill. Only warnings and errors are logged unless LOG_LEVEL says otherwise.
+ * A summary of the outcomes is printed at the end; a dry run prints the metadata
+ * changes each file would get instead of making them. With --overwrite-unrecorded,
+ * metadata values the skill has no record of writing are replaced instead of kept
+ * as manual edits, for files it processed before it recorded what it wrote.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { parseArgs } = require('util');
+const { getServiceClient } = require('../lib/auth');
+const { formatReport, runBackfill } = require('../lib/backfill');
+const { loadConfig } = require('../lib/config');
+const { terminateOcrEngines } = require('../lib/extraction');
+const { createIdempotencyStore } = require('../lib/idempotency');
+const pipelineSteps = require('../lib/pipeline/steps');
+
+const USAGE =
+    'Usage: node bin/backfill.js <folderId> --skill-id <id> [--concurrency 4] [--checkpoint <file>] [--dry-run] ' +
+    '[--overwrite-unrecorded]';
+
+const main = async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'skill-id': { type: 'string' },
+            concurrency: { type: 'string', default: '4' },
+            checkpoint: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            'overwrite-unrecorded': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const concurrency = Number(values.concurrency);
+    const valid = positionals.length === 1 && values['skill-id'] && Number.isInteger(concurrency) && concurrency > 0;
+    if (values.help || !valid) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const client = getServiceClient();
+    if (!client) {
+        throw new Error(
+            'The backfill needs a service account: set BOX_JWT_CONFIG, or BOX_CLIENT_ID, BOX_CLIENT_SECRET and BOX_ENTERPRISE_ID'
+        );
+    }
+    const dryRun = values['dry-run'];
+    let backfill;
+    try {
+        backfill = await runBackfill({
+            client,
+            folderId: positionals[0],
+            skillId: values['skill-id'],
+            skillConfig: loadConfig({ stepNames: Object.keys(pipelineSteps) }),
+            idempotencyStore: createIdempotencyStore(),
+            concurrency,
+            checkpointPath: values.checkpoint,
+            dryRun,
+            overwriteUnrecorded: values['overwrite-unrecorded'],
+            onResult: (result) => console.error(`${result.status}: ${result.name} (${result.fileId})`)
+        });
+    } finally {
+        // The OCR worker thread would keep the command from exiting
+        await terminateOcrEngines();
+    }
+    console.log(formatReport(backfill, { dryRun }));
+    if (backfill.summary.failed > 0) {
+        process.exitCode = 1;
+    }
+};
+
+main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+});
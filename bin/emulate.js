@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Runs the skill locally against a mock Box API, without Box or AWS.
+ *
+ * Usage: node bin/emulate.js <file> [--document-type "Event Plan"] [--extracted-text <file>] [--file-id <id>]
+ *
+ * The file is served by the mock as the uploaded file, with the given document
+ * type set on its routing metadata. The skill's response, the skill_invocations
+ * calls it made and the metadata it wrote are printed as JSON. Only warnings and
+ * errors are logged unless LOG_LEVEL says otherwise, so that the log lines do not
+ * get mixed into the JSON.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createMockBoxApi, runEmulation } = require('../lib/emulator');
+const { loadConfig } = require('../lib/config');
+const { terminateOcrEngines } = require('../lib/extraction');
+
+const USAGE =
+    'Usage: node bin/emulate.js <file> [--document-type "Event Plan"] [--extracted-text <file>] [--file-id <id>]';
+
+const main = async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'document-type': { type: 'string', default: 'Event Plan' },
+            'extracted-text': { type: 'string' },
+            'file-id': { type: 'string', default: '12345' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const config = loadConfig();
+    const routingTemplate = config.templates[config.routing.template];
+    const filePath = path.resolve(positionals[0]);
+    const representations = {};
+    if (values['extracted-text']) {
+        representations.extracted_text = fs.readFileSync(path.resolve(values['extracted-text']));
+    }
+
+    const mockBoxApi = createMockBoxApi();
+    await mockBoxApi.start();
+    try {
+        const result = await runEmulation({
+            mockBoxApi,
+            file: {
+                id: values['file-id'],
+                name: path.basename(filePath),
+                content: fs.readFileSync(filePath),
+                representations,
+                metadata: {
+                    [`${routingTemplate.scope}/${routingTemplate.templateKey}`]: {
+                        [config.routing.field]: values['document-type']
+                    }
+                }
+            }
+        });
+        const metadata = Object.values(config.templates).reduce((instances, template) => {
+            const instance = mockBoxApi.getMetadata(values['file-id'], template.scope, template.templateKey);
+            if (instance) instances[`${template.scope}.${template.templateKey}`] = instance;
+            return instances;
+        }, {});
+        console.log(
+            JSON.stringify(
+                {
+                    response: result.response,
+                    skillInvocations: result.skillInvocations.map((call) => call.body),
+                    metadata
+                },
+                null,
+                2
+            )
+        );
+    } finally {
+        // The OCR worker thread would keep the command from exiting
+        await Promise.all([mockBoxApi.close(), terminateOcrEngines()]);
+    }
+};
+
+main().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+});
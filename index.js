@@ -1,97 +1,106 @@
 'use strict';
 
-// Import FilesReader and SkillsWriter classes from skills-kit-2.0.js library
-const { FilesReader, SkillsWriter, SkillsErrorEnum } = require('./skills-kit-2.0');
-const Box = require('box-node-sdk');
+const { runWithDeadline } = require('./skills-kit-2.0');
+const { getServiceClient } = require('./lib/auth');
+const { loadConfig } = require('./lib/config');
+const { saveErrorCard, toHttpResponse, toSkillError } = require('./lib/errors');
+const { InvocationStatus, createIdempotencyStore, getInvocation } = require('./lib/idempotency');
+const { readInboundSettings, validateRequest } = require('./lib/inbound');
+const pipelineSteps = require('./lib/pipeline/steps');
+const { logger, runWithContext } = require('./lib/logger');
+const { getLogContext, isShadowRun, processInvocation, readInvocation } = require('./lib/processor');
+const { createQueue, parseSqsEvent } = require('./lib/queue');
 
-module.exports.handler = async (event, context, callback) => {  
-        const filesReader = new FilesReader(event.body);
-        const skillsWriter = new SkillsWriter(filesReader.getFileContext());
-        try{
-            //Validate Bpx Signature Keys So Bad People Don't Use Your Endpoint
-            let isValid = Box.validateWebhookMessage(event.body, event.headers, process.env.box_primary_key, process.env.box_secondary_key);
-            if(isValid){
+// Load and validate the skill configuration on cold start, so a misconfigured
+// deployment fails here instead of on the first request.
+const skillConfig = loadConfig({ stepNames: Object.keys(pipelineSteps) });
 
-                // THE BELOW CODE IS COMMENTED OUT BUT CAN BE USED INSTEAD OF OR IN CONJUCTION WITH METADATA CARD CODE BELOW
+// Records the outcome of each invocation, so that redeliveries are not processed twice.
+const idempotencyStore = createIdempotencyStore();
 
-                //SKILLS CARDS EXAMPLES
-                //You can use this code to save a temporary processing skills card if using the skills card option
-                //await skillsWriter.saveProcessingCard();
+// Invocations are processed by the worker function through SQS when SKILL_QUEUE_URL
+// is set, and by an in-process worker otherwise (local runs and tests).
+const queue = createQueue({
+    worker: (message) =>
+        processInvocation(message.body, skillConfig, idempotencyStore, { serviceClient: getServiceClient() })
+});
 
-                //DO MACHINE LEARNING THINGS HERE 
-        
-                //const mockListOfDiscoveredKeywords = [{ text: 'file' }, { text: 'associated' }, { text: 'keywords' }];
-                //const mockListOfDiscoveredTranscripts = [{ text: `This is a sentence/transcript card` }];
-                // const mockListOfDiscoveredFaceWithPublicImageURI = [
-                //     {
-                //         image_url: 'https://seeklogo.com/images/B/box-logo-646A3D8C91-seeklogo.com.png',
-                //         text: `Image hover/placeholder text if image doesn't load`
-                //     }
-                // ];
-                // const mockListOfTranscriptsWithAppearsAtForPlaybackFiles = [
-                //     {
-                //         text: 'Timeline data can be shown in any card type',
-                //         appears: [{ start: 1, end: 2 }]
-                //     },
-                //     {
-                //         text: "Just add 'appears' field besides any 'text', with start and end values in seconds",
-                //         appears: [{ start: 3, end: 4 }]
-                //     }
-                // ];
-        
-                // Turn your data into correctly formatted card jsons using SkillsWriter.
-                // The cards will appear in UI in same order as they are passed in a list.
-                //const cards = [];
-                //cards.push(await skillsWriter.createFacesCard(mockListOfDiscoveredFaceWithPublicImageURI, null, 'Icons')); // changing card title to non-default 'Icons'.
-                //cards.push(skillsWriter.createTopicsCard(mockListOfDiscoveredKeywords));
-                // cards.push(skillsWriter.createTranscriptsCard(mockListOfDiscoveredTranscripts));
-                // cards.push(skillsWriter.createTranscriptsCard(mockListOfTranscriptsWithAppearsAtForPlaybackFiles, 5)); // for timeline total playtime seconds of file also needs to be passed.
-        
-                // Save the cards to Box in a single calls to show in UI.
-                // Incase the skill is invoked on a new version upload of the same file,
-                // this call will override any existing skills cards, data or error, on Box file preview.
-                // console.log(`cards ${JSON.stringify(cards)}`);
-                //await skillsWriter.saveDataCards(cards);
-                // Check to see if the right metadata template is present on the file
+// The skills engine expects a response within 10 seconds. Box API calls made by the handler
+// stop retrying after this long, so that it can still answer in time.
+const ACKNOWLEDGE_DEADLINE_MS = 8 * 1000;
 
-                try {
-                    console.log(`Getting skills for file id ${skillsWriter.fileId}`);
-                    let metadata = await skillsWriter.fileWriteClient.files.getMetadata(
-                        skillsWriter.fileId, 
-                        'enterprise',
-                        'eventSubmissionDocument');
-                    console.log(`Metadata: ${JSON.stringify(metadata)}`);
-                    if (metadata.documentType === 'Event Plan') {
-                        console.log('Event Submissions Document');
-                        await skillsWriter.fileWriteClient.files.setMetadata(
-                            skillsWriter.fileId,
-                            'enterprise',
-                            'eventDetails',
-                            { participantCount: 500 }
-                        );
-                        console.log("Skill process completed.")
-                        // Skills engine requires a 200 response within 10 seconds of sending an event.
-                        callback(null, { statusCode: 200, body: 'Box event was processed by skill' });
-                            }
-                    else {
-                        console.log('Not a Event Submissions Document');
-                        callback(null, { statusCode: 200, body: 'Not a Event Submissions Document' });
-                    }
-                }
-                catch(error) {
-                    console.log(`Failed to get skill error: ${error.message}`);
-                    callback(null, { statusCode: 400, body: 'Something went wrong. The process will retry via exponential backoff.' });
+module.exports.handler = async (event, context, callback) => {  
+        let body;
+        let invocation;
+        try {
+            // Nothing in the request is read, and Box is not called, before the request passes
+            // the signature, delivery and schema checks
+            body = await validateRequest(event, Object.assign(readInboundSettings(), { store: idempotencyStore }));
+            // FilesReader and SkillsWriter for the file the skill was invoked on
+            invocation = readInvocation(body, skillConfig.cards);
+        } catch (error) {
+            const skillError = toSkillError(error);
+            logger.warn('Rejected skill invocation', { error: skillError, statusCode: skillError.statusCode });
+            callback(null, toHttpResponse(skillError));
+            return;
+        }
+        const { filesReader, skillsWriter } = invocation;
+        // Every log line written while handling the invocation carries its request, skill and file ids
+        const logContext = Object.assign(getLogContext(filesReader), { step: 'acknowledge' });
+        await runWithDeadline(Date.now() + ACKNOWLEDGE_DEADLINE_MS, () => runWithContext(logContext, async () => {
+            const span = logger.startSpan('handle invocation');
+            try{
+                // A redelivery of an invocation that already succeeded must not replace its cards
+                // with a processing card again.
+                const invocation = await getInvocation(idempotencyStore, filesReader.getFileContext());
+                if (invocation && invocation.status === InvocationStatus.SUCCEEDED) {
+                    logger.info('Invocation was already processed');
+                    callback(null, { statusCode: 200, body: 'Box event was already processed by skill' });
+                    span.end({ statusCode: 200 });
+                    return;
                 }
 
-            } else {
-                console.log('Keys Were Not Valid')
-                callback(null, { statusCode: 401, body: 'Unauthorized' });
+                // Show a processing card and hand the invocation to the worker. The skills engine
+                // requires a 200 response within 10 seconds of sending an event, so nothing slow
+                // (extraction, representation polling) may happen here. Documents routed to a
+                // pipeline in shadow mode keep the cards they have.
+                if (!(await isShadowRun({ filesReader, skillsWriter }, skillConfig))) {
+                    await skillsWriter.saveProcessingCard();
+                }
+                await queue.send({ body });
+                logger.info('Queued skill invocation');
+                callback(null, { statusCode: 200, body: 'Box event was queued for processing by skill' });
+                span.end({ statusCode: 200 });
+            } catch (error) {
+                const skillError = toSkillError(error);
+                logger.error('Skill processing failed', { error: skillError });
+                await saveErrorCard(skillsWriter, skillError);
+                const response = toHttpResponse(skillError);
+                callback(null, response);
+                span.end({ statusCode: response.statusCode, error: skillError });
             }
-        } catch (error) {
-            await skillsWriter.saveErrorCard(SkillsErrorEnum.UNKNOWN,"Something went wrong. It will retry again in a few minutes.");
-            console.error(
-                `Skill processing failed for file: ${filesReader.getFileContext().fileId} with error: ${error.message}`
-            );
-            callback(null, { statusCode: 400, body: 'Something went wrong. The process will retry via exponential backoff.' });
+        }));
+};
+
+// Time kept back from the worker's timeout for writing metadata and saving cards once the document is read
+const WORKER_SAVE_MARGIN_MS = 30 * 1000;
+// Time kept back from the worker's timeout for saving an error card once Box API calls stop retrying
+const WORKER_REQUEST_MARGIN_MS = 5 * 1000;
+
+/**
+ * Worker function subscribed to the skill queue. Runs with a longer timeout than the
+ * HTTP handler and does the actual processing, saving the resulting cards or an error card.
+ */
+module.exports.worker = async (event, context) => {
+        for (const message of parseSqsEvent(event)) {
+            const endsAt = Date.now() + context.getRemainingTimeInMillis();
+            await processInvocation(message.body, skillConfig, idempotencyStore, {
+                deadline: endsAt - WORKER_SAVE_MARGIN_MS,
+                requestDeadline: endsAt - WORKER_REQUEST_MARGIN_MS,
+                serviceClient: getServiceClient()
+            });
         }
 };
+
+module.exports.queue = queue;
+module.exports.idempotencyStore = idempotencyStore;
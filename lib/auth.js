@@ -0,0 +1,141 @@
+'use strict';
+
+const { getServiceAccountClient } = require('../skills-kit-2.0');
+const { AuthenticationFailedError, TokenExpiredError, toSkillError } = require('./errors');
+const { logger } = require('./logger');
+
+// How long past the deadline of the work the invocation's tokens must stay valid, for writing
+// the metadata and saving the cards
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Service account client of a warm Lambda, kept so that its access token is reused
+let serviceAccount = null;
+
+/**
+ * Reads the service account settings of the skill from the environment: BOX_JWT_CONFIG
+ * holding the Box app's config.json for JWT, or BOX_CLIENT_ID, BOX_CLIENT_SECRET and
+ * BOX_ENTERPRISE_ID for client credentials.
+ *
+ * @param {Object} [env] environment variables
+ * @return {Object|null} options for getServiceAccountClient(), null when no service account is configured
+ */
+const readServiceAccountSettings = function readServiceAccountSettings(env = process.env) {
+    if (env.BOX_JWT_CONFIG) {
+        try {
+            return { jwtConfig: JSON.parse(env.BOX_JWT_CONFIG) };
+        } catch (e) {
+            // the parse error quotes the configuration, which holds the private key
+            throw new Error('BOX_JWT_CONFIG is not valid JSON');
+        }
+    }
+    if (env.BOX_CLIENT_ID && env.BOX_CLIENT_SECRET && env.BOX_ENTERPRISE_ID) {
+        return { clientID: env.BOX_CLIENT_ID, clientSecret: env.BOX_CLIENT_SECRET, enterpriseID: env.BOX_ENTERPRISE_ID };
+    }
+    return null;
+};
+
+/**
+ * Returns the Box client of the skill's service account, built once for the configured
+ * settings, or null when no service account is configured.
+ *
+ * @param {Object} [env] environment variables, see readServiceAccountSettings()
+ * @return {BoxClient|null}
+ */
+const getServiceClient = function getServiceClient(env = process.env) {
+    const settings = readServiceAccountSettings(env);
+    if (!settings) return null;
+    const key = JSON.stringify(settings);
+    if (!serviceAccount || serviceAccount.key !== key) {
+        serviceAccount = { key, client: getServiceAccountClient(settings) };
+    }
+    return serviceAccount.client;
+};
+
+/** Makes the invocation's FilesReader and SkillsWriter call Box with the service account client */
+const switchClients = function switchClients(invocation, serviceClient) {
+    invocation.filesReader.useClient(serviceClient);
+    invocation.skillsWriter.useClient(serviceClient);
+    invocation.usesServiceAccount = true;
+};
+
+/**
+ * Switches the invocation's FilesReader and SkillsWriter to the service account client.
+ * Returns false when there is no service account, or the invocation already uses it.
+ */
+const useServiceAccount = function useServiceAccount(invocation, serviceClient, reason) {
+    if (!serviceClient || invocation.usesServiceAccount) return false;
+    switchClients(invocation, serviceClient);
+    logger.warn('Switching to the service account', { reason, tokenExpiresAt: invocation.filesReader.tokenExpiresAt });
+    return true;
+};
+
+/**
+ * Makes sure the invocation can reach Box until its work is done. When the invocation's
+ * tokens expire before the deadline, the service account is used instead. Without a
+ * service account, tokens that have already expired fail the invocation, while tokens
+ * that are still valid are used for as long as they last. Invocations without tokens of
+ * their own, such as the ones the backfill builds, use the service account from the start.
+ *
+ * @param {Object} invocation { filesReader, skillsWriter }, see readInvocation() in ./processor
+ * @param {Object} [options]
+ * @param {BoxClient} [options.serviceClient] service account client, see getServiceClient()
+ * @param {number} [options.deadline] time (ms since epoch) by which the document must be read
+ * @param {boolean} [options.useServiceAccount] use the service account instead of the invocation's tokens
+ * @throws {AuthenticationFailedError} when the tokens have expired, or the service account is to be
+ *                                     used, and there is no service account
+ */
+const ensureAccess = function ensureAccess(invocation, options = {}) {
+    const { filesReader } = invocation;
+    if (options.useServiceAccount) {
+        if (!options.serviceClient) {
+            throw new AuthenticationFailedError('The invocation has no tokens and no service account is configured');
+        }
+        switchClients(invocation, options.serviceClient);
+        return;
+    }
+    const workDoneBy = Math.max(options.deadline || 0, Date.now()) + TOKEN_EXPIRY_MARGIN_MS;
+    if (!filesReader.isTokenExpired(workDoneBy)) return;
+    if (useServiceAccount(invocation, options.serviceClient, 'Invocation tokens expire before the work is done')) return;
+    if (filesReader.isTokenExpired()) {
+        throw new AuthenticationFailedError('Invocation tokens have expired and no service account is configured');
+    }
+    logger.warn('Invocation tokens expire before the work is done and no service account is configured', {
+        tokenExpiresAt: filesReader.tokenExpiresAt
+    });
+};
+
+/**
+ * Runs the work of an invocation, and when Box rejects the invocation's tokens, runs it
+ * again with the service account. A token rejected with no service account to turn to,
+ * or a rejected service account token, fails with an AuthenticationFailedError.
+ *
+ * @param {Object} invocation { filesReader, skillsWriter }, see readInvocation() in ./processor
+ * @param {BoxClient|null} serviceClient service account client, see getServiceClient()
+ * @param {Function} work async function doing the work, called again on a retry
+ * @return {Promise<*>} resolves to what the work resolves to
+ */
+const withTokenRecovery = async function withTokenRecovery(invocation, serviceClient, work) {
+    const rejected = (error) => toSkillError(error) instanceof TokenExpiredError;
+    try {
+        return await work();
+    } catch (error) {
+        if (!rejected(error)) throw error;
+        const holder = invocation.usesServiceAccount ? 'service account' : 'invocation';
+        if (!useServiceAccount(invocation, serviceClient, 'Box rejected the invocation tokens')) {
+            throw new AuthenticationFailedError(`Box rejected the access token of the ${holder}`, error);
+        }
+    }
+    try {
+        return await work();
+    } catch (error) {
+        if (!rejected(error)) throw error;
+        throw new AuthenticationFailedError('Box rejected the access token of the service account', error);
+    }
+};
+
+module.exports = {
+    ensureAccess,
+    getServiceClient,
+    readServiceAccountSettings,
+    withTokenRecovery
+};
@@ -0,0 +1,361 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { toSkillError } = require('./errors');
+const { InvocationStatus, getInvocation } = require('./idempotency');
+const { logger } = require('./logger');
+const { previewInvocation, processInvocation } = require('./processor');
+
+/** Outcome of a file in a backfill */
+const BackfillStatus = {
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    PREVIEWED: 'previewed'
+};
+
+const PAGE_SIZE = 1000;
+const ITEM_FIELDS = 'type,id,name,size,file_version,parent,modified_at';
+const DEFAULT_CONCURRENCY = 4;
+
+// Processing a file gets as long as the worker function has, its timeout in serverless.yml,
+// with the same margins as the worker in index.js
+const FILE_TIMEOUT_MS = 300 * 1000;
+const SAVE_MARGIN_MS = 30 * 1000;
+const REQUEST_MARGIN_MS = 5 * 1000;
+
+/**
+ * Lists the files in a folder and the folders below it, a page of items at a time.
+ * Pages are read with markers, as offsets are limited and skip or repeat items
+ * when the folder changes while it is listed.
+ *
+ * @param {BoxClient} client client that can read the folders, such as the service account's
+ * @param {string} folderId id of the folder to start at
+ * @return {AsyncGenerator<Object>} Box file objects with their size, file_version and parent
+ * @throws {SkillError} when Box rejects a listing
+ */
+const listFiles = async function* listFiles(client, folderId) {
+    let marker;
+    do {
+        const page = await client.folders
+            .getItems(folderId, { fields: ITEM_FIELDS, limit: PAGE_SIZE, usemarker: true, marker })
+            .catch((e) => {
+                throw toSkillError(e);
+            });
+        for (const item of page.entries) {
+            if (item.type === 'folder') {
+                yield* listFiles(client, item.id);
+            } else if (item.type === 'file') {
+                yield item;
+            }
+        }
+        marker = page.next_marker;
+    } while (marker);
+};
+
+/**
+ * Builds a skill invocation body for a file, as Box would send when the file is
+ * uploaded. Its event is the upload of the file's current version, as far as the
+ * file's modification time tells. The invocation has no tokens of its own, so it
+ * must be processed with the service account, see ensureAccess() in ./auth.
+ *
+ * @param {Object} file Box file object, see listFiles()
+ * @param {Object} options
+ * @param {string} options.skillId id of the skill, which the cards are saved for
+ * @return {Object} invocation body
+ */
+const createBackfillInvocation = function createBackfillInvocation(file, options) {
+    const createdAt = new Date().toISOString();
+    const token = { access_token: '', expires_in: 0, restricted_to: [], token_type: 'bearer' };
+    return {
+        type: 'skill_invocation',
+        skill: { id: String(options.skillId), type: 'skill', name: 'box-event-skill' },
+        token: { read: token, write: token },
+        id: `backfill_${crypto.randomBytes(6).toString('hex')}`,
+        created_at: createdAt,
+        trigger: 'FILE_CONTENT',
+        source: {
+            type: 'file',
+            id: String(file.id),
+            name: file.name,
+            size: file.size,
+            file_version: { type: 'file_version', id: String(file.file_version.id) },
+            parent: { type: 'folder', id: String(file.parent.id) }
+        },
+        event: {
+            event_id: crypto.randomUUID(),
+            event_type: 'SKILL_INVOCATION',
+            created_at: file.modified_at || createdAt,
+            source: { type: 'file', id: String(file.id) }
+        }
+    };
+};
+
+/**
+ * Reads a checkpoint file, which records the outcome of each file processed so far.
+ * A missing file is an empty checkpoint.
+ *
+ * @param {string} checkpointPath path of the checkpoint file
+ * @param {string} folderId folder the backfill starts at, which must be the checkpoint's
+ * @return {Object} { folderId, files } where files maps file ids to { fileVersionId, status }
+ * @throws {Error} when the checkpoint is not valid JSON or is for another folder
+ */
+const readCheckpoint = function readCheckpoint(checkpointPath, folderId) {
+    if (!fs.existsSync(checkpointPath)) return { folderId, files: {} };
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Checkpoint ${checkpointPath} is not valid JSON: ${e.message}`);
+    }
+    if (checkpoint.folderId !== folderId) {
+        throw new Error(`Checkpoint ${checkpointPath} is for folder ${checkpoint.folderId}, not ${folderId}`);
+    }
+    return { folderId, files: checkpoint.files || {} };
+};
+
+// Replaces the checkpoint file in one step, so that an interrupted backfill never leaves half of one
+const writeCheckpoint = function writeCheckpoint(checkpointPath, checkpoint) {
+    const tempPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(tempPath, checkpointPath);
+};
+
+/** Runs the skill on one file, or works out what it would change in a dry run, see runBackfill() */
+const processFile = async function processFile(file, options) {
+    const body = createBackfillInvocation(file, options);
+    const fileVersionId = body.source.file_version.id;
+    const endsAt = Date.now() + FILE_TIMEOUT_MS;
+    const processOptions = {
+        deadline: endsAt - SAVE_MARGIN_MS,
+        requestDeadline: endsAt - REQUEST_MARGIN_MS,
+        serviceClient: options.client,
+        useServiceAccount: true,
+        overwriteUnrecorded: options.overwriteUnrecorded
+    };
+    const result = { fileId: body.source.id, name: file.name, fileVersionId };
+    if (options.dryRun) {
+        try {
+            const { skillConfig, idempotencyStore } = options;
+            const context = await previewInvocation(body, skillConfig, idempotencyStore, processOptions);
+            return Object.assign(result, {
+                status: BackfillStatus.PREVIEWED,
+                pipeline: context.pipeline,
+                changes: context.changes,
+                relatedChanges: context.relatedChanges,
+                shadow: context.shadow
+            });
+        } catch (error) {
+            return Object.assign(result, { status: BackfillStatus.FAILED, error: error.message });
+        }
+    }
+    let context;
+    try {
+        context = await processInvocation(body, options.skillConfig, options.idempotencyStore, processOptions);
+    } catch (error) {
+        // Transient failures, which the queue would deliver again; the file is tried again on resume
+        return Object.assign(result, { status: BackfillStatus.FAILED, error: error.message });
+    }
+    const record = await getInvocation(options.idempotencyStore, { requestId: body.id, fileVersionId });
+    return record && record.status === InvocationStatus.SUCCEEDED
+        ? Object.assign(result, { status: BackfillStatus.SUCCEEDED, pipeline: record.pipeline, shadow: context.shadow })
+        : Object.assign(result, { status: BackfillStatus.FAILED, error: record ? record.error : 'Not processed' });
+};
+
+/**
+ * Adds up how the shadow runs of a backfill compare with the current metadata, see
+ * compareWithCurrent() in ./pipeline/shadow.
+ *
+ * @param {Object[]} results results of runBackfill()
+ * @return {Object|null} { files, compared, agreed, rate, fields } where fields holds the { compared, agreed }
+ *                       counts of each "template.field", null when no shadow run compared any field
+ */
+const summarizeAgreement = function summarizeAgreement(results) {
+    const comparisons = results.map((result) => result.shadow).filter((shadow) => shadow && shadow.compared.length > 0);
+    if (comparisons.length === 0) return null;
+    const agreement = { files: comparisons.length, compared: 0, agreed: 0, fields: {} };
+    comparisons.forEach(({ compared, disagreed }) => {
+        compared.forEach((field) => {
+            const counts = agreement.fields[field] || { compared: 0, agreed: 0 };
+            const agreed = disagreed.includes(field) ? 0 : 1;
+            counts.compared += 1;
+            counts.agreed += agreed;
+            agreement.fields[field] = counts;
+            agreement.compared += 1;
+            agreement.agreed += agreed;
+        });
+    });
+    agreement.rate = agreement.agreed / agreement.compared;
+    return agreement;
+};
+
+/**
+ * Adds up the outcomes of a backfill.
+ *
+ * @param {Object[]} results { fileId, name, status, pipeline, error, shadow } per file
+ * @return {Object} { total, succeeded, failed, skipped, previewed, pipelines, failures, agreement } where
+ *                  pipelines counts the files processed by each pipeline, failures lists { fileId, name, error }
+ *                  and agreement is summarizeAgreement()'s
+ */
+const summarize = function summarize(results) {
+    const summary = { total: results.length, pipelines: {}, failures: [], agreement: summarizeAgreement(results) };
+    Object.values(BackfillStatus).forEach((status) => {
+        summary[status] = 0;
+    });
+    results.forEach((result) => {
+        summary[result.status] += 1;
+        if (result.pipeline) {
+            summary.pipelines[result.pipeline] = (summary.pipelines[result.pipeline] || 0) + 1;
+        }
+        if (result.status === BackfillStatus.FAILED) {
+            summary.failures.push({ fileId: result.fileId, name: result.name, error: result.error });
+        }
+    });
+    return summary;
+};
+
+/**
+ * Reprocesses the files in a folder and the folders below it, running each through
+ * the pipeline it is routed to as if it had just been uploaded: the skill's service
+ * account builds a skill invocation per file (see createBackfillInvocation()),
+ * which processInvocation() handles in the same way as the worker function does.
+ *
+ * Up to `concurrency` files are processed at a time. With a checkpoint file, the
+ * outcome of each file is recorded as it finishes, and files that succeeded before
+ * are skipped unless they have a new version since, so an interrupted backfill can
+ * be resumed. A dry run changes nothing in Box, see previewInvocation(), and does
+ * not write the checkpoint; its results hold the metadata changes processing each
+ * file would make.
+ *
+ * @param {Object} options
+ * @param {BoxClient} options.client client of the skill's service account, see getServiceClient()
+ * @param {string} options.folderId id of the folder to start at
+ * @param {string} options.skillId id of the skill, which the cards are saved for
+ * @param {Object} options.skillConfig validated skill configuration
+ * @param {Object} options.idempotencyStore store created by createIdempotencyStore()
+ * @param {number} [options.concurrency] how many files to process at a time, defaults to 4
+ * @param {string} [options.checkpointPath] path of the checkpoint file to resume from and record to
+ * @param {boolean} [options.dryRun] work out the changes without making them
+ * @param {boolean} [options.overwriteUnrecorded] replace metadata values the skill has no record of writing,
+ *                                                such as ones it wrote before it kept records, instead of
+ *                                                keeping them as manual edits
+ * @param {Function} [options.onResult] called with the result of each file as it finishes
+ * @return {Promise<Object>} resolves to { results, summary }: the { fileId, name, fileVersionId, status,
+ *                           pipeline, changes, relatedChanges, shadow, error } of each file, shadow being the
+ *                           comparison of a shadow run (see compareWithCurrent() in ./pipeline/shadow), and
+ *                           summarize()'s summary
+ * @throws {Error} when the folder cannot be listed or the checkpoint cannot be read
+ */
+const runBackfill = async function runBackfill(options) {
+    const folderId = String(options.folderId);
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    const checkpoint = options.checkpointPath ? readCheckpoint(options.checkpointPath, folderId) : null;
+    const recordProgress = checkpoint && !options.dryRun;
+    const files = listFiles(options.client, folderId);
+    const results = [];
+
+    const finish = (result) => {
+        results.push(result);
+        if (recordProgress && result.status !== BackfillStatus.SKIPPED) {
+            checkpoint.files[result.fileId] = { fileVersionId: result.fileVersionId, status: result.status };
+            writeCheckpoint(options.checkpointPath, checkpoint);
+        }
+        if (options.onResult) options.onResult(result);
+    };
+
+    // Each worker takes the next file from the listing until there are none left
+    const work = async () => {
+        for await (const file of files) {
+            const fileVersionId = String(file.file_version.id);
+            const done = checkpoint && checkpoint.files[file.id];
+            if (done && done.status === BackfillStatus.SUCCEEDED && done.fileVersionId === fileVersionId) {
+                finish({ fileId: file.id, name: file.name, fileVersionId, status: BackfillStatus.SKIPPED });
+                continue;
+            }
+            logger.info('Backfilling file', { fileId: file.id, name: file.name, dryRun: Boolean(options.dryRun) });
+            finish(await processFile(file, options));
+        }
+    };
+    await Promise.all(Array.from({ length: concurrency }, work));
+
+    return { results, summary: summarize(results) };
+};
+
+const formatRate = function formatRate(agreed, compared) {
+    return `${agreed} of ${compared} (${Math.round((agreed / compared) * 1000) / 10}%)`;
+};
+
+const formatValue = function formatValue(value) {
+    return value === undefined ? '(none)' : JSON.stringify(value);
+};
+
+const formatChanges = function formatChanges(changes, indent) {
+    return Object.entries(changes || {}).reduce(
+        (lines, [template, templateChanges]) =>
+            lines.concat(
+                templateChanges.map(
+                    ({ field, from, to }) => `${indent}${template}.${field}: ${formatValue(from)} -> ${formatValue(to)}`
+                )
+            ),
+        []
+    );
+};
+
+/**
+ * Describes the outcome of a backfill for the console: the metadata changes of each
+ * file in a dry run, then the totals, how the fields of shadow runs agree with the
+ * current metadata, and the files that failed.
+ *
+ * @param {Object} backfill { results, summary } from runBackfill()
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] whether the backfill was a dry run
+ * @return {string} report text
+ */
+const formatReport = function formatReport({ results, summary }, options = {}) {
+    const lines = [];
+    if (options.dryRun) {
+        results
+            .filter((result) => result.status === BackfillStatus.PREVIEWED)
+            .forEach((result) => {
+                const changes = formatChanges(result.changes, '    ');
+                Object.entries(result.relatedChanges || {}).forEach(([fileId, relatedChanges]) => {
+                    changes.push(`    file ${fileId}:`, ...formatChanges(relatedChanges, '        '));
+                });
+                lines.push(`${result.name} (${result.fileId}), ${result.pipeline} pipeline:`);
+                lines.push(...(changes.length > 0 ? changes : ['    no changes']));
+            });
+        lines.push('');
+    }
+    const counts = Object.values(BackfillStatus)
+        .filter((status) => summary[status] > 0)
+        .map((status) => `${summary[status]} ${status}`);
+    lines.push(`${summary.total} files: ${counts.join(', ') || 'nothing to do'}`);
+    Object.entries(summary.pipelines).forEach(([pipeline, count]) => lines.push(`    ${pipeline}: ${count}`));
+    if (summary.agreement) {
+        const { files, compared, agreed, fields } = summary.agreement;
+        const rate = formatRate(agreed, compared);
+        lines.push(`Fields agreeing with the current metadata in shadow runs of ${files} files: ${rate}`);
+        Object.keys(fields)
+            .sort()
+            .forEach((field) => {
+                lines.push(`    ${field}: ${formatRate(fields[field].agreed, fields[field].compared)}`);
+            });
+    }
+    if (summary.failures.length > 0) {
+        lines.push('Failed:');
+        summary.failures.forEach(({ fileId, name, error }) => lines.push(`    ${name} (${fileId}): ${error}`));
+    }
+    return lines.join('\n');
+};
+
+module.exports = {
+    BackfillStatus,
+    createBackfillInvocation,
+    formatReport,
+    listFiles,
+    readCheckpoint,
+    runBackfill,
+    summarize,
+    summarizeAgreement
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+const { MONTH_PATTERN, parseDate } = require('./extraction/event-plan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Sessions without an end time last until the next session of the day, or this long
+const DEFAULT_SESSION_MS = 60 * MINUTE_MS;
+const PRODUCT_ID = '-//Box Event Skill//Event Plan Calendar//EN';
+// Lines longer than this many octets are folded, as RFC 5545 asks
+const MAX_LINE_OCTETS = 75;
+
+const TIME = '(\\d{1,2})(?::(\\d{2}))?\\s*([ap]\\.?m\\.?)?';
+const SESSION_DAY = /^day\s+(\d{1,2})\b\s*[-–:,]?\s*/i;
+const SESSION_DATE = new RegExp(
+    `^(?<date>(?:[a-z]+,?\\s+)?${MONTH_PATTERN}\\s+\\d{1,2})(?:st|nd|rd|th)?\\b,?(?:\\s+(?<year>\\d{4}))?\\s*[-–:,]?\\s*`,
+    'i'
+);
+const SESSION_TIME = new RegExp(`^${TIME}(?:\\s*(?:[-–]|to)\\s*${TIME})?\\s*[-–:,]?\\s*`, 'i');
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons, commas and line breaks.
+ */
+const escapeText = function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// Parameter values holding a colon, semicolon or comma are quoted, and cannot hold quotes
+const paramValue = function paramValue(value) {
+    const text = String(value).replace(/"/g, "'");
+    return /[:;,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Folds a content line into lines of at most 75 octets, continued with a space,
+ * without splitting UTF-8 characters.
+ */
+const foldLine = function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+};
+
+const pad = function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+};
+
+// Formats the UTC fields of a Date, which hold wall clock values for local times
+const formatDate = function formatDate(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+const formatDateTime = function formatDateTime(date) {
+    return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+};
+
+const formatOffset = function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+/**
+ * Offset from UTC, in minutes, of a time zone at a time.
+ */
+const getOffset = function getOffset(formatter, time) {
+    const name = formatter.formatToParts(time).find((part) => part.type === 'timeZoneName').value;
+    const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) return 0;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Whether a time zone is an IANA time zone name the runtime knows, such as
+ * America/Los_Angeles.
+ */
+const isTimeZone = function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone }).format(0);
+        return typeof timeZone === 'string';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Builds the VTIMEZONE component of a time zone, with an observance for each
+ * offset change from the year before `from` until the end of the year of `to`, so
+ * that clients without the zone's rules can place every time in that period.
+ *
+ * @param {string} timeZone IANA time zone name
+ * @param {Date} from first day the calendar uses
+ * @param {Date} to last day the calendar uses
+ * @return {string[]} content lines of the component
+ */
+const createTimeZone = function createTimeZone(timeZone, from, to) {
+    const formatter = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' });
+    const start = Date.UTC(from.getUTCFullYear() - 1, 0, 1);
+    const end = Date.UTC(to.getUTCFullYear() + 1, 0, 1);
+    const transitions = [];
+    let offset = getOffset(formatter, start);
+    for (let day = start + DAY_MS; day <= end; day += DAY_MS) {
+        const next = getOffset(formatter, day);
+        if (next !== offset) {
+            // the change happened in the day before, find its minute
+            let low = day - DAY_MS;
+            let high = day;
+            while (high - low > MINUTE_MS) {
+                const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+                if (getOffset(formatter, middle) === offset) low = middle;
+                else high = middle;
+            }
+            transitions.push({ time: high, from: offset, to: next });
+            offset = next;
+        }
+    }
+    const standardOffset = Math.min(offset, ...transitions.map((transition) => transition.to));
+    const observances = transitions.length > 0 ? transitions : [{ time: 0, from: offset, to: offset }];
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    observances.forEach((transition) => {
+        const type = transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${type}`,
+            `DTSTART:${formatDateTime(new Date(transition.time + transition.from * MINUTE_MS))}`,
+            `TZOFFSETFROM:${formatOffset(transition.from)}`,
+            `TZOFFSETTO:${formatOffset(transition.to)}`,
+            `END:${type}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+};
+
+const toMinutes = function toMinutes(hours, minutes, meridiem) {
+    let hour = Number(hours) % 24;
+    if (meridiem) {
+        const pm = meridiem.toLowerCase().startsWith('p');
+        hour = (hour % 12) + (pm ? 12 : 0);
+    }
+    return hour * 60 + Number(minutes || 0);
+};
+
+/**
+ * Reads the time of a session at the start of an agenda item: 9:00, 9am, 9:00 AM -
+ * 10:30 AM or 1-3pm. Numbers without minutes or am/pm are not taken for a time.
+ */
+const readSessionTime = function readSessionTime(text) {
+    const match = text.match(SESSION_TIME);
+    if (!match || !(match[2] || match[3] || match[5] || match[6])) return null;
+    const [, startHours, startMinutes, startMeridiem, endHours, endMinutes, endMeridiem] = match;
+    const end = endHours === undefined ? undefined : toMinutes(endHours, endMinutes, endMeridiem || startMeridiem);
+    let start = toMinutes(startHours, startMinutes, startMeridiem || endMeridiem);
+    // in 10:30-12pm the pm is the end's only
+    if (!startMeridiem && endMeridiem && start >= end) start = toMinutes(startHours, startMinutes, 'am');
+    return { start, end: end > start ? end : undefined, rest: text.slice(match[0].length) };
+};
+
+/**
+ * Reads the sessions of an event from its agenda items. An item may start with the
+ * day of the session (Day 2, or a date such as March 4) and with its time (9:00 AM,
+ * or a range such as 9:00 - 10:30). Items without a day are on the day of the item
+ * before them, or on the first day of the event. Sessions without an end time end
+ * when the next session of the day starts, or after an hour.
+ *
+ * @param {string[]} agenda agenda items, see extractAgenda() in lib/extraction
+ * @param {Date} startDate first day of the event
+ * @return {Object[]} sessions { title, day, start, end }, day being a Date at midnight UTC and
+ *                    start and end minutes since midnight, both undefined for sessions that take the day
+ */
+const readSessions = function readSessions(agenda, startDate) {
+    let day = startDate;
+    const sessions = agenda
+        .map((item) => {
+            let text = item.trim();
+            const dayMatch = text.match(SESSION_DAY);
+            const dateMatch = !dayMatch && text.match(SESSION_DATE);
+            if (dayMatch) {
+                day = new Date(startDate.getTime() + (Number(dayMatch[1]) - 1) * DAY_MS);
+                text = text.slice(dayMatch[0].length);
+            } else if (dateMatch) {
+                const { date: monthDay, year } = dateMatch.groups;
+                const date = parseDate(`${monthDay}, ${year || startDate.getUTCFullYear()}`);
+                if (date) day = date;
+                text = text.slice(dateMatch[0].length);
+            }
+            const time = readSessionTime(text);
+            if (time) text = time.rest;
+            return { title: text.trim(), day, start: time ? time.start : undefined, end: time ? time.end : undefined };
+        })
+        .filter((session) => session.title);
+    sessions.forEach((session, index) => {
+        if (session.start === undefined || session.end !== undefined) return;
+        const next = sessions
+            .slice(index + 1)
+            .find((other) => other.day.getTime() === session.day.getTime() && other.start > session.start);
+        session.end = next ? next.start : session.start + DEFAULT_SESSION_MS / MINUTE_MS;
+    });
+    return sessions;
+};
+
+/**
+ * Builds the DTSTART and DTEND lines of an event: dates for events that take whole
+ * days, local times in the time zone otherwise (UTC times for UTC).
+ */
+const eventTimes = function eventTimes(first, last, start, end, timeZone) {
+    if (start === undefined) {
+        return [`DTSTART;VALUE=DATE:${formatDate(first)}`, `DTEND;VALUE=DATE:${formatDate(new Date(last.getTime() + DAY_MS))}`];
+    }
+    const at = (minutes) => formatDateTime(new Date(first.getTime() + minutes * MINUTE_MS));
+    if (timeZone === 'UTC') {
+        return [`DTSTART:${at(start)}Z`, `DTEND:${at(end)}Z`];
+    }
+    return [`DTSTART;TZID=${timeZone}:${at(start)}`, `DTEND;TZID=${timeZone}:${at(end)}`];
+};
+
+const describeEvent = function describeEvent(eventDetails, source) {
+    const lines = [];
+    const organizer = [eventDetails.organizerName, eventDetails.organizerEmail, eventDetails.organizerPhone].filter(
+        Boolean
+    );
+    if (organizer.length > 0) lines.push(`Organizer: ${organizer.join(', ')}`);
+    if (eventDetails.participantCount !== undefined) {
+        lines.push(`Expected participants: ${Number(eventDetails.participantCount).toLocaleString('en-US')}`);
+    }
+    if (source) lines.push(`From the event plan ${source}`);
+    return lines.join('\n');
+};
+
+/**
+ * Builds an RFC 5545 iCalendar file for an event: one VEVENT spanning the event's
+ * days, with its venue, organizer and description, and one VEVENT per agenda
+ * session, see readSessions(). Sessions with times are in the given time zone,
+ * which the calendar describes in a VTIMEZONE. The events' UIDs derive from uid,
+ * so that a calendar generated again for the same plan updates the same events.
+ *
+ * @param {Object} eventDetails eventDetails values, startDate is required
+ * @param {Object} options
+ * @param {string} options.uid unique id of the event, such as the Box file id of the plan
+ * @param {string[]} [options.agenda] agenda items, see extractAgenda() in lib/extraction
+ * @param {string} [options.timeZone] IANA time zone of the agenda times, defaults to UTC
+ * @param {string} [options.source] name of the event plan, mentioned in the description
+ * @param {Date} [options.now] time the calendar is generated, defaults to now
+ * @return {string} the calendar, with CRLF line endings
+ */
+const createCalendar = function createCalendar(eventDetails, options) {
+    const timeZone = options.timeZone || 'UTC';
+    const first = new Date(eventDetails.startDate);
+    const last = eventDetails.endDate ? new Date(eventDetails.endDate) : first;
+    const stamp = `${formatDateTime(options.now || new Date())}Z`;
+    const sessions = readSessions(options.agenda || [], first);
+    const timed = sessions.some((session) => session.start !== undefined);
+    const days = sessions.map((session) => session.day).concat(first, last);
+    const eventUid = `${options.uid}@box-event-skill`;
+    const common = [];
+    if (eventDetails.venue) common.push(`LOCATION:${escapeText(eventDetails.venue)}`);
+    if (eventDetails.organizerEmail) {
+        const name = eventDetails.organizerName ? `;CN=${paramValue(eventDetails.organizerName)}` : '';
+        common.push(`ORGANIZER${name}:mailto:${eventDetails.organizerEmail}`);
+    }
+
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (timed && timeZone !== 'UTC') {
+        const times = days.map((day) => day.getTime());
+        lines.push(...createTimeZone(timeZone, new Date(Math.min(...times)), new Date(Math.max(...times))));
+    }
+    const description = describeEvent(eventDetails, options.source);
+    lines.push(
+        'BEGIN:VEVENT',
+        `UID:${eventUid}`,
+        `DTSTAMP:${stamp}`,
+        ...eventTimes(first, last, undefined, undefined, timeZone),
+        `SUMMARY:${escapeText(eventDetails.eventName || 'Event')}`,
+        ...common,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        'END:VEVENT'
+    );
+    sessions.forEach((session, index) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${options.uid}-session-${index + 1}@box-event-skill`,
+            `DTSTAMP:${stamp}`,
+            ...eventTimes(session.day, session.day, session.start, session.end, timeZone),
+            `SUMMARY:${escapeText(session.title)}`,
+            ...common,
+            `RELATED-TO;RELTYPE=PARENT:${eventUid}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    createCalendar,
+    createTimeZone,
+    escapeText,
+    foldLine,
+    isTimeZone,
+    readSessions
+};
@@ -0,0 +1,410 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isTimeZone } = require('./calendar');
+const { logger } = require('./logger');
+const { validateRules } = require('./rules');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = 'config/skill.json';
+
+/** Box metadata template field types a configured field may declare */
+const FIELD_TYPES = ['string', 'float', 'date', 'enum', 'multiSelect'];
+/** Field types whose values are one or more of the options the template lists */
+const OPTION_FIELD_TYPES = ['enum', 'multiSelect'];
+const SCOPE_PATTERN = /^(enterprise|global|enterprise_\d+)$/;
+/** What to do with fields a user edited by hand since the skill last wrote them */
+const MANUAL_EDIT_POLICIES = ['keep', 'overwrite'];
+const CARD_OPTIONS = ['merge', 'keepHistory'];
+
+// Outputs a pipeline can switch on or off, and whether each is on when not configured
+const DEFAULT_OUTPUTS = {
+    metadata: true,
+    topicsCard: false,
+    summaryCard: false,
+    agendaCard: false,
+    complianceCard: false,
+    rosterCard: false,
+    calendarFile: false,
+    conflictCard: false
+};
+
+// Fields a shadow route's side-car template must declare, see recordShadowRun() in lib/pipeline/shadow.js
+const SHADOW_FIELDS = ['shadowPipeline', 'agreementRate', 'changedFields', 'shadowChanges', 'comparedAt'];
+
+const isObject = function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isNonEmptyString = function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+};
+
+const isOptionList = function isOptionList(field) {
+    return (
+        OPTION_FIELD_TYPES.includes(field.type) &&
+        Array.isArray(field.options) &&
+        field.options.every(isNonEmptyString)
+    );
+};
+
+const validateTemplates = function validateTemplates(templates, errors) {
+    if (!isObject(templates) || Object.keys(templates).length === 0) {
+        errors.push('templates must declare at least one metadata template');
+        return;
+    }
+    Object.entries(templates).forEach(([name, template]) => {
+        if (!isObject(template)) {
+            errors.push(`templates.${name} must be an object`);
+            return;
+        }
+        if (!SCOPE_PATTERN.test(template.scope)) {
+            errors.push(`templates.${name}.scope must be "enterprise", "global" or "enterprise_<id>"`);
+        }
+        if (!isNonEmptyString(template.templateKey)) {
+            errors.push(`templates.${name}.templateKey must be a non-empty string`);
+        }
+        if (template.provenanceField !== undefined && !isNonEmptyString(template.provenanceField)) {
+            errors.push(`templates.${name}.provenanceField must be a non-empty string`);
+        }
+        if (!isObject(template.fields)) {
+            errors.push(`templates.${name}.fields must be an object`);
+            return;
+        }
+        Object.entries(template.fields).forEach(([fieldName, field]) => {
+            if (!isObject(field) || !FIELD_TYPES.includes(field.type)) {
+                errors.push(`templates.${name}.fields.${fieldName}.type must be one of ${FIELD_TYPES.join(', ')}`);
+            } else if (field.key !== undefined && !isNonEmptyString(field.key)) {
+                errors.push(`templates.${name}.fields.${fieldName}.key must be a non-empty string`);
+            } else if (field.options !== undefined && !isOptionList(field)) {
+                errors.push(
+                    `templates.${name}.fields.${fieldName}.options must be a list of strings on an enum or multiSelect field`
+                );
+            }
+        });
+    });
+};
+
+const validateRouting = function validateRouting(config, errors) {
+    const { routing, templates = {}, pipelines = {} } = config;
+    if (!isObject(routing)) {
+        errors.push('routing must be an object');
+        return;
+    }
+    const routingTemplate = templates[routing.template];
+    if (!routingTemplate) {
+        errors.push(`routing.template "${routing.template}" is not a configured template`);
+    } else if (!isObject(routingTemplate.fields) || !routingTemplate.fields[routing.field]) {
+        errors.push(`routing.field "${routing.field}" is not a field of template ${routing.template}`);
+    }
+    if (!Array.isArray(routing.routes)) {
+        errors.push('routing.routes must be a list');
+    } else {
+        routing.routes.forEach((route, index) => {
+            if (!pipelines[route.pipeline]) {
+                errors.push(`routing.routes[${index}].pipeline "${route.pipeline}" is not a configured pipeline`);
+            }
+            if (route.fileTypes !== undefined && !Array.isArray(route.fileTypes)) {
+                errors.push(`routing.routes[${index}].fileTypes must be a list`);
+            }
+            validateOutputs(route.outputs, `routing.routes[${index}]`, errors);
+            validateShadow(route.shadow, `routing.routes[${index}]`, templates, errors);
+        });
+    }
+    if (!pipelines[routing.defaultPipeline]) {
+        errors.push(`routing.defaultPipeline "${routing.defaultPipeline}" is not a configured pipeline`);
+    }
+};
+
+const validateOutputs = function validateOutputs(outputs, location, errors) {
+    if (outputs === undefined) return;
+    if (!isObject(outputs)) {
+        errors.push(`${location}.outputs must be an object`);
+        return;
+    }
+    Object.entries(outputs).forEach(([output, enabled]) => {
+        if (!(output in DEFAULT_OUTPUTS)) {
+            errors.push(`${location}.outputs.${output} is not one of ${Object.keys(DEFAULT_OUTPUTS).join(', ')}`);
+        } else if (typeof enabled !== 'boolean') {
+            errors.push(`${location}.outputs.${output} must be true or false`);
+        }
+    });
+};
+
+const validateShadow = function validateShadow(shadow, location, templates, errors) {
+    if (shadow === undefined || shadow === true || shadow === false) return;
+    if (!isObject(shadow)) {
+        errors.push(`${location}.shadow must be true, false or an object`);
+        return;
+    }
+    if (shadow.template === undefined) return;
+    const template = templates[shadow.template];
+    if (!template) {
+        errors.push(`${location}.shadow.template "${shadow.template}" is not a configured template`);
+        return;
+    }
+    const missing = SHADOW_FIELDS.filter((field) => !isObject(template.fields) || !template.fields[field]);
+    if (missing.length > 0) {
+        errors.push(`${location}.shadow.template ${shadow.template} is missing the fields ${missing.join(', ')}`);
+    }
+};
+
+const validatePipelines = function validatePipelines(config, stepNames, errors) {
+    const { pipelines, templates = {} } = config;
+    if (!isObject(pipelines)) {
+        errors.push('pipelines must be an object');
+        return;
+    }
+    Object.entries(pipelines).forEach(([name, pipeline]) => {
+        ['reads', 'writes', 'steps'].forEach((list) => {
+            if (!Array.isArray(pipeline[list])) {
+                errors.push(`pipelines.${name}.${list} must be a list`);
+            }
+        });
+        [...(pipeline.reads || []), ...(pipeline.writes || [])].forEach((template) => {
+            if (!templates[template]) {
+                errors.push(`pipelines.${name} references unknown template ${template}`);
+            }
+        });
+        (pipeline.steps || []).forEach((step) => {
+            if (stepNames && !stepNames.includes(step)) {
+                errors.push(`pipelines.${name} references unknown step ${step}`);
+            }
+        });
+        validateOutputs(pipeline.outputs, `pipelines.${name}`, errors);
+    });
+};
+
+const validateIdempotency = function validateIdempotency(idempotency, errors) {
+    if (idempotency === undefined) return;
+    if (!isObject(idempotency)) {
+        errors.push('idempotency must be an object');
+    } else if (idempotency.manualEdits !== undefined && !MANUAL_EDIT_POLICIES.includes(idempotency.manualEdits)) {
+        errors.push(`idempotency.manualEdits must be one of ${MANUAL_EDIT_POLICIES.join(', ')}`);
+    }
+};
+
+const validateCards = function validateCards(cards, errors) {
+    if (cards === undefined) return;
+    if (!isObject(cards)) {
+        errors.push('cards must be an object');
+        return;
+    }
+    Object.keys(cards).forEach((option) => {
+        if (!CARD_OPTIONS.includes(option)) {
+            errors.push(`cards.${option} is not one of ${CARD_OPTIONS.join(', ')}`);
+        } else if (typeof cards[option] !== 'boolean') {
+            errors.push(`cards.${option} must be true or false`);
+        }
+    });
+};
+
+const validateCalendar = function validateCalendar(calendar, errors) {
+    if (calendar === undefined) return;
+    if (!isObject(calendar)) {
+        errors.push('calendar must be an object');
+    } else if (calendar.timeZone !== undefined && !isTimeZone(calendar.timeZone)) {
+        errors.push('calendar.timeZone must be an IANA time zone name, such as America/New_York');
+    }
+};
+
+/**
+ * Name of the template a pipeline's checkConflicts step compares event plans on:
+ * conflicts.template of the skill configuration, or else the template the pipeline
+ * writes, when it writes only one. Undefined when neither names a template.
+ *
+ * @param {Object} config skill configuration
+ * @param {string} pipelineName name of the pipeline
+ * @return {string|undefined}
+ */
+const getConflictsTemplate = function getConflictsTemplate(config, pipelineName) {
+    const { template } = config.conflicts || {};
+    if (template !== undefined) return template;
+    const { writes } = config.pipelines[pipelineName];
+    return Array.isArray(writes) && writes.length === 1 ? writes[0] : undefined;
+};
+
+const validateConflicts = function validateConflicts(config, errors) {
+    const { conflicts, templates = {}, pipelines = {} } = config;
+    if (conflicts !== undefined && !isObject(conflicts)) {
+        errors.push('conflicts must be an object');
+        return;
+    }
+    const { folderId, template, approval } = conflicts || {};
+    if (folderId !== undefined && !/^\d+$/.test(String(folderId))) {
+        errors.push('conflicts.folderId must be the id of a Box folder');
+    }
+    if (template !== undefined && !templates[template]) {
+        errors.push(`conflicts.template "${template}" is not a configured template`);
+        return;
+    }
+    const validApproval = approval === undefined || (isObject(approval) && isNonEmptyString(approval.value));
+    if (!validApproval) {
+        errors.push('conflicts.approval must be an object with a field and a non-empty string value');
+    }
+    const checked = new Set(template === undefined ? [] : [template]);
+    Object.entries(isObject(pipelines) ? pipelines : {}).forEach(([name, pipeline]) => {
+        if (!Array.isArray(pipeline.steps) || !pipeline.steps.includes('checkConflicts')) return;
+        const pipelineTemplate = getConflictsTemplate(config, name);
+        if (pipelineTemplate === undefined) {
+            errors.push(`conflicts.template must be set for the checkConflicts step of pipelines.${name}`);
+        } else if (!Array.isArray(pipeline.writes) || !pipeline.writes.includes(pipelineTemplate)) {
+            errors.push(`pipelines.${name} must write template ${pipelineTemplate} for its checkConflicts step`);
+        } else {
+            checked.add(pipelineTemplate);
+        }
+    });
+    checked.forEach((name) => {
+        const fields = isObject(templates[name]) && isObject(templates[name].fields) ? templates[name].fields : {};
+        ['venue', 'startDate', 'endDate']
+            .filter((field) => !fields[field])
+            .forEach((field) => errors.push(`template ${name} must declare ${field} to be checked for conflicts`));
+        if (approval !== undefined && validApproval && !fields[approval.field]) {
+            errors.push(`conflicts.approval.field "${approval.field}" is not a field of template ${name}`);
+        }
+    });
+};
+
+// Rosters are only counted when the roster configuration says which files are their event plans
+const validateRoster = function validateRoster(config, errors) {
+    const { roster, routing = {}, templates = {}, pipelines = {} } = config;
+    if (roster === undefined) {
+        Object.entries(isObject(pipelines) ? pipelines : {}).forEach(([name, pipeline]) => {
+            if (Array.isArray(pipeline.steps) && pipeline.steps.includes('countRosterAttendees')) {
+                errors.push(`roster must be configured for the countRosterAttendees step of pipelines.${name}`);
+            }
+        });
+        return;
+    }
+    if (!isObject(roster)) {
+        errors.push('roster must be an object');
+        return;
+    }
+    const routedTypes = Array.isArray(routing.routes) ? routing.routes.map((route) => route.documentType) : [];
+    if (!isNonEmptyString(roster.planDocumentType)) {
+        errors.push('roster.planDocumentType must be a non-empty string');
+    } else if (!routedTypes.includes(roster.planDocumentType)) {
+        errors.push(`roster.planDocumentType "${roster.planDocumentType}" is not the documentType of a route`);
+    }
+    if (roster.eventKeyField === undefined) return;
+    const routingTemplate = templates[routing.template];
+    if (!routingTemplate || !isObject(routingTemplate.fields) || !routingTemplate.fields[roster.eventKeyField]) {
+        errors.push(`roster.eventKeyField "${roster.eventKeyField}" is not a field of template ${routing.template}`);
+    }
+};
+
+/**
+ * Validates a skill configuration object.
+ *
+ * @param {Object} config parsed skill configuration
+ * @param {string[]} [stepNames] names of the available pipeline steps, step names are not checked if omitted
+ * @return {string[]} list of problems found, empty when the configuration is valid
+ */
+const validateConfig = function validateConfig(config, stepNames) {
+    const errors = [];
+    if (!isObject(config)) {
+        return ['configuration must be an object'];
+    }
+    validateTemplates(config.templates, errors);
+    validatePipelines(config, stepNames, errors);
+    validateRouting(config, errors);
+    validateIdempotency(config.idempotency, errors);
+    validateCards(config.cards, errors);
+    validateCalendar(config.calendar, errors);
+    validateConflicts(config, errors);
+    validateRoster(config, errors);
+    if (config.rules !== undefined) {
+        errors.push(...validateRules(config.rules));
+    }
+    return errors;
+};
+
+/**
+ * Reads the raw skill configuration. The SKILL_CONFIG environment variable may hold
+ * the configuration as inline JSON; otherwise the JSON or YAML file named by
+ * SKILL_CONFIG_PATH (relative to the project root) is read, defaulting to
+ * config/skill.json.
+ */
+const readConfig = function readConfig(env = process.env) {
+    if (env.SKILL_CONFIG) {
+        return { source: 'SKILL_CONFIG', config: JSON.parse(env.SKILL_CONFIG) };
+    }
+    const configPath = path.resolve(PROJECT_ROOT, env.SKILL_CONFIG_PATH || DEFAULT_CONFIG_PATH);
+    const contents = fs.readFileSync(configPath, 'utf8');
+    const extension = path.extname(configPath).toLowerCase();
+    const config = extension === '.yml' || extension === '.yaml' ? yaml.load(contents) : JSON.parse(contents);
+    return { source: configPath, config };
+};
+
+/**
+ * Loads and validates the skill configuration. Meant to be called once on cold
+ * start so that a misconfigured deployment fails before it handles a request.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] environment to read from, defaults to process.env
+ * @param {string[]} [options.stepNames] names of the available pipeline steps
+ * @return {Object} the validated configuration
+ * @throws {Error} listing every problem found when the configuration is invalid
+ */
+const loadConfig = function loadConfig(options = {}) {
+    let loaded;
+    try {
+        loaded = readConfig(options.env);
+    } catch (e) {
+        throw new Error(`Unable to read skill configuration: ${e.message}`);
+    }
+    const errors = validateConfig(loaded.config, options.stepNames);
+    if (errors.length > 0) {
+        throw new Error(`Invalid skill configuration in ${loaded.source}:\n - ${errors.join('\n - ')}`);
+    }
+    return loaded.config;
+};
+
+/**
+ * Maps values keyed by configured field name onto the template's field keys,
+ * dropping any value the template does not declare.
+ *
+ * @param {Object} template configured template
+ * @param {Object} values values keyed by configured field name
+ * @return {Object} values keyed by metadata template field key
+ */
+const toTemplateValues = function toTemplateValues(template, values) {
+    return Object.entries(values).reduce((result, [name, value]) => {
+        const field = template.fields[name];
+        if (field) {
+            result[field.key || name] = value;
+        } else {
+            logger.warn('Dropping value that is not a field of the template', {
+                field: name,
+                templateKey: template.templateKey
+            });
+        }
+        return result;
+    }, {});
+};
+
+/**
+ * Maps a metadata instance read from Box back onto configured field names.
+ */
+const fromTemplateValues = function fromTemplateValues(template, instance) {
+    return Object.entries(template.fields).reduce((result, [name, field]) => {
+        const key = field.key || name;
+        if (instance && instance[key] !== undefined) {
+            result[name] = instance[key];
+        }
+        return result;
+    }, {});
+};
+
+module.exports = {
+    DEFAULT_OUTPUTS,
+    FIELD_TYPES,
+    SHADOW_FIELDS,
+    fromTemplateValues,
+    getConflictsTemplate,
+    loadConfig,
+    toTemplateValues,
+    validateConfig
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Values of the scheduleConflict field */
+const ConflictStatus = {
+    CONFLICT: 'Conflict',
+    NONE: 'None'
+};
+
+/**
+ * Reduces a venue to what tells it apart from other venues: the part before the
+ * first comma, which leaves out the address or city, in lower case, without
+ * punctuation or a leading "the". "The Moscone Center West, San Francisco" and
+ * "Moscone Center West" are the same venue.
+ *
+ * @param {string} venue venue as written in an event plan
+ * @return {string} normalized venue, empty when there is none
+ */
+const normalizeVenue = function normalizeVenue(venue) {
+    return String(venue || '')
+        .split(',')[0]
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .replace(/^the\s+/, '');
+};
+
+// First and last day of an event, as day numbers; an event without an end date lasts a day
+const toDays = function toDays({ startDate, endDate }) {
+    const start = Math.floor(Date.parse(startDate) / DAY_MS);
+    const end = endDate ? Math.floor(Date.parse(endDate) / DAY_MS) : start;
+    return { start, end: Math.max(start, end) };
+};
+
+const hasDates = function hasDates(event) {
+    return Boolean(event.startDate) && !Number.isNaN(Date.parse(event.startDate));
+};
+
+/**
+ * Finds the events booking the same venue as an event on overlapping days. Both
+ * the first and the last day of an event count, so an event ending on the day
+ * another starts clashes with it. Events without a venue or start date, and the
+ * event itself (the same fileId), never clash.
+ *
+ * @param {Object} event { fileId, venue, startDate, endDate } of the event to check
+ * @param {Object[]} others { fileId, name, venue, startDate, endDate } of the other events, such as
+ *                          the eventDetails of the enterprise's event plans
+ * @return {Object[]} the clashing events, in order of their start dates
+ */
+const findConflicts = function findConflicts(event, others) {
+    const venue = normalizeVenue(event.venue);
+    if (!venue || !hasDates(event)) return [];
+    const days = toDays(event);
+    return others
+        .filter((other) => other.fileId !== event.fileId && hasDates(other) && normalizeVenue(other.venue) === venue)
+        .filter((other) => {
+            const otherDays = toDays(other);
+            return otherDays.start <= days.end && days.start <= otherDays.end;
+        })
+        .sort((a, b) => Date.parse(a.startDate) - Date.parse(b.startDate));
+};
+
+module.exports = {
+    ConflictStatus,
+    findConflicts,
+    normalizeVenue
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const { loadConfig } = require('../config');
+const { createMockBoxApi } = require('./mock-box-api');
+const { createInvocationBody, signInvocation } = require('./invocation');
+
+const EMULATOR_KEYS = {
+    primaryKey: 'emulator-primary-key',
+    secondaryKey: 'emulator-secondary-key'
+};
+
+/**
+ * Points the skill at the mock Box API and makes it use the in-process queue and
+ * idempotency store. Must run before index.js is loaded.
+ */
+const configureEnvironment = function configureEnvironment(baseURL, keys) {
+    process.env.box_api_endpoint = `${baseURL}/2.0`;
+    process.env.box_upload_api_endpoint = `${baseURL}/2.0`;
+    process.env.box_primary_key = keys.primaryKey;
+    process.env.box_secondary_key = keys.secondaryKey;
+    delete process.env.SKILL_QUEUE_URL;
+    delete process.env.SKILL_IDEMPOTENCY_TABLE;
+};
+
+/**
+ * Builds the Box metadata template schemas for the templates in a skill
+ * configuration, as the mock serves them from GET /metadata_templates/:scope/:key/schema.
+ * Enum and multiSelect fields get the options listed in the configuration, and
+ * the provenanceField of a template is added as a hidden string field.
+ *
+ * @param {Object} config skill configuration, see lib/config.js
+ * @return {Object[]} template schemas
+ */
+const createTemplateSchemas = function createTemplateSchemas(config) {
+    return Object.values(config.templates).map((template) => ({
+        type: 'metadata_template',
+        scope: template.scope,
+        templateKey: template.templateKey,
+        displayName: template.templateKey,
+        hidden: false,
+        fields: Object.entries(template.fields)
+            .map(([name, field]) => {
+                const schemaField = { type: field.type, key: field.key || name, displayName: name, hidden: false };
+                if (field.options) schemaField.options = field.options.map((key) => ({ key }));
+                return schemaField;
+            })
+            .concat(
+                template.provenanceField
+                    ? [{ type: 'string', key: template.provenanceField, displayName: 'Skill provenance', hidden: true }]
+                    : []
+            )
+    }));
+};
+
+/**
+ * Calls a Lambda handler that answers through its callback and resolves to the response.
+ */
+const invokeHandler = function invokeHandler(handler, event) {
+    return new Promise((resolve, reject) => {
+        Promise.resolve(handler(event, {}, (error, response) => (error ? reject(error) : resolve(response)))).catch(
+            reject
+        );
+    });
+};
+
+/**
+ * Runs the skill end to end against a mock Box API: adds the file to the mock,
+ * sends the handler a signed invocation for it, waits for the in-process worker
+ * to finish, and returns what the skill did. When the mock has no metadata
+ * templates, the templates of the skill configuration are registered first.
+ *
+ * @param {Object} options
+ * @param {Object} options.file { id, name, content, parentId, versionId, representations, metadata }
+ *                              passed to the mock's addFile
+ * @param {Object} [options.mockBoxApi] mock to use, one is created and started if omitted
+ * @param {Object} [options.invocation] options for createInvocationBody
+ * @param {Object} [options.keys] { primaryKey, secondaryKey } used to sign the invocation
+ * @return {Promise<Object>} { response, skillInvocations, requests, mockBoxApi, body }
+ */
+const runEmulation = async function runEmulation(options) {
+    const ownsMock = !options.mockBoxApi;
+    const mockBoxApi = options.mockBoxApi || createMockBoxApi();
+    const keys = options.keys || EMULATOR_KEYS;
+    if (!mockBoxApi.baseURL) {
+        await mockBoxApi.start();
+    }
+    configureEnvironment(mockBoxApi.baseURL, keys);
+    if (!mockBoxApi.hasTemplates()) {
+        createTemplateSchemas(loadConfig()).forEach((schema) => mockBoxApi.addTemplate(schema));
+    }
+    try {
+        const file = mockBoxApi.addFile(options.file);
+        const body = JSON.stringify(
+            createInvocationBody(
+                {
+                    id: file.id,
+                    name: file.name,
+                    size: file.content.length,
+                    versionId: file.versionId,
+                    parentId: file.parentId
+                },
+                options.invocation
+            )
+        );
+        // Loaded here so that it picks up the environment configured above
+        // eslint-disable-next-line global-require
+        const skill = require('../../index');
+        const skillInvocationCount = mockBoxApi.skillInvocations.length;
+        const response = await invokeHandler(skill.handler, { body, headers: signInvocation(body, keys) });
+        await skill.queue.drain();
+        return {
+            body,
+            response,
+            mockBoxApi,
+            requests: mockBoxApi.requests,
+            skillInvocations: mockBoxApi.skillInvocations.slice(skillInvocationCount)
+        };
+    } finally {
+        if (ownsMock) {
+            await mockBoxApi.close();
+        }
+    }
+};
+
+module.exports = {
+    EMULATOR_KEYS,
+    configureEnvironment,
+    createInvocationBody,
+    createMockBoxApi,
+    createTemplateSchemas,
+    invokeHandler,
+    runEmulation,
+    signInvocation
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Builds a skill invocation event body in the shape Box sends to skills and
+ * FilesReader expects.
+ *
+ * @param {Object} file { id, name, size, versionId, parentId }
+ * @param {Object} [options]
+ * @param {string} [options.requestId] invocation id
+ * @param {string} [options.skillId] skill id
+ * @param {string} [options.readToken] access token for reading the file
+ * @param {string} [options.writeToken] access token for writing cards and metadata
+ * @param {Date} [options.createdAt] time the invocation was created, which the tokens expire an hour after
+ * @return {Object} invocation body
+ */
+const createInvocationBody = function createInvocationBody(file, options = {}) {
+    const now = (options.createdAt || new Date()).toISOString();
+    const token = (accessToken) => ({
+        access_token: accessToken,
+        expires_in: 3600,
+        restricted_to: [],
+        token_type: 'bearer'
+    });
+    return {
+        type: 'skill_invocation',
+        skill: {
+            id: options.skillId || '1001',
+            type: 'skill',
+            name: 'box-event-skill',
+            api_key: 'emulator'
+        },
+        token: {
+            read: token(options.readToken || 'emulator-read-token'),
+            write: token(options.writeToken || 'emulator-write-token')
+        },
+        status: { state: 'invoked', message: '', error_code: '', additional_info: '' },
+        id: options.requestId || `emulator_${crypto.randomBytes(6).toString('hex')}`,
+        created_at: now,
+        trigger: 'FILE_CONTENT',
+        enterprise: { type: 'enterprise', id: '1', name: 'Emulator' },
+        source: {
+            type: 'file',
+            id: String(file.id),
+            name: file.name,
+            size: file.size,
+            file_version: { type: 'file_version', id: String(file.versionId || `${file.id}1`), sha1: '' },
+            parent: { type: 'folder', id: String(file.parentId || '0') }
+        },
+        event: {
+            event_id: crypto.randomUUID(),
+            event_type: 'SKILL_INVOCATION',
+            created_at: now,
+            source: { type: 'file', id: String(file.id) }
+        }
+    };
+};
+
+/**
+ * Computes the headers Box sends with a signed delivery, which is what
+ * Box.validateWebhookMessage checks.
+ *
+ * @param {string} body serialized invocation body
+ * @param {Object} keys { primaryKey, secondaryKey }
+ * @param {Date} [timestamp] delivery time, defaults to now
+ * @return {Object} request headers
+ */
+const signInvocation = function signInvocation(body, keys, timestamp = new Date()) {
+    const deliveryTimestamp = timestamp.toISOString();
+    const sign = (key) =>
+        key &&
+        crypto
+            .createHmac('sha256', key)
+            .update(body)
+            .update(deliveryTimestamp)
+            .digest('base64');
+    return {
+        'box-delivery-id': crypto.randomUUID(),
+        'box-delivery-timestamp': deliveryTimestamp,
+        'box-signature-algorithm': 'HmacSHA256',
+        'box-signature-version': '1',
+        'box-signature-primary': sign(keys.primaryKey),
+        'box-signature-secondary': sign(keys.secondaryKey),
+        'content-type': 'application/json'
+    };
+};
+
+module.exports = {
+    createInvocationBody,
+    signInvocation
+};
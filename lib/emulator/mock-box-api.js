@@ -0,0 +1,552 @@
+'use strict';
+
+const http = require('http');
+
+const REPRESENTATION_HINT = /^\[([a-z_0-9]+)/;
+
+const metadataKey = function metadataKey(fileId, scope, template) {
+    return `${fileId}/${scope}/${template}`;
+};
+
+/**
+ * Applies a JSON Patch (add, replace, remove and test operations on top-level
+ * fields, which is what Box metadata supports) to a metadata instance.
+ * @return {boolean} false when a test operation fails
+ */
+const applyPatch = function applyPatch(instance, operations) {
+    for (const operation of operations) {
+        const field = operation.path.replace(/^\//, '');
+        switch (operation.op) {
+            case 'add':
+            case 'replace':
+                instance[field] = operation.value;
+                break;
+            case 'remove':
+                delete instance[field];
+                break;
+            case 'test':
+                if (JSON.stringify(instance[field]) !== JSON.stringify(operation.value)) return false;
+                break;
+            default:
+                return false;
+        }
+    }
+    return true;
+};
+
+const COMPARISONS = {
+    '=': (value, param) => value === param,
+    '<': (value, param) => value < param,
+    '<=': (value, param) => value <= param,
+    '>': (value, param) => value > param,
+    '>=': (value, param) => value >= param
+};
+
+/**
+ * Tests a metadata instance against a metadata query: comparisons of a field with a
+ * parameter, such as `field = :param` or `startDate <= :endDate`, joined with AND and
+ * OR and grouped with parentheses, which is what the skill queries. A field the
+ * instance does not have matches no comparison. Dates compare as ISO 8601 text.
+ */
+const matchesQuery = function matchesQuery(instance, query, params = {}) {
+    let expression = (query || '').replace(/(\w+)\s*(<=|>=|=|<|>)\s*:(\w+)/g, (condition, field, operator, param) =>
+        instance[field] !== undefined && COMPARISONS[operator](instance[field], params[param]) ? '1' : '0'
+    );
+    let reduced;
+    // evaluates the parentheses, then AND before OR, until one value is left
+    do {
+        reduced = expression;
+        expression = expression
+            .replace(/\(\s*([01])\s*\)/g, '$1')
+            .replace(/([01])\s+AND\s+([01])/i, (and, left, right) => (left === '1' && right === '1' ? '1' : '0'))
+            .replace(/(?<!AND\s+)([01])\s+OR\s+([01])(?!\s+AND)/i, (or, left, right) => (left === '1' || right === '1' ? '1' : '0'));
+    } while (expression !== reduced);
+    return expression.trim() === '1' || expression.trim() === '';
+};
+
+/**
+ * Parses a multipart/form-data body into its parts keyed by name: Buffers for file
+ * parts, strings for the others. Uploads send the file's attributes and its content this way.
+ */
+const parseMultipart = function parseMultipart(buffer, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = {};
+    let start = buffer.indexOf(delimiter);
+    while (start >= 0) {
+        const end = buffer.indexOf(delimiter, start + delimiter.length);
+        if (end < 0) break;
+        // each part is \r\n headers \r\n\r\n content \r\n
+        const part = buffer.slice(start + delimiter.length + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd).toString('utf8');
+        const name = headers.match(/name="([^"]*)"/i);
+        if (name) {
+            const content = part.slice(headerEnd + 4);
+            parts[name[1]] = /filename="/i.test(headers) ? content : content.toString('utf8');
+        }
+        start = end;
+    }
+    return parts;
+};
+
+const readBody = function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const boundary = (req.headers['content-type'] || '').match(/^multipart\/form-data;.*boundary=("?)([^";]+)\1/i);
+            if (boundary) return resolve(parseMultipart(Buffer.concat(chunks), boundary[2]));
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) return resolve(undefined);
+            try {
+                return resolve(JSON.parse(raw));
+            } catch (e) {
+                return resolve(raw);
+            }
+        });
+    });
+};
+
+/**
+ * A small in-process mock of the parts of the Box API the skill uses: file
+ * downloads and uploads, representations, metadata instances, templates and queries,
+ * folder listings, the skill_invocations endpoint, and the token endpoint for service
+ * account clients. A folder holds the files and folders added with its id as
+ * parentId; folders are added with addFolder(), and the root folder, 0, holds every
+ * file and folder below it, so metadata queries of folder 0 search every file.
+ * Every request is recorded, and PUT /skill_invocations/:id calls are kept in
+ * skillInvocations so the cards a run saved can be asserted on. Access tokens
+ * marked with expireToken() are rejected with a 401.
+ *
+ * @return {Object} the mock, see the functions below
+ */
+const createMockBoxApi = function createMockBoxApi() {
+    const files = new Map();
+    const folders = new Map();
+    const metadata = new Map();
+    const templates = new Map();
+    const requests = [];
+    const skillInvocations = [];
+    const expiredTokens = new Set();
+    const failures = [];
+    let issuedTokens = 0;
+    let uploads = 0;
+    let server = null;
+    let baseURL = null;
+
+    const send = (res, statusCode, body, headers = {}) => {
+        const payload = Buffer.isBuffer(body) ? body : JSON.stringify(body === undefined ? {} : body);
+        res.writeHead(
+            statusCode,
+            Object.assign({ 'Content-Type': Buffer.isBuffer(body) ? 'application/octet-stream' : 'application/json' }, headers)
+        );
+        res.end(payload);
+    };
+
+    const notFound = (res, code = 'not_found') => send(res, 404, { type: 'error', status: 404, code, message: 'Not Found' });
+
+    const toInstance = (file, scope, template, values) =>
+        Object.assign(
+            {
+                $parent: `file_${file.id}`,
+                $scope: scope,
+                $template: template,
+                $type: `${template}-mock`,
+                $version: 0
+            },
+            values
+        );
+
+    const toFileObject = (file) => ({
+        type: 'file',
+        id: file.id,
+        name: file.name,
+        size: file.content.length,
+        parent: { type: 'folder', id: file.parentId },
+        file_version: { type: 'file_version', id: file.versionId },
+        modified_at: file.modifiedAt
+    });
+
+    const representationEntry = (fileId, representation, rep) => ({
+        representation,
+        properties: {},
+        status: { state: rep.state },
+        content: { url_template: `${baseURL}/representations/${fileId}/${representation}/{+asset_path}` },
+        info: { url: `${baseURL}/2.0/internal_files/${fileId}/versions/1/representations/${representation}` }
+    });
+
+    /**
+     * Adds a file. representations maps representation names such as
+     * extracted_text to their content, or to { content, pendingPolls, state }
+     * for a representation that is reported as pending until its info URL has
+     * been polled pendingPolls times, and then has the given state (default
+     * success). metadata maps "scope/template" to values. modifiedAt is the time the
+     * version was uploaded, defaulting to now.
+     */
+    const addFile = ({
+        id,
+        name,
+        content,
+        parentId = '0',
+        versionId = `${id}1`,
+        modifiedAt = new Date(),
+        representations = {},
+        metadata: values = {}
+    }) => {
+        const file = {
+            id: String(id),
+            name,
+            content: Buffer.isBuffer(content) ? content : Buffer.from(content || ''),
+            parentId: String(parentId),
+            versionId: String(versionId),
+            modifiedAt: modifiedAt.toISOString(),
+            representations: Object.entries(representations).reduce((result, [representation, data]) => {
+                const options = typeof data === 'string' || Buffer.isBuffer(data) ? { content: data } : data;
+                const finalState = options.state || 'success';
+                const pendingPolls = options.pendingPolls || 0;
+                result[representation] = {
+                    content: Buffer.from(options.content || ''),
+                    state: pendingPolls > 0 ? 'pending' : finalState,
+                    finalState,
+                    pendingPolls
+                };
+                return result;
+            }, {})
+        };
+        files.set(file.id, file);
+        Object.entries(values).forEach(([scopedTemplate, instance]) => {
+            const [scope, template] = scopedTemplate.split('/');
+            metadata.set(metadataKey(file.id, scope, template), toInstance(file, scope, template, instance));
+        });
+        return file;
+    };
+
+    /** Adds a folder, whose files and folders are added with its id as parentId */
+    const addFolder = ({ id, name, parentId = '0' }) => {
+        const folder = { id: String(id), name, parentId: String(parentId) };
+        folders.set(folder.id, folder);
+        return folder;
+    };
+
+    // Whether an item with the given parent is in the folder, or in a folder below it
+    const isWithin = (parentId, folderId) =>
+        folderId === '0' ||
+        parentId === folderId ||
+        (folders.has(parentId) && isWithin(folders.get(parentId).parentId, folderId));
+
+    const routes = [
+        {
+            method: 'POST',
+            pattern: /^\/oauth2\/token$/,
+            handle(req, res) {
+                issuedTokens += 1;
+                return send(res, 200, {
+                    access_token: `service-token-${issuedTokens}`,
+                    expires_in: 3600,
+                    restricted_to: [],
+                    token_type: 'bearer'
+                });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/files\/(\w+)\/content$/,
+            handle(req, res, [fileId]) {
+                if (!files.has(fileId)) return notFound(res);
+                return send(res, 302, undefined, { Location: `${baseURL}/downloads/${fileId}` });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/downloads\/(\w+)$/,
+            handle(req, res, [fileId]) {
+                const file = files.get(fileId);
+                return file ? send(res, 200, file.content) : notFound(res);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/representations\/(\w+)\/(\w+)\/?.*$/,
+            handle(req, res, [fileId, representation]) {
+                const file = files.get(fileId);
+                const rep = file && file.representations[representation];
+                if (!rep || rep.state !== 'success') return notFound(res);
+                return send(res, 200, rep.content);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/internal_files\/(\w+)\/versions\/1\/representations\/(\w+)$/,
+            handle(req, res, [fileId, representation]) {
+                const file = files.get(fileId);
+                const rep = file && file.representations[representation];
+                if (!rep) return notFound(res);
+                if (rep.pendingPolls > 0) {
+                    rep.pendingPolls -= 1;
+                    if (rep.pendingPolls === 0) rep.state = rep.finalState;
+                }
+                return send(res, 200, representationEntry(fileId, representation, rep));
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/files\/(\w+)$/,
+            handle(req, res, [fileId], url) {
+                const file = files.get(fileId);
+                if (!file) return notFound(res);
+                if ((url.searchParams.get('fields') || '').includes('representations')) {
+                    const hint = (req.headers['x-rep-hints'] || '').match(REPRESENTATION_HINT);
+                    const representation = hint && hint[1];
+                    const rep = representation && file.representations[representation];
+                    const entries = rep ? [representationEntry(fileId, representation, rep)] : [];
+                    return send(res, 200, { type: 'file', id: fileId, representations: { entries } });
+                }
+                return send(res, 200, toFileObject(file));
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/2\.0\/files\/content$/,
+            handle(req, res, params, url, body) {
+                const attributes = JSON.parse(body.attributes);
+                const parentId = String(attributes.parent.id);
+                const existing = Array.from(files.values()).find(
+                    (file) => file.parentId === parentId && file.name === attributes.name
+                );
+                if (existing) {
+                    return send(res, 409, {
+                        type: 'error',
+                        status: 409,
+                        code: 'item_name_in_use',
+                        context_info: { conflicts: { type: 'file', id: existing.id, name: existing.name } }
+                    });
+                }
+                uploads += 1;
+                const file = addFile({ id: `upload${uploads}`, name: attributes.name, content: body.content, parentId });
+                return send(res, 201, { total_count: 1, entries: [toFileObject(file)] });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/2\.0\/files\/(\w+)\/content$/,
+            handle(req, res, [fileId], url, body) {
+                const file = files.get(fileId);
+                if (!file) return notFound(res);
+                file.content = body.content;
+                file.versionId = `${file.id}${Number(file.versionId.slice(file.id.length)) + 1}`;
+                return send(res, 201, { total_count: 1, entries: [toFileObject(file)] });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/files\/(\w+)\/metadata\/(\w+)\/(\w+)$/,
+            handle(req, res, [fileId, scope, template]) {
+                const instance = metadata.get(metadataKey(fileId, scope, template));
+                return instance ? send(res, 200, instance) : notFound(res, 'instance_not_found');
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/2\.0\/files\/(\w+)\/metadata\/(\w+)\/(\w+)$/,
+            handle(req, res, [fileId, scope, template], url, body) {
+                const file = files.get(fileId);
+                if (!file) return notFound(res);
+                if (templates.size > 0 && !templates.has(`${scope}/${template}`)) return notFound(res, 'instance_tracking_not_found');
+                const key = metadataKey(fileId, scope, template);
+                if (metadata.has(key)) return send(res, 409, { type: 'error', status: 409, code: 'tuple_already_exists' });
+                metadata.set(key, toInstance(file, scope, template, body));
+                return send(res, 201, metadata.get(key));
+            }
+        },
+        {
+            method: 'PUT',
+            pattern: /^\/2\.0\/files\/(\w+)\/metadata\/(\w+)\/(\w+)$/,
+            handle(req, res, [fileId, scope, template], url, body) {
+                const key = metadataKey(fileId, scope, template);
+                const instance = metadata.get(key);
+                if (!instance) return notFound(res, 'instance_not_found');
+                const updated = Object.assign({}, instance);
+                if (!applyPatch(updated, body || [])) {
+                    return send(res, 409, { type: 'error', status: 409, code: 'patch_test_failed' });
+                }
+                updated.$version = instance.$version + 1;
+                metadata.set(key, updated);
+                return send(res, 200, updated);
+            }
+        },
+        {
+            method: 'DELETE',
+            pattern: /^\/2\.0\/files\/(\w+)\/metadata\/(\w+)\/(\w+)$/,
+            handle(req, res, [fileId, scope, template]) {
+                const key = metadataKey(fileId, scope, template);
+                if (!metadata.delete(key)) return notFound(res, 'instance_not_found');
+                return send(res, 204, Buffer.alloc(0));
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/folders\/(\w+)\/items$/,
+            handle(req, res, [folderId], url) {
+                const items = Array.from(folders.values())
+                    .filter((folder) => folder.parentId === folderId)
+                    .map((folder) => ({ type: 'folder', id: folder.id, name: folder.name }))
+                    .concat(Array.from(files.values()).filter((file) => file.parentId === folderId).map(toFileObject));
+                const limit = Number(url.searchParams.get('limit')) || 100;
+                if (url.searchParams.get('usemarker') === 'true') {
+                    // The marker is the offset of the next page here; Box's are opaque
+                    const start = Number(url.searchParams.get('marker')) || 0;
+                    const next = start + limit < items.length ? String(start + limit) : null;
+                    return send(res, 200, { entries: items.slice(start, start + limit), limit, next_marker: next });
+                }
+                const offset = Number(url.searchParams.get('offset')) || 0;
+                return send(res, 200, {
+                    total_count: items.length,
+                    entries: items.slice(offset, offset + limit),
+                    offset,
+                    limit
+                });
+            }
+        },
+        {
+            method: 'POST',
+            pattern: /^\/2\.0\/metadata_queries\/execute_read$/,
+            handle(req, res, params, url, body) {
+                const [scope, template] = body.from.split('.');
+                const folderId = String(body.ancestor_folder_id);
+                const withMetadata = (body.fields || []).some((field) => field.startsWith(`metadata.${body.from}.`));
+                const entries = Array.from(files.values())
+                    .filter((file) => isWithin(file.parentId, folderId))
+                    .filter((file) => {
+                        const instance = metadata.get(metadataKey(file.id, scope, template));
+                        return instance && matchesQuery(instance, body.query, body.query_params);
+                    })
+                    .map((file) => {
+                        const entry = { type: 'file', id: file.id, name: file.name };
+                        if (withMetadata) {
+                            entry.metadata = { [scope]: { [template]: metadata.get(metadataKey(file.id, scope, template)) } };
+                        }
+                        return entry;
+                    });
+                return send(res, 200, { entries, next_marker: null });
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/2\.0\/metadata_templates\/(\w+)\/(\w+)\/schema$/,
+            handle(req, res, [scope, template]) {
+                const schema = templates.get(`${scope}/${template}`);
+                return schema ? send(res, 200, schema) : notFound(res);
+            }
+        },
+        {
+            method: 'PUT',
+            pattern: /^\/2\.0\/skill_invocations\/(\w+)$/,
+            handle(req, res, [skillId], url, body) {
+                skillInvocations.push({ skillId, body });
+                // The skills engine keeps the cards of a file in its global boxSkillsCards metadata
+                const file = body && body.file && files.get(String(body.file.id));
+                if (file && body.metadata) {
+                    const key = metadataKey(file.id, 'global', 'boxSkillsCards');
+                    metadata.set(key, toInstance(file, 'global', 'boxSkillsCards', { cards: body.metadata.cards }));
+                }
+                return send(res, 200, {});
+            }
+        }
+    ];
+
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, baseURL);
+        const body = await readBody(req);
+        requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body });
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '') || url.searchParams.get('access_token');
+        if (expiredTokens.has(token)) {
+            return send(
+                res,
+                401,
+                { type: 'error', status: 401, code: 'unauthorized', message: 'Unauthorized' },
+                { 'WWW-Authenticate': 'Bearer realm="Box", error="invalid_token"' }
+            );
+        }
+        const failure = failures.find(
+            (rule) => rule.times > 0 && rule.method === req.method && rule.pattern.test(url.pathname)
+        );
+        if (failure) {
+            failure.times -= 1;
+            return send(res, failure.statusCode, { type: 'error', status: failure.statusCode }, failure.headers);
+        }
+        for (const route of routes) {
+            const match = req.method === route.method && url.pathname.match(route.pattern);
+            if (match) return route.handle(req, res, match.slice(1), url, body);
+        }
+        return notFound(res);
+    };
+
+    return {
+        requests,
+        skillInvocations,
+
+        addFile,
+        addFolder,
+
+        /** Registers a metadata template schema. Once any is registered, writes to unknown templates 404. */
+        addTemplate(schema) {
+            templates.set(`${schema.scope}/${schema.templateKey}`, schema);
+        },
+
+        /** Whether any metadata template schema has been registered */
+        hasTemplates() {
+            return templates.size > 0;
+        },
+
+        /**
+         * Answers the next `times` requests with the method whose path matches pattern with
+         * statusCode and headers, such as a 429 with a Retry-After header, instead of handling them.
+         */
+        failRequests({ method, pattern, statusCode, headers = {}, times = 1 }) {
+            failures.push({ method, pattern, statusCode, headers, times });
+        },
+
+        /** Removes the failures added with failRequests() */
+        clearFailures() {
+            failures.length = 0;
+        },
+
+        /** Rejects requests made with the access token from now on, as Box does once a token has expired */
+        expireToken(accessToken) {
+            expiredTokens.add(accessToken);
+        },
+
+        /** Returns the metadata instance on a file, or undefined */
+        getMetadata(fileId, scope, template) {
+            return metadata.get(metadataKey(String(fileId), scope, template));
+        },
+
+        start(port = 0) {
+            server = http.createServer((req, res) => {
+                handleRequest(req, res).catch((e) => send(res, 500, { type: 'error', status: 500, message: e.message }));
+            });
+            return new Promise((resolve) => {
+                server.listen(port, '127.0.0.1', () => {
+                    baseURL = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseURL);
+                });
+            });
+        },
+
+        close() {
+            if (!server) return Promise.resolve();
+            // The Box SDK uses keep-alive connections, which would otherwise hold the server open
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(() => resolve()));
+        },
+
+        get baseURL() {
+            return baseURL;
+        }
+    };
+};
+
+module.exports = {
+    createMockBoxApi
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+const { SkillsErrorEnum, skillInvocationStatus } = require('../skills-kit-2.0');
+const { logger } = require('./logger');
+
+/**
+ * Base class for errors raised while handling a skill invocation. Each error
+ * carries what is needed to report it: the SkillsErrorEnum code and message for
+ * the error card shown in Box preview, whether the failure is transient (worth
+ * retrying) or permanent, and the HTTP status returned to the skills engine.
+ */
+class SkillError extends Error {
+    /**
+     * @param {string} message error message for logs
+     * @param {Object} [options]
+     * @param {string} [options.skillsError] SkillsErrorEnum code, defaults to UNKNOWN
+     * @param {boolean} [options.transient] whether retrying may succeed, defaults to false
+     * @param {number} [options.statusCode] HTTP status for the skills engine, defaults to 503 or 400
+     * @param {string} [options.cardMessage] message shown on the error card
+     * @param {Error} [options.cause] underlying error
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.skillsError = options.skillsError || SkillsErrorEnum.UNKNOWN;
+        this.transient = Boolean(options.transient);
+        this.statusCode = options.statusCode || (this.transient ? 503 : 400);
+        this.cardMessage = options.cardMessage;
+        this.cause = options.cause;
+    }
+
+    /** skillInvocationStatus to report with the error card */
+    get failureType() {
+        return this.transient ? skillInvocationStatus.TRANSIENT_FAILURE : skillInvocationStatus.PERMANENT_FAILURE;
+    }
+}
+
+/** The invocation body is malformed; there is no file to report on. */
+class InvalidEventError extends SkillError {
+    constructor(message, cause) {
+        super(message, { skillsError: SkillsErrorEnum.INVALID_EVENT, statusCode: 400, cause });
+    }
+}
+
+/**
+ * A request to the skill endpoint failed a check that shows it was not sent by Box for
+ * this skill: its signature, its delivery timestamp, its delivery id or its skill id.
+ * The reason is returned in the 401 response.
+ */
+class RequestRejectedError extends SkillError {
+    constructor(reason, cause) {
+        super(`Request rejected: ${reason}`, { skillsError: SkillsErrorEnum.INVALID_EVENT, statusCode: 401, cause });
+        this.reason = reason;
+    }
+}
+
+/** A metadata template the skill writes to does not exist in the enterprise. */
+class MetadataTemplateMissingError extends SkillError {
+    constructor(template, cause) {
+        super(`Metadata template ${template.scope}.${template.templateKey} was not found`, {
+            skillsError: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            cardMessage: `The ${template.templateKey} metadata template is not available. Ask your Box admin to check the skill configuration.`,
+            cause
+        });
+        this.template = template;
+    }
+}
+
+/** The invocation's access token was rejected, usually because it has expired. */
+class TokenExpiredError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.EXTERNAL_AUTH_ERROR,
+            transient: true,
+            cardMessage: 'The skill could not access this file. It will try again.',
+            cause
+        });
+    }
+}
+
+/**
+ * Neither the invocation's access tokens nor the skill's service account can access
+ * the file, typically because the invocation waited longer than the tokens last and no
+ * service account is configured. Retrying with the same tokens cannot succeed.
+ */
+class AuthenticationFailedError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.EXTERNAL_AUTH_ERROR,
+            statusCode: 401,
+            cardMessage:
+                "The skill's access to this file expired before it could be processed. Upload a new version to process it again.",
+            cause
+        });
+    }
+}
+
+/** The skill is not allowed to read or write the file or its metadata. */
+class AccessDeniedError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.EXTERNAL_AUTH_ERROR,
+            cardMessage: 'The skill does not have permission to process this file.',
+            cause
+        });
+    }
+}
+
+/** The metadata instance changed while the skill was writing to it (409 Conflict). */
+class MetadataConflictError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            transient: true,
+            cardMessage: 'The metadata was changed while the skill was updating it. The skill will try again.',
+            cause
+        });
+    }
+}
+
+/** Box responded with a 5xx error. */
+class BoxUnavailableError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            transient: true,
+            cardMessage: 'Box is temporarily unavailable. The skill will try again shortly.',
+            cause
+        });
+    }
+}
+
+/** Box responded with 429 Too Many Requests. */
+class RateLimitedError extends SkillError {
+    constructor(message, retryAfterSeconds, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            transient: true,
+            statusCode: 429,
+            cardMessage: 'Box is limiting requests from the skill. It will try again shortly.',
+            cause
+        });
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+/**
+ * An attendee roster cannot be counted: it is not a CSV or XLSX file, or no header row
+ * with an email column was found. The card says what the roster must look like.
+ */
+class InvalidRosterError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.INVALID_FILE_FORMAT,
+            cardMessage: `${message}. Rosters must be CSV or XLSX files with a header row naming an email column.`,
+            cause
+        });
+    }
+}
+
+/**
+ * Box did not respond, or a representation was not generated, before the deadline of
+ * the invocation. Box may be slow only for now, so the invocation is tried again.
+ */
+class DeadlineExceededError extends SkillError {
+    constructor(message, cause) {
+        super(message, {
+            skillsError: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            transient: true,
+            cardMessage: 'Box took too long to respond. The skill will try again shortly.',
+            cause
+        });
+    }
+}
+
+/**
+ * Converts any error into a SkillError. Box SDK response errors are classified
+ * by status code; a 404 is reported as a missing template when the template
+ * being accessed is known. Work the skills kit gave up on at the deadline, and
+ * network errors, are transient. Other errors thrown by the skills kit keep their
+ * SkillsErrorEnum code. SkillErrors are returned unchanged.
+ *
+ * @param {Error} error error to convert
+ * @param {Object} [context]
+ * @param {Object} [context.template] configured template being read or written
+ * @return {SkillError} the classified error
+ */
+const toSkillError = function toSkillError(error, context = {}) {
+    if (error instanceof SkillError) return error;
+    const { statusCode } = error;
+    if (statusCode === 401) return new TokenExpiredError(error.message, error);
+    if (statusCode === 403) return new AccessDeniedError(error.message, error);
+    if (statusCode === 404 && context.template) return new MetadataTemplateMissingError(context.template, error);
+    if (statusCode === 409) return new MetadataConflictError(error.message, error);
+    if (statusCode === 429) {
+        const headers = (error.response && error.response.headers) || {};
+        const retryAfter = Number(headers['retry-after']);
+        return new RateLimitedError(error.message, Number.isFinite(retryAfter) ? retryAfter : undefined, error);
+    }
+    if (statusCode >= 500) return new BoxUnavailableError(error.message, error);
+    // the skills kit marks work it gave up on at the deadline
+    if (error.deadlineExceeded) return new DeadlineExceededError(error.message, error);
+    // network errors, such as a reset connection, are system errors
+    if (error.syscall) return new BoxUnavailableError(error.message, error);
+    if (Object.values(SkillsErrorEnum).includes(error.message)) {
+        // the skills kit throws its errors with the SkillsErrorEnum code as the message
+        return new SkillError(error.message, {
+            skillsError: error.message,
+            cardMessage: 'Something went wrong while processing this file.',
+            cause: error
+        });
+    }
+    return new SkillError(error.message, {
+        cardMessage: 'Something went wrong while processing this file.',
+        cause: error
+    });
+};
+
+/**
+ * Builds the HTTP response returned to the skills engine for an error.
+ */
+const toHttpResponse = function toHttpResponse(error) {
+    if (error instanceof RequestRejectedError) {
+        return { statusCode: error.statusCode, body: `Unauthorized: ${error.reason}` };
+    }
+    const response = {
+        statusCode: error.statusCode,
+        body: error.transient
+            ? 'Something went wrong. The process will retry via exponential backoff.'
+            : `Skill invocation failed: ${error.skillsError}`
+    };
+    if (error.retryAfterSeconds !== undefined) {
+        response.headers = { 'Retry-After': String(error.retryAfterSeconds) };
+    }
+    return response;
+};
+
+/**
+ * Saves the error card for an error on the file, reporting the failure as
+ * transient or permanent. A failure to save the card is logged, not thrown, so
+ * that it does not hide the original error.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {SkillError} error classified error
+ * @return {Promise<void>}
+ */
+const saveErrorCard = function saveErrorCard(skillsWriter, error) {
+    return skillsWriter
+        .saveErrorCard(error.skillsError, { message: error.cardMessage, failureType: error.failureType })
+        .then(() => undefined)
+        .catch((e) => logger.error('Unable to save error card', { error: e }));
+};
+
+module.exports = {
+    AccessDeniedError,
+    AuthenticationFailedError,
+    BoxUnavailableError,
+    DeadlineExceededError,
+    InvalidEventError,
+    InvalidRosterError,
+    MetadataConflictError,
+    MetadataTemplateMissingError,
+    RateLimitedError,
+    RequestRejectedError,
+    SkillError,
+    TokenExpiredError,
+    saveErrorCard,
+    toHttpResponse,
+    toSkillError
+};
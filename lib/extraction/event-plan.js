@@ -0,0 +1,302 @@
+'use strict';
+
+const MONTHS = [
+    'january',
+    'february',
+    'march',
+    'april',
+    'may',
+    'june',
+    'july',
+    'august',
+    'september',
+    'october',
+    'november',
+    'december'
+];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const escapeRegExp = function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Returns the value of the first "Label: value" line whose label is one of the given labels.
+ * Leading bullets and markdown emphasis are ignored.
+ */
+const findLabeledValue = function findLabeledValue(lines, labels) {
+    const pattern = new RegExp(
+        `^[\\s*#•\\-]*(?:${labels.map(escapeRegExp).join('|')})[\\s*]*[:\\-–][\\s*]*(.+)$`,
+        'i'
+    );
+    for (const line of lines) {
+        const match = line.match(pattern);
+        if (match && match[1].trim()) return match[1].trim();
+    }
+    return undefined;
+};
+
+const monthIndex = function monthIndex(name) {
+    const prefix = name.toLowerCase().slice(0, 3);
+    return MONTHS.findIndex((month) => month.startsWith(prefix));
+};
+
+const utcDate = function utcDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return date;
+};
+
+/**
+ * Parses a single date written as 2025-03-14, 03/14/2025, March 14, 2025 or 14 March 2025.
+ * Returns null when the value is not a recognisable calendar date.
+ */
+const parseDate = function parseDate(value) {
+    const text = value.trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return utcDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (match) return utcDate(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+
+    match = text.match(new RegExp(`^(?:[a-z]+,?\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'i'));
+    if (match) return utcDate(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+
+    match = text.match(new RegExp(`^(?:[a-z]+,?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN},?\\s+(\\d{4})`, 'i'));
+    if (match) return utcDate(Number(match[3]), monthIndex(match[2]), Number(match[1]));
+
+    return null;
+};
+
+/**
+ * Parses a date or a date range such as "March 3-5, 2025" or "2025-03-03 to 2025-03-05".
+ * @return {Object|null} { start, end } dates, end equals start for single day events
+ */
+const parseDateRange = function parseDateRange(value) {
+    const sameMonth = value.match(new RegExp(`${MONTH_PATTERN}\\s+(\\d{1,2})\\s*[-–]\\s*(\\d{1,2}),?\\s+(\\d{4})`, 'i'));
+    if (sameMonth) {
+        const year = Number(sameMonth[4]);
+        const month = monthIndex(sameMonth[1]);
+        const start = utcDate(year, month, Number(sameMonth[2]));
+        const end = utcDate(year, month, Number(sameMonth[3]));
+        return start && end ? { start, end } : null;
+    }
+
+    const [first, second] = value.split(/\s+(?:to|through|until)\s+|\s+[-–]\s+/i);
+    const start = parseDate(first);
+    if (!start) return null;
+    const end = second ? parseDate(second) : start;
+    return { start, end: end || start };
+};
+
+/**
+ * Formats a date the way Box metadata date fields expect it.
+ */
+const toMetadataDate = function toMetadataDate(date) {
+    return date.toISOString();
+};
+
+/**
+ * Parses the first number in a string, ignoring thousands separators ("approximately 1,200").
+ */
+const parseNumber = function parseNumber(value) {
+    const match = value.match(/\d[\d,]*(?:\.\d+)?/);
+    if (!match) return undefined;
+    const number = Number(match[0].replace(/,/g, ''));
+    return Number.isFinite(number) ? number : undefined;
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/;
+
+/** Field extractors: each takes the parsed document and returns the fields it found. */
+
+const extractEventName = function extractEventName({ lines }) {
+    const eventName = findLabeledValue(lines, ['event name', 'event title', 'name of event', 'event']);
+    return eventName ? { eventName } : {};
+};
+
+const extractDates = function extractDates({ lines }) {
+    const fields = {};
+    const range = findLabeledValue(lines, ['event dates', 'event date', 'dates', 'date', 'when']);
+    const parsedRange = range && parseDateRange(range);
+    if (parsedRange) {
+        fields.startDate = toMetadataDate(parsedRange.start);
+        fields.endDate = toMetadataDate(parsedRange.end);
+    }
+
+    const start = findLabeledValue(lines, ['start date', 'starts', 'begins']);
+    const parsedStart = start && parseDate(start);
+    if (parsedStart) fields.startDate = toMetadataDate(parsedStart);
+
+    const end = findLabeledValue(lines, ['end date', 'ends']);
+    const parsedEnd = end && parseDate(end);
+    if (parsedEnd) fields.endDate = toMetadataDate(parsedEnd);
+    return fields;
+};
+
+const extractVenue = function extractVenue({ lines }) {
+    const venue = findLabeledValue(lines, ['venue', 'location', 'where']);
+    return venue ? { venue } : {};
+};
+
+const extractVenueCapacity = function extractVenueCapacity({ lines }) {
+    const labeled = findLabeledValue(lines, ['venue capacity', 'maximum capacity', 'max capacity', 'capacity']);
+    const venueCapacity = labeled && parseNumber(labeled);
+    return Number.isInteger(venueCapacity) ? { venueCapacity } : {};
+};
+
+// Catering values that say it has not been arranged yet
+const UNSPECIFIED = /^(?:tbd|tba|tbc|n\/?a|none|no|-+|to be (?:determined|confirmed|announced))\.?$/i;
+
+const extractCatering = function extractCatering({ lines }) {
+    const catering = findLabeledValue(lines, ['catering', 'food and beverage', 'food & beverage', 'f&b', 'meals']);
+    return catering && !UNSPECIFIED.test(catering) ? { catering } : {};
+};
+
+const extractParticipantCount = function extractParticipantCount({ lines, text }) {
+    const labeled = findLabeledValue(lines, [
+        'participant count',
+        'number of participants',
+        'number of attendees',
+        'expected attendance',
+        'expected attendees',
+        'expected participants',
+        'participants',
+        'attendees',
+        'attendance',
+        'headcount'
+    ]);
+    let participantCount = labeled && parseNumber(labeled);
+    if (participantCount === undefined) {
+        const match = text.match(/(\d[\d,]*)\s+(?:participants|attendees|guests)\b/i);
+        participantCount = match ? parseNumber(match[1]) : undefined;
+    }
+    return Number.isInteger(participantCount) ? { participantCount } : {};
+};
+
+const extractBudget = function extractBudget({ lines }) {
+    const labeled = findLabeledValue(lines, ['total budget', 'estimated budget', 'approved budget', 'budget']);
+    const budget = labeled && parseNumber(labeled);
+    return budget === undefined ? {} : { budget };
+};
+
+const extractOrganizer = function extractOrganizer({ lines }) {
+    const fields = {};
+    const contact = findLabeledValue(lines, [
+        'organizer contact',
+        'event organizer',
+        'organizer',
+        'organiser',
+        'coordinator',
+        'contact'
+    ]);
+    if (contact) {
+        const email = contact.match(EMAIL_PATTERN);
+        const phone = contact.match(PHONE_PATTERN);
+        const name = contact
+            .replace(EMAIL_PATTERN, '')
+            .replace(PHONE_PATTERN, '')
+            .replace(/[<>()[\]]/g, '')
+            .replace(/[\s,;|/-]+$/, '')
+            .replace(/^[\s,;|/-]+/, '')
+            .trim();
+        if (name) fields.organizerName = name;
+        if (email) fields.organizerEmail = email[0];
+        if (phone) fields.organizerPhone = phone[0].trim();
+    }
+
+    const email = findLabeledValue(lines, ['organizer email', 'contact email', 'email']);
+    const emailMatch = email && email.match(EMAIL_PATTERN);
+    if (emailMatch) fields.organizerEmail = emailMatch[0];
+
+    const phone = findLabeledValue(lines, ['organizer phone', 'contact phone', 'phone']);
+    const phoneMatch = phone && phone.match(PHONE_PATTERN);
+    if (phoneMatch) fields.organizerPhone = phoneMatch[0].trim();
+    return fields;
+};
+
+const defaultFieldExtractors = [
+    extractEventName,
+    extractDates,
+    extractVenue,
+    extractVenueCapacity,
+    extractParticipantCount,
+    extractBudget,
+    extractCatering,
+    extractOrganizer
+];
+
+/**
+ * Extracts eventDetails fields from the plain text of an Event Plan. Fields that
+ * cannot be found are left out of the result rather than guessed.
+ *
+ * @param {string} text plain text of the document
+ * @param {Function[]} [fieldExtractors] extractors to run, defaults to defaultFieldExtractors
+ * @return {Object} eventDetails metadata values
+ */
+const extractEventDetails = function extractEventDetails(text, fieldExtractors = defaultFieldExtractors) {
+    const document = {
+        text,
+        lines: text
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean)
+    };
+    return fieldExtractors.reduce((details, extractor) => Object.assign(details, extractor(document)), {});
+};
+
+const AGENDA_HEADING = /^[\s*#]*(?:agenda|schedule|program(?:me)?|itinerary|run of show)[\s*]*(?::\s*(.*))?$/i;
+const AGENDA_ITEM = new RegExp(
+    [
+        '^[-*•–]\\s*\\S', // bullet
+        '^\\d{1,2}[.)]\\s+\\S', // numbered item
+        '^day\\s+\\d+\\b', // Day 1 - ...
+        '^\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?\\s*[-–:]', // 9:00 - ... or 9am - ...
+        `^(?:[a-z]+,?\\s+)?${MONTH_PATTERN}\\s+\\d{1,2}\\b` // March 3 - ...
+    ].join('|'),
+    'i'
+);
+const MAX_AGENDA_ITEMS = 50;
+
+/**
+ * Extracts the agenda of an Event Plan: the list items (bullets, numbered items,
+ * "Day 1 - ..." or "9:00 - ..." lines) under an Agenda or Schedule heading, or
+ * the items of an inline "Agenda: a; b; c" line. List markers are removed.
+ *
+ * @param {string} text plain text of the document
+ * @return {string[]} agenda items in document order, empty when there is no agenda
+ */
+const extractAgenda = function extractAgenda(text) {
+    const lines = text
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+    const headingIndex = lines.findIndex((line) => AGENDA_HEADING.test(line));
+    if (headingIndex === -1) return [];
+
+    const inline = lines[headingIndex].match(AGENDA_HEADING)[1];
+    if (inline && inline.trim()) {
+        return inline
+            .split(/\s*;\s*/)
+            .filter(Boolean)
+            .slice(0, MAX_AGENDA_ITEMS);
+    }
+    const items = [];
+    for (const line of lines.slice(headingIndex + 1)) {
+        if (!AGENDA_ITEM.test(line) || items.length === MAX_AGENDA_ITEMS) break;
+        items.push(line.replace(/^(?:[-*•–]|\d{1,2}[.)])\s*/, ''));
+    }
+    return items;
+};
+
+module.exports = {
+    MONTH_PATTERN,
+    defaultFieldExtractors,
+    extractAgenda,
+    extractEventDetails,
+    findLabeledValue,
+    parseDate,
+    parseDateRange,
+    parseNumber
+};
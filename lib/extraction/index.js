@@ -0,0 +1,59 @@
+'use strict';
+
+const { extractText, measureUsage, readDocument, textParsers } = require('./text');
+const { extractAgenda, extractEventDetails, defaultFieldExtractors } = require('./event-plan');
+const { extractKeyTerms } = require('./key-terms');
+const { AttendeeStatus, countAttendees, readRoster } = require('./roster');
+const { TextSource, createTesseractEngine, getTextSourceFields, terminateOcrEngines } = require('./ocr');
+
+/**
+ * Builds an event plan extractor. The text reader, the OCR engine and the field
+ * extractors can all be swapped out, which keeps the extraction step testable
+ * against sample files without a Box connection.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.readText] (filesReader, { deadline }) => Promise<string>, replaces
+ *                                      reading the document and OCR
+ * @param {Object|null} [options.ocr] OCR engine for images and scanned documents, defaults to a
+ *                                    tesseract.js engine; null turns OCR off
+ * @param {Function[]} [options.fieldExtractors] extractors passed to extractEventDetails
+ * @return {Object} extractor with readDocument(filesReader, { deadline }) resolving to { text, source,
+ *                  confidence } (see readDocument() in ./text), readText(filesReader, { deadline }),
+ *                  extractFields(text) and extract(filesReader, { deadline }), which reads the text
+ *                  and extracts its fields
+ */
+const createEventPlanExtractor = function createEventPlanExtractor(options = {}) {
+    const ocr = options.ocr === undefined ? createTesseractEngine() : options.ocr;
+    const readDocumentText = options.readText
+        ? (filesReader, readOptions) =>
+              options.readText(filesReader, readOptions).then((text) => ({ text, source: 'document' }))
+        : (filesReader, readOptions) =>
+              readDocument(filesReader, Object.assign({ parsers: textParsers, ocr }, readOptions));
+    const readText = (filesReader, readOptions) => readDocumentText(filesReader, readOptions).then((doc) => doc.text);
+    const fieldExtractors = options.fieldExtractors || defaultFieldExtractors;
+    const extractFields = (text) => extractEventDetails(text, fieldExtractors);
+    return {
+        readDocument: readDocumentText,
+        readText,
+        extractFields,
+        extract(filesReader, readOptions) {
+            return readText(filesReader, readOptions).then(extractFields);
+        }
+    };
+};
+
+module.exports = {
+    AttendeeStatus,
+    TextSource,
+    countAttendees,
+    createEventPlanExtractor,
+    createTesseractEngine,
+    extractAgenda,
+    extractEventDetails,
+    extractKeyTerms,
+    extractText,
+    getTextSourceFields,
+    measureUsage,
+    readRoster,
+    terminateOcrEngines
+};
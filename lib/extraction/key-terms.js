@@ -0,0 +1,52 @@
+'use strict';
+
+// Common English words, and words every event plan uses, that say nothing about the event itself
+const STOP_WORDS = new Set(
+    [
+        'about after again all also and any are around because been before being between both but can could did',
+        'does each for from had has have her here his how into its just more most much must not now off only other',
+        'our out over own per same she should some such than that the their them then there these they this those',
+        'through too under until upon very was were what when where which while who whom why will with would you',
+        'your yours approximately estimated expected total including include includes',
+        'event events plan planning date dates day days name venue location budget organizer contact email phone',
+        'agenda schedule participants attendees attendance count number',
+        'january february march april may june july august september october november december',
+        'monday tuesday wednesday thursday friday saturday sunday'
+    ]
+        .join(' ')
+        .split(' ')
+);
+const WORD_PATTERN = /[a-z][a-z'-]*[a-z]/gi;
+const ADDRESS_PATTERN = /\S+@\S+|https?:\/\/\S+|www\.\S+/gi;
+const MIN_WORD_LENGTH = 3;
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Picks the key terms of a document: the words used most often, leaving out stop
+ * words, numbers, short words, and email and web addresses. Ties keep the order
+ * in which the words first appear, and each term is returned as first written.
+ *
+ * @param {string} text plain text of the document
+ * @param {Object} [options]
+ * @param {number} [options.limit] maximum number of terms, defaults to 10
+ * @return {string[]} key terms, most frequent first
+ */
+const extractKeyTerms = function extractKeyTerms(text, options = {}) {
+    const limit = options.limit || DEFAULT_LIMIT;
+    const terms = new Map();
+    (text.replace(ADDRESS_PATTERN, ' ').match(WORD_PATTERN) || []).forEach((word) => {
+        const key = word.toLowerCase();
+        if (key.length < MIN_WORD_LENGTH || STOP_WORDS.has(key)) return;
+        const term = terms.get(key) || { text: word, count: 0, position: terms.size };
+        term.count += 1;
+        terms.set(key, term);
+    });
+    return [...terms.values()]
+        .sort((a, b) => b.count - a.count || a.position - b.position)
+        .slice(0, limit)
+        .map((term) => term.text);
+};
+
+module.exports = {
+    extractKeyTerms
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const os = require('os');
+const { createWorker } = require('tesseract.js');
+const { logger } = require('../logger');
+
+// Tesseract language codes, joined with + to read text in more than one language
+const DEFAULT_LANGUAGES = 'eng';
+// OCR confidence (0-100) below which extracted text is marked for review
+const DEFAULT_MIN_CONFIDENCE = 70;
+
+// Engines created by createTesseractEngine(), whose workers terminateOcrEngines() stops
+const engines = new Set();
+
+/** Values of the textSource metadata field, saying where the extracted values were read from */
+const TextSource = {
+    DOCUMENT: 'Document',
+    OCR: 'OCR',
+    LOW_CONFIDENCE_OCR: 'OCR (low confidence)'
+};
+
+/**
+ * Minimum OCR confidence for text to be trusted without review, from OCR_MIN_CONFIDENCE.
+ */
+const getMinConfidence = function getMinConfidence(env = process.env) {
+    const minConfidence = Number(env.OCR_MIN_CONFIDENCE);
+    return env.OCR_MIN_CONFIDENCE && Number.isFinite(minConfidence) ? minConfidence : DEFAULT_MIN_CONFIDENCE;
+};
+
+/**
+ * Builds an OCR engine backed by tesseract.js, which runs Tesseract compiled to
+ * WebAssembly in a worker thread. The worker is started on first use and kept for
+ * later invocations of a warm Lambda. Language data is downloaded from langPath
+ * (by default the tesseract.js CDN) and cached in the temporary directory.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.languages] Tesseract language codes joined with +, defaults to OCR_LANGUAGES or eng
+ * @param {string} [options.langPath] URL or directory holding the language data, defaults to OCR_LANG_PATH
+ * @return {Object} engine with recognize(image) resolving to { text, confidence } and terminate()
+ */
+const createTesseractEngine = function createTesseractEngine(options = {}) {
+    const languages = options.languages || process.env.OCR_LANGUAGES || DEFAULT_LANGUAGES;
+    const langPath = options.langPath || process.env.OCR_LANG_PATH || undefined;
+    let worker;
+    const engine = {
+        recognize(image) {
+            if (!worker) {
+                worker = createWorker(languages, undefined, { langPath, cachePath: os.tmpdir() }).catch((e) => {
+                    worker = undefined;
+                    throw e;
+                });
+            }
+            return worker
+                .then((tesseract) => tesseract.recognize(image))
+                .then(({ data }) => ({ text: data.text, confidence: data.confidence }));
+        },
+
+        terminate() {
+            const started = worker;
+            worker = undefined;
+            return started ? started.then((tesseract) => tesseract.terminate()) : Promise.resolve();
+        }
+    };
+    engines.add(engine);
+    return engine;
+};
+
+/**
+ * Stops the workers of every engine created with createTesseractEngine(). The
+ * worker thread keeps the process running, so command line tools that may have
+ * used OCR call this when they are done. Engines start a new worker if used again.
+ *
+ * @return {Promise} resolves once the workers have stopped
+ */
+const terminateOcrEngines = function terminateOcrEngines() {
+    return Promise.all(Array.from(engines, (engine) => engine.terminate()));
+};
+
+/**
+ * Reads the image to run OCR on: the JPEG representation Box generates for images
+ * and documents (the first page of a document), or the original file for images
+ * Box has no representation of. Resolves to null when there is no image.
+ */
+const readImage = function readImage(filesReader, options) {
+    return filesReader.getImageRepresentation({ deadline: options.deadline }).then((image) => {
+        if (image) return image;
+        if (filesReader.fileType !== 'IMAGE') return null;
+        logger.info('File has no image representation, reading the original image');
+        return filesReader.getContentBinary().then((binary) => Buffer.from(binary, 'binary'));
+    });
+};
+
+/**
+ * Reads the text of a scanned document or photo with OCR.
+ *
+ * @param {FilesReader} filesReader reader built from the skill invocation event
+ * @param {Object} engine OCR engine, see createTesseractEngine()
+ * @param {Object} [options]
+ * @param {number} [options.deadline] time (ms since epoch) to wait for the image representation until
+ * @return {Promise<Object>} resolves to { text, confidence }, confidence being 0-100
+ */
+const recognizeText = function recognizeText(filesReader, engine, options = {}) {
+    return readImage(filesReader, options).then((image) => {
+        if (!image) {
+            throw new Error(`No image to read text from in ${filesReader.fileFormat} file`);
+        }
+        return logger.span('ocr', () => engine.recognize(image)).then((result) => {
+            logger.info('Read text with OCR', { confidence: result.confidence, length: result.text.length });
+            return result;
+        });
+    });
+};
+
+/**
+ * Metadata fields recording where the text was read from, so that values read
+ * with OCR below the minimum confidence are marked for review instead of being
+ * taken as fact. So are values read from the first page of a document with more
+ * than one, see readImage(), as the rest of the document may hold other values.
+ *
+ * @param {Object} document { source, confidence, pageCount }, see readDocument() in ./text
+ * @param {number} [minConfidence] defaults to getMinConfidence()
+ * @return {Object} { textSource } and, for OCR, { ocrConfidence } rounded to a whole percentage
+ */
+const getTextSourceFields = function getTextSourceFields(document, minConfidence = getMinConfidence()) {
+    if (document.source !== 'ocr') {
+        return { textSource: TextSource.DOCUMENT };
+    }
+    const needsReview = document.confidence < minConfidence || document.pageCount > 1;
+    return {
+        textSource: needsReview ? TextSource.LOW_CONFIDENCE_OCR : TextSource.OCR,
+        ocrConfidence: Math.round(document.confidence)
+    };
+};
+
+module.exports = {
+    TextSource,
+    createTesseractEngine,
+    getMinConfidence,
+    getTextSourceFields,
+    recognizeText,
+    terminateOcrEngines
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+const { DOMParser } = require('@xmldom/xmldom');
+const JSZip = require('jszip');
+const { InvalidRosterError } = require('../errors');
+const { readStreamToBuffer } = require('./text');
+
+// Rosters often start with a title and notes, the header row is looked for in the first rows only
+const MAX_HEADER_ROW = 20;
+const CSV_DELIMITERS = [',', ';', '\t'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_HEADER = /\be-?mail\b/i;
+const STATUS_HEADER = /\b(status|registration|attendance)\b/i;
+
+/** Status of an attendee on a roster, from its status column */
+const AttendeeStatus = {
+    REGISTERED: 'registered',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+};
+
+// An attendee listed more than once is counted with the first of these statuses they have
+const STATUS_PRECEDENCE = [AttendeeStatus.REGISTERED, AttendeeStatus.WAITLISTED, AttendeeStatus.CANCELLED];
+
+/**
+ * Picks the delimiter of a CSV file, the one of comma, semicolon and tab that is
+ * used most on its first lines. Spreadsheets exported in some locales use semicolons.
+ */
+const detectDelimiter = function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/, 10).join('\n');
+    const counts = CSV_DELIMITERS.map((delimiter) => sample.split(delimiter).length);
+    return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+/**
+ * Parses a CSV file into rows of cell values. Quoted values may hold delimiters,
+ * line breaks and doubled quotes.
+ *
+ * @param {Buffer} buffer UTF-8 file contents, with or without a byte order mark
+ * @return {string[][]} rows
+ */
+const parseCsv = function parseCsv(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                value += char;
+            } else if (text[i + 1] === '"') {
+                value += '"';
+                i += 1;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Spreadsheet elements are looked up by local name, as some writers prefix the namespace
+const childElements = function childElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+};
+
+const parseXml = function parseXml(zip, path) {
+    const file = zip.file(path);
+    if (!file) return Promise.resolve(null);
+    return file.async('string').then((xml) => new DOMParser().parseFromString(xml, 'text/xml'));
+};
+
+// Column index of a cell reference such as AB12, 0 for column A
+const columnIndex = function columnIndex(reference) {
+    const letters = (reference || '').replace(/\d+$/, '').toUpperCase();
+    return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const cellValue = function cellValue(cell, sharedStrings) {
+    const type = cell.getAttribute('t');
+    const [value] = childElements(cell, 'v').map((node) => node.textContent);
+    if (type === 's') return sharedStrings[Number(value)] || '';
+    if (type === 'inlineStr') return childElements(cell, 't').map((node) => node.textContent).join('');
+    if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+    return value || '';
+};
+
+/** Path in the workbook of its first worksheet */
+const firstSheetPath = async function firstSheetPath(zip) {
+    const workbook = await parseXml(zip, 'xl/workbook.xml');
+    const relationships = await parseXml(zip, 'xl/_rels/workbook.xml.rels');
+    const [sheet] = workbook ? childElements(workbook, 'sheet') : [];
+    if (!sheet || !relationships) return null;
+    const relationshipId = Array.from(sheet.attributes).find((attribute) => attribute.localName === 'id');
+    const relationship = childElements(relationships, 'Relationship').find(
+        (node) => relationshipId && node.getAttribute('Id') === relationshipId.value
+    );
+    if (!relationship) return null;
+    const target = relationship.getAttribute('Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Parses the first worksheet of an XLSX workbook into rows of cell values. Cells
+ * hold the text Excel stores for them: numbers and dates are not formatted.
+ *
+ * @param {Buffer} buffer file contents
+ * @return {Promise<string[][]>} resolves to the rows, rejects with an InvalidRosterError
+ *                               when the file is not an XLSX workbook
+ */
+const parseXlsx = async function parseXlsx(buffer) {
+    let zip;
+    let sheetPath;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+        sheetPath = await firstSheetPath(zip);
+    } catch (e) {
+        throw new InvalidRosterError('The roster is not a readable XLSX workbook', e);
+    }
+    const sheet = sheetPath && (await parseXml(zip, sheetPath));
+    if (!sheet) {
+        throw new InvalidRosterError('The roster workbook has no worksheet');
+    }
+    const strings = await parseXml(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = strings
+        ? childElements(strings, 'si').map((item) => childElements(item, 't').map((node) => node.textContent).join(''))
+        : [];
+    return childElements(sheet, 'row').map((row) => {
+        const values = [];
+        childElements(row, 'c').forEach((cell) => {
+            const reference = cell.getAttribute('r');
+            values[reference ? columnIndex(reference) : values.length] = cellValue(cell, sharedStrings);
+        });
+        return Array.from(values, (value) => value || '');
+    });
+};
+
+/** Roster parsers keyed by file format, each resolving to the rows of the roster */
+const rosterParsers = {
+    csv: parseCsv,
+    xlsx: parseXlsx
+};
+
+/**
+ * Finds the header row of a roster: the first row, among the first 20, with a cell
+ * naming an email column. A status column is optional.
+ *
+ * @param {string[][]} rows roster rows
+ * @return {Object|null} { index, emailColumn, statusColumn }, statusColumn being -1 when
+ *                       there is none, or null when no header row was found
+ */
+const findHeaderRow = function findHeaderRow(rows) {
+    for (let index = 0; index < Math.min(rows.length, MAX_HEADER_ROW); index += 1) {
+        const cells = rows[index].map((cell) => String(cell).trim());
+        const emailColumn = cells.findIndex((cell) => EMAIL_HEADER.test(cell) && !cell.includes('@'));
+        if (emailColumn >= 0) {
+            return { index, emailColumn, statusColumn: cells.findIndex((cell) => STATUS_HEADER.test(cell)) };
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads an attendee's status from the status column. Anything that does not say
+ * waitlisted or cancelled, including an empty status, counts as registered.
+ */
+const readStatus = function readStatus(value) {
+    if (/wait/i.test(value)) return AttendeeStatus.WAITLISTED;
+    if (/cancel|declin|withdr|not attending/i.test(value)) return AttendeeStatus.CANCELLED;
+    return AttendeeStatus.REGISTERED;
+};
+
+/**
+ * Counts the attendees on a roster. Attendees are told apart by email address,
+ * compared without case; an attendee listed more than once is counted once, as
+ * registered if any of their rows says so, then as waitlisted. Rows below the
+ * header without a valid email address, such as totals, are skipped.
+ *
+ * @param {string[][]} rows roster rows, see rosterParsers
+ * @return {Object} { registered, waitlisted, cancelled, duplicates, skipped } counts
+ * @throws {InvalidRosterError} when no header row with an email column is found
+ */
+const countAttendees = function countAttendees(rows) {
+    const header = findHeaderRow(rows);
+    if (!header) {
+        throw new InvalidRosterError(`No header row with an email column was found in the first ${MAX_HEADER_ROW} rows`);
+    }
+    const attendees = new Map();
+    const counts = { registered: 0, waitlisted: 0, cancelled: 0, duplicates: 0, skipped: 0 };
+    rows.slice(header.index + 1).forEach((row) => {
+        const email = String(row[header.emailColumn] || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+            if (row.some((cell) => String(cell).trim())) counts.skipped += 1;
+            return;
+        }
+        const status = header.statusColumn >= 0 ? readStatus(row[header.statusColumn] || '') : AttendeeStatus.REGISTERED;
+        if (attendees.has(email)) {
+            counts.duplicates += 1;
+            if (STATUS_PRECEDENCE.indexOf(status) >= STATUS_PRECEDENCE.indexOf(attendees.get(email))) return;
+        }
+        attendees.set(email, status);
+    });
+    attendees.forEach((status) => {
+        counts[status] += 1;
+    });
+    return counts;
+};
+
+/**
+ * Downloads an attendee roster and counts its attendees, see countAttendees().
+ *
+ * @param {FilesReader} filesReader reader for the roster file
+ * @param {Object} [parsers] parsers keyed by file format, defaults to rosterParsers
+ * @return {Promise<Object>} resolves to the counts
+ * @throws {InvalidRosterError} when the roster format has no parser, or the roster has no header row
+ */
+const readRoster = async function readRoster(filesReader, parsers = rosterParsers) {
+    const parser = parsers[filesReader.fileFormat];
+    if (!parser) {
+        throw new InvalidRosterError(`Rosters in ${filesReader.fileFormat || 'this'} format cannot be read`);
+    }
+    const buffer = await filesReader.getContentStream().then(readStreamToBuffer);
+    return countAttendees(await parser(buffer));
+};
+
+module.exports = {
+    AttendeeStatus,
+    countAttendees,
+    findHeaderRow,
+    parseCsv,
+    parseXlsx,
+    readRoster,
+    rosterParsers
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { usageUnit } = require('../../skills-kit-2.0');
+const { logger } = require('../logger');
+const { recognizeText } = require('./ocr');
+
+// Separates pages in extracted text
+const PAGE_SEPARATOR = '\f';
+
+/**
+ * Reads a readable stream fully into a Buffer.
+ * @param  {Object} stream - read stream
+ * @return {Promise<Buffer>} resolves to the bytes read from the stream
+ */
+const readStreamToBuffer = function readStreamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+};
+
+const parsePlainText = function parsePlainText(buffer) {
+    return Promise.resolve(buffer.toString('utf8'));
+};
+
+/**
+ * Renders the text of a PDF page, starting a new line whenever the vertical
+ * position of the text changes (the same as pdf-parse's default renderer).
+ */
+const renderPdfPage = function renderPdfPage(pageData) {
+    return pageData.getTextContent().then((textContent) => {
+        let lastY;
+        return textContent.items.reduce((text, item) => {
+            const y = item.transform[5];
+            const separator = lastY === undefined || y === lastY ? '' : '\n';
+            lastY = y;
+            return `${text}${separator}${item.str}`;
+        }, '');
+    });
+};
+
+const parsePdf = function parsePdf(buffer) {
+    const pages = [];
+    // pdf.js reads object offsets from the view's underlying ArrayBuffer and Buffer.slice()
+    // returns views, so small (pooled) Buffers are misread; hand it a plain Uint8Array copy.
+    return pdfParse(new Uint8Array(buffer), {
+        // Pages are rendered in order; keep them apart so they can be joined with form feeds
+        pagerender: (pageData) => renderPdfPage(pageData).then((text) => pages.push(text) && text)
+    }).then(() => pages.join(PAGE_SEPARATOR));
+};
+
+const parseDocx = function parseDocx(buffer) {
+    return mammoth.extractRawText({ buffer }).then((result) => result.value);
+};
+
+/**
+ * Text parsers keyed by file format (extension). Each parser takes the raw
+ * file bytes and resolves to plain text.
+ */
+const textParsers = {
+    pdf: parsePdf,
+    docx: parseDocx,
+    txt: parsePlainText,
+    text: parsePlainText,
+    md: parsePlainText
+};
+
+/**
+ * Downloads the original file and parses it with the parser for its format.
+ *
+ * @param {FilesReader} filesReader reader built from the skill invocation event
+ * @param {Object} [parsers] parsers keyed by file format, defaults to textParsers
+ * @return {Promise<string>} resolves to the document text, rejects when the format has no parser
+ */
+const parseOriginalFile = function parseOriginalFile(filesReader, parsers = textParsers) {
+    const parser = parsers[filesReader.fileFormat];
+    if (!parser) {
+        return Promise.reject(new Error(`No text parser for ${filesReader.fileFormat} files`));
+    }
+    return filesReader
+        .getContentStream()
+        .then(readStreamToBuffer)
+        .then((buffer) => parser(buffer));
+};
+
+/**
+ * Reads the text of the file referenced by a FilesReader, from the extracted_text
+ * representation Box generates for documents. When Box has no text representation
+ * for the file, the original file is downloaded and parsed locally instead, for the
+ * formats that have a parser. Pages are separated by form feeds.
+ *
+ * @param {FilesReader} filesReader reader built from the skill invocation event
+ * @param {Object} [parsers] parsers keyed by file format, defaults to textParsers
+ * @param {Object} [options]
+ * @param {number} [options.deadline] time (ms since epoch) to wait for the representation until
+ * @return {Promise<string>} resolves to the document text
+ */
+const extractText = function extractText(filesReader, parsers = textParsers, options = {}) {
+    return filesReader.getExtractedText({
+        deadline: options.deadline,
+        fallback: (reader) => parseOriginalFile(reader, parsers)
+    });
+};
+
+/**
+ * Reads the text of a document like extractText(), turning to OCR for images and
+ * for documents without any text, such as scanned PDFs.
+ *
+ * @param {FilesReader} filesReader reader built from the skill invocation event
+ * @param {Object} [options]
+ * @param {Object} [options.parsers] parsers keyed by file format, defaults to textParsers
+ * @param {Object} [options.ocr] OCR engine, see createTesseractEngine() in ./ocr; without one OCR is not used
+ * @param {number} [options.deadline] time (ms since epoch) to wait for representations until
+ * @return {Promise<Object>} resolves to { text, source }, source being document or ocr, and
+ *                           for OCR the confidence (0-100) of the text and, for documents, their
+ *                           pageCount, of which only the first page is read
+ */
+const readDocument = function readDocument(filesReader, options = {}) {
+    const { parsers = textParsers, ocr, deadline } = options;
+    const readWithOcr = () =>
+        recognizeText(filesReader, ocr, { deadline }).then(({ text, confidence }) => ({
+            text,
+            source: 'ocr',
+            confidence
+        }));
+    if (ocr && filesReader.fileType === 'IMAGE') {
+        return readWithOcr();
+    }
+    return extractText(filesReader, parsers, { deadline }).then((text) => {
+        if (!ocr || text.trim()) return { text, source: 'document' };
+        // The text has no words but still separates the pages, which tells how many OCR leaves out
+        const pageCount = text.split(PAGE_SEPARATOR).length;
+        logger.info('Document has no text, reading it with OCR', { pageCount });
+        if (pageCount > 1) {
+            logger.warn('Only the first page of the document is read with OCR', { pageCount });
+        }
+        return readWithOcr().then((document) => Object.assign(document, { pageCount }));
+    });
+};
+
+/**
+ * Measures what was processed to read a document, for the usage reported to Box
+ * with the cards: pages for text with page breaks and for images read with OCR
+ * (one page), words otherwise.
+ *
+ * @param {Object} document { text, source }, see readDocument()
+ * @return {Object|null} { unit, value } with a usageUnit, or null when nothing was read
+ */
+const measureUsage = function measureUsage(document) {
+    if (document.source === 'ocr') {
+        return { unit: usageUnit.PAGES, value: 1 };
+    }
+    const pages = document.text.split(PAGE_SEPARATOR).filter((page) => page.trim());
+    if (pages.length > 1) {
+        return { unit: usageUnit.PAGES, value: pages.length };
+    }
+    const words = document.text.split(/\s+/).filter(Boolean).length;
+    return words > 0 ? { unit: usageUnit.WORDS, value: words } : null;
+};
+
+module.exports = {
+    extractText,
+    measureUsage,
+    readDocument,
+    parseOriginalFile,
+    readStreamToBuffer,
+    textParsers
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { DynamoDBClient, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Idempotency store backed by a DynamoDB table with a string partition key named
+ * "pk". Records are stored as JSON in a "record" attribute, and "expiresAt" can be
+ * used as the table's TTL attribute so old invocation records are cleaned up.
+ *
+ * @param {Object} options
+ * @param {string} options.tableName name of the table
+ * @param {DynamoDBClient} [options.client] DynamoDB client, created for the current region if omitted
+ * @param {number} [options.ttlSeconds] how long records are kept, defaults to 30 days
+ * @return {Object} store with get(key), create(key, record) and put(key, record)
+ */
+const createDynamoDbStore = function createDynamoDbStore(options) {
+    if (!options || !options.tableName) {
+        throw new Error('A DynamoDB table name is required');
+    }
+    const client = options.client || new DynamoDBClient({});
+    const ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+
+    const toItem = (key, record) => ({
+        pk: { S: key },
+        record: { S: JSON.stringify(record) },
+        expiresAt: { N: String(Math.floor(Date.now() / 1000) + ttlSeconds) }
+    });
+
+    return {
+        get(key) {
+            return client
+                .send(new GetItemCommand({ TableName: options.tableName, Key: { pk: { S: key } }, ConsistentRead: true }))
+                .then((result) => (result.Item ? JSON.parse(result.Item.record.S) : null));
+        },
+
+        create(key, record) {
+            return client
+                .send(
+                    new PutItemCommand({
+                        TableName: options.tableName,
+                        Item: toItem(key, record),
+                        ConditionExpression: 'attribute_not_exists(pk)'
+                    })
+                )
+                .then(() => true)
+                .catch((e) => {
+                    if (e.name === 'ConditionalCheckFailedException') return false;
+                    throw e;
+                });
+        },
+
+        put(key, record) {
+            return client
+                .send(new PutItemCommand({ TableName: options.tableName, Item: toItem(key, record) }))
+                .then(() => undefined);
+        }
+    };
+};
+
+module.exports = {
+    createDynamoDbStore
+};
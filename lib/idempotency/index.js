@@ -0,0 +1,218 @@
+'use strict';
+
+const isEqual = require('lodash/isEqual');
+const { createMemoryStore } = require('./memory');
+const { createDynamoDbStore } = require('./dynamodb');
+const { createProvenance, readProvenance } = require('./provenance');
+
+/** Statuses recorded for each skill invocation */
+const InvocationStatus = {
+    PROCESSING: 'processing',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+/** How long a delivery may stay in processing before a redelivery is allowed to take it over */
+const PROCESSING_LEASE_MS = 15 * 60 * 1000;
+
+/** Policies for fields a user has edited by hand since the skill last wrote them */
+const ManualEditPolicy = {
+    KEEP: 'keep',
+    OVERWRITE: 'overwrite'
+};
+
+const invocationKey = function invocationKey(fileContext) {
+    return `invocation#${fileContext.requestId}#${fileContext.fileVersionId || 'unknown'}`;
+};
+
+const fileKey = function fileKey(fileId) {
+    return `file#${fileId}`;
+};
+
+const deliveryKey = function deliveryKey(delivery) {
+    return `delivery#${delivery.deliveryId}#${delivery.deliveryTimestamp}`;
+};
+
+/**
+ * Creates the idempotency store: DynamoDB when SKILL_IDEMPOTENCY_TABLE is set,
+ * in-memory otherwise.
+ */
+const createIdempotencyStore = function createIdempotencyStore(env = process.env) {
+    if (env.SKILL_IDEMPOTENCY_TABLE) {
+        return createDynamoDbStore({ tableName: env.SKILL_IDEMPOTENCY_TABLE });
+    }
+    return createMemoryStore();
+};
+
+/**
+ * Returns the record of an invocation, or null if it has not been seen before.
+ */
+const getInvocation = function getInvocation(store, fileContext) {
+    return store.get(invocationKey(fileContext));
+};
+
+/**
+ * Claims an invocation for processing. A delivery is a duplicate, and should be
+ * skipped, when the same invocation of the same file version has already
+ * succeeded or is still being processed within its lease. Failed invocations and
+ * expired leases are taken over so that retries run again.
+ *
+ * @param {Object} store idempotency store
+ * @param {Object} fileContext FilesReader.getFileContext()
+ * @param {number} [now] current time in milliseconds
+ * @return {Promise<Object>} { proceed, existing } where existing is the prior record, if any
+ */
+const beginInvocation = async function beginInvocation(store, fileContext, now = Date.now()) {
+    const key = invocationKey(fileContext);
+    const record = {
+        status: InvocationStatus.PROCESSING,
+        requestId: fileContext.requestId,
+        fileId: fileContext.fileId,
+        fileVersionId: fileContext.fileVersionId,
+        startedAt: new Date(now).toISOString(),
+        attempts: 1
+    };
+    if (await store.create(key, record)) {
+        return { proceed: true, existing: null };
+    }
+
+    const existing = await store.get(key);
+    if (existing && existing.status === InvocationStatus.SUCCEEDED) {
+        return { proceed: false, existing };
+    }
+    if (
+        existing &&
+        existing.status === InvocationStatus.PROCESSING &&
+        now - Date.parse(existing.startedAt) < PROCESSING_LEASE_MS
+    ) {
+        return { proceed: false, existing };
+    }
+    record.attempts = existing ? existing.attempts + 1 : 1;
+    await store.put(key, record);
+    return { proceed: true, existing };
+};
+
+/**
+ * Records a signed request to the skill endpoint. A request whose delivery id and
+ * delivery timestamp were recorded before is a replay of an earlier request: Box
+ * signs each delivery, including its retries, with a new timestamp.
+ *
+ * @param {Object} store idempotency store
+ * @param {Object} delivery { deliveryId, deliveryTimestamp } from the box-delivery-id and
+ *                          box-delivery-timestamp headers
+ * @param {number} [now] current time in milliseconds
+ * @return {Promise<boolean>} false when the delivery was recorded before
+ */
+const recordDelivery = function recordDelivery(store, delivery, now = Date.now()) {
+    return store.create(deliveryKey(delivery), {
+        deliveryId: delivery.deliveryId,
+        deliveryTimestamp: delivery.deliveryTimestamp,
+        receivedAt: new Date(now).toISOString()
+    });
+};
+
+/**
+ * Returns the values the skill last wrote to the file, keyed by template name.
+ */
+const getLastWrites = function getLastWrites(store, fileId) {
+    return store.get(fileKey(fileId)).then((record) => (record ? record.written : {}));
+};
+
+/**
+ * Records a successful invocation, along with the values it wrote so that the
+ * next invocation for the file can tell which fields were edited by hand.
+ *
+ * @param {Object} store idempotency store
+ * @param {Object} fileContext FilesReader.getFileContext()
+ * @param {Object} outcome { pipeline, written, changes } where written holds the written values and
+ *                         changes the { field, from, to } changes made, both keyed by template
+ */
+const completeInvocation = async function completeInvocation(store, fileContext, outcome) {
+    const previous = await getLastWrites(store, fileContext.fileId);
+    const completedAt = new Date().toISOString();
+    await store.put(fileKey(fileContext.fileId), {
+        fileVersionId: fileContext.fileVersionId,
+        requestId: fileContext.requestId,
+        updatedAt: completedAt,
+        written: Object.assign({}, previous, outcome.written)
+    });
+    const key = invocationKey(fileContext);
+    const record = await store.get(key);
+    await store.put(
+        key,
+        Object.assign({}, record, {
+            status: InvocationStatus.SUCCEEDED,
+            completedAt,
+            pipeline: outcome.pipeline,
+            written: outcome.written,
+            changes: outcome.changes
+        })
+    );
+};
+
+/**
+ * Records a failed invocation so that a retry of it is allowed to run again.
+ */
+const failInvocation = async function failInvocation(store, fileContext, error) {
+    const key = invocationKey(fileContext);
+    const record = await store.get(key);
+    await store.put(
+        key,
+        Object.assign({}, record, {
+            status: InvocationStatus.FAILED,
+            failedAt: new Date().toISOString(),
+            error: error.message
+        })
+    );
+};
+
+/**
+ * Decides which extracted values to write over the current metadata instance.
+ * A field counts as edited by hand when its current value differs from the value
+ * the skill last wrote to it. With the keep policy those fields are left as they
+ * are; with the overwrite policy every extracted value is written.
+ *
+ * @param {Object|null} current current instance values, keyed by field name
+ * @param {Object|undefined} lastWritten values the skill last wrote to this template
+ * @param {Object} extracted newly extracted values
+ * @param {string} [policy] ManualEditPolicy value, defaults to keep
+ * @return {Object} { values, written, keptFields } where values is the full instance to
+ *                  save and written the values the skill now owns
+ */
+const mergeManualEdits = function mergeManualEdits(current, lastWritten, extracted, policy = ManualEditPolicy.KEEP) {
+    if (policy === ManualEditPolicy.OVERWRITE) {
+        return { values: extracted, written: extracted, keptFields: [] };
+    }
+    const currentValues = current || {};
+    const previous = lastWritten || {};
+    const values = Object.assign({}, currentValues);
+    const written = {};
+    const keptFields = [];
+    Object.entries(extracted).forEach(([field, value]) => {
+        if (!isEqual(currentValues[field], previous[field])) {
+            keptFields.push(field);
+            if (previous[field] !== undefined) written[field] = previous[field];
+            return;
+        }
+        values[field] = value;
+        written[field] = value;
+    });
+    return { values, written, keptFields };
+};
+
+module.exports = {
+    InvocationStatus,
+    ManualEditPolicy,
+    beginInvocation,
+    completeInvocation,
+    createIdempotencyStore,
+    createDynamoDbStore,
+    createMemoryStore,
+    createProvenance,
+    failInvocation,
+    getInvocation,
+    getLastWrites,
+    mergeManualEdits,
+    readProvenance,
+    recordDelivery
+};
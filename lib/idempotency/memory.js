@@ -0,0 +1,36 @@
+'use strict';
+
+const cloneDeep = require('lodash/cloneDeep');
+
+/**
+ * Idempotency store kept in process memory, for tests and local runs. Records
+ * are copied on the way in and out so callers cannot change stored state.
+ *
+ * @return {Object} store with get(key), create(key, record) and put(key, record)
+ */
+const createMemoryStore = function createMemoryStore() {
+    const records = new Map();
+
+    return {
+        records,
+
+        get(key) {
+            return Promise.resolve(records.has(key) ? cloneDeep(records.get(key)) : null);
+        },
+
+        create(key, record) {
+            if (records.has(key)) return Promise.resolve(false);
+            records.set(key, cloneDeep(record));
+            return Promise.resolve(true);
+        },
+
+        put(key, record) {
+            records.set(key, cloneDeep(record));
+            return Promise.resolve();
+        }
+    };
+};
+
+module.exports = {
+    createMemoryStore
+};
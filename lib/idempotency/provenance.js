@@ -0,0 +1,49 @@
+'use strict';
+
+const { logger } = require('../logger');
+
+/**
+ * Builds the provenance marker the skill saves in a template's provenanceField
+ * whenever it writes to the template: which invocation wrote it, and the values
+ * the skill owns in the instance. A later run compares the instance against
+ * these values to tell which fields were edited by hand, even when the
+ * idempotency store has no record of the file.
+ *
+ * @param {Object} fileContext FilesReader.getFileContext()
+ * @param {Object} values values the skill wrote, keyed by template field key
+ * @return {string} the marker, as compact JSON
+ */
+const createProvenance = function createProvenance(fileContext, values) {
+    return JSON.stringify({
+        requestId: fileContext.requestId,
+        fileVersionId: fileContext.fileVersionId,
+        writtenAt: new Date().toISOString(),
+        values
+    });
+};
+
+/**
+ * Reads the provenance marker from a metadata instance.
+ *
+ * @param {Object|null} instance metadata instance as read from Box
+ * @param {Object} template configured template
+ * @return {Object|null} { requestId, fileVersionId, writtenAt, values }, or null when the
+ *                       template has no provenanceField or the instance has no valid marker
+ */
+const readProvenance = function readProvenance(instance, template) {
+    const marker = instance && template.provenanceField ? instance[template.provenanceField] : undefined;
+    if (typeof marker !== 'string') return null;
+    try {
+        const provenance = JSON.parse(marker);
+        if (provenance && typeof provenance.values === 'object') return provenance;
+    } catch (e) {
+        // fall through, a marker edited by hand is ignored
+    }
+    logger.warn('Ignoring unreadable provenance marker', { field: template.provenanceField });
+    return null;
+};
+
+module.exports = {
+    createProvenance,
+    readProvenance
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const Ajv = require('ajv');
+const Box = require('box-node-sdk');
+const { InvalidEventError, RequestRejectedError } = require('../errors');
+const { recordDelivery } = require('../idempotency');
+const invocationSchema = require('./skill-invocation.schema.json');
+
+// Deliveries older than this are rejected, as Box.validateWebhookMessage does by default
+const MAX_DELIVERY_AGE_MS = 10 * 60 * 1000;
+// Deliveries timestamped this far in the future are accepted, for clock differences with Box
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+/** Reasons a request is rejected with a 401, returned in the response */
+const RejectReason = {
+    INVALID_SIGNATURE: 'invalid signature',
+    STALE_DELIVERY: 'stale delivery timestamp',
+    REPLAYED_DELIVERY: 'replayed delivery',
+    SKILL_NOT_ALLOWED: 'skill not allowed'
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateInvocationSchema = ajv.compile(invocationSchema);
+
+/**
+ * Reads the settings of the inbound checks from the environment: the signature keys in
+ * box_primary_key and box_secondary_key, and the comma-separated ids of the skills allowed
+ * to invoke the endpoint in box_allowed_skill_ids. Without allowed skill ids, any skill is.
+ *
+ * @param {Object} [env] environment variables
+ * @return {Object} { primaryKey, secondaryKey, allowedSkillIds } for validateRequest()
+ */
+const readInboundSettings = function readInboundSettings(env = process.env) {
+    const allowedSkillIds = (env.box_allowed_skill_ids || '')
+        .split(',')
+        .map((id) => id.trim())
+        .filter(Boolean);
+    return {
+        primaryKey: env.box_primary_key,
+        secondaryKey: env.box_secondary_key,
+        allowedSkillIds: allowedSkillIds.length > 0 ? allowedSkillIds : undefined
+    };
+};
+
+// API Gateway passes the headers with the case the client sent them in
+const normalizeHeaders = function normalizeHeaders(headers) {
+    return Object.entries(headers || {}).reduce((normalized, [name, value]) => {
+        normalized[name.toLowerCase()] = value;
+        return normalized;
+    }, {});
+};
+
+const parseBody = function parseBody(body) {
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        throw new InvalidEventError('Skill invocation body is not valid JSON', e);
+    }
+};
+
+/**
+ * Checks a request to the skill endpoint before anything else reads it, and without
+ * calling Box. In order, the request must:
+ *
+ * - be signed with the primary or secondary key, over the raw body and delivery timestamp
+ * - have a delivery timestamp no older than 10 minutes, and no more than a minute ahead
+ * - not repeat the delivery id and timestamp of an earlier request, see recordDelivery()
+ * - have a body matching the skill invocation schema in skill-invocation.schema.json
+ * - be for one of the allowed skills, when there are any
+ *
+ * @param {Object} event API Gateway event { body, headers, isBase64Encoded }
+ * @param {Object} options
+ * @param {string} [options.primaryKey] primary signature key of the skill
+ * @param {string} [options.secondaryKey] secondary signature key of the skill
+ * @param {string[]} [options.allowedSkillIds] ids of the skills allowed to invoke the endpoint
+ * @param {Object} options.store idempotency store the deliveries are recorded in
+ * @param {number} [options.now] current time in milliseconds
+ * @return {Promise<Object>} resolves to the parsed skill invocation body
+ * @throws {RequestRejectedError} 401, when the request is not a fresh one signed for this skill
+ * @throws {InvalidEventError} 400, when the signed body is not a valid skill invocation
+ */
+const validateRequest = async function validateRequest(event, options) {
+    const now = options.now === undefined ? Date.now() : options.now;
+    const headers = normalizeHeaders(event.headers);
+    const rawBody =
+        event.isBase64Encoded && typeof event.body === 'string'
+            ? Buffer.from(event.body, 'base64').toString('utf8')
+            : event.body || '';
+
+    // the age is checked below, so that a stale delivery is told apart from a bad signature
+    if (!Box.validateWebhookMessage(rawBody, headers, options.primaryKey, options.secondaryKey, Infinity)) {
+        throw new RequestRejectedError(RejectReason.INVALID_SIGNATURE);
+    }
+    const deliveryTimestamp = headers['box-delivery-timestamp'];
+    const deliveredAt = Date.parse(deliveryTimestamp);
+    if (Number.isNaN(deliveredAt) || now - deliveredAt > MAX_DELIVERY_AGE_MS || deliveredAt - now > MAX_CLOCK_SKEW_MS) {
+        throw new RequestRejectedError(RejectReason.STALE_DELIVERY);
+    }
+    const deliveryId = headers['box-delivery-id'];
+    if (!deliveryId) {
+        throw new InvalidEventError('Request has no box-delivery-id header');
+    }
+    if (!(await recordDelivery(options.store, { deliveryId, deliveryTimestamp }, now))) {
+        throw new RequestRejectedError(RejectReason.REPLAYED_DELIVERY);
+    }
+
+    const body = typeof rawBody === 'string' ? parseBody(rawBody) : rawBody;
+    if (!validateInvocationSchema(body)) {
+        const problems = ajv.errorsText(validateInvocationSchema.errors, { dataVar: 'body' });
+        throw new InvalidEventError(`Malformed skill invocation: ${problems}`);
+    }
+    if (options.allowedSkillIds && !options.allowedSkillIds.includes(String(body.skill.id))) {
+        throw new RequestRejectedError(RejectReason.SKILL_NOT_ALLOWED);
+    }
+    return body;
+};
+
+module.exports = {
+    RejectReason,
+    readInboundSettings,
+    validateRequest
+};
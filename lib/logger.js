@@ -0,0 +1,176 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/** Log levels in increasing order of severity */
+const LogLevel = {
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    SILENT: 'silent'
+};
+const LEVEL_ORDER = [LogLevel.DEBUG, LogLevel.INFO, LogLevel.WARN, LogLevel.ERROR, LogLevel.SILENT];
+
+const REDACTED = '[REDACTED]';
+// Fields holding credentials. fileDownloadURL is listed as well because it embeds the read token.
+const REDACTED_FIELDS = new Set([
+    'fileReadToken',
+    'fileWriteToken',
+    'fileDownloadURL',
+    'access_token',
+    'accessToken',
+    'refresh_token',
+    'clientSecret',
+    'privateKey',
+    'passphrase',
+    'authorization',
+    'Authorization'
+]);
+const ACCESS_TOKEN_PARAM = /(access_token=)[^&\s"']+/g;
+const BEARER_TOKEN = /(Bearer\s+)[^\s"']+/g;
+
+// Fields added by runWithContext() to every line logged inside the callback, including
+// the lines logged by code that only has the module logger (such as the Box client spans).
+const contextStorage = new AsyncLocalStorage();
+
+const redactString = function redactString(value) {
+    return value.replace(ACCESS_TOKEN_PARAM, `$1${REDACTED}`).replace(BEARER_TOKEN, `$1${REDACTED}`);
+};
+
+const serializeError = function serializeError(error) {
+    const serialized = { name: error.name, message: redactString(String(error.message)) };
+    if (error.statusCode !== undefined) serialized.statusCode = error.statusCode;
+    if (error.failureType !== undefined) serialized.failureType = error.failureType;
+    if (error.skillsError !== undefined) serialized.skillsError = error.skillsError;
+    return serialized;
+};
+
+/**
+ * Copies a value for logging with credentials removed: fields that hold tokens are
+ * replaced and access tokens embedded in strings (URLs, headers) are masked.
+ */
+const redact = function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return serializeError(value);
+    if (!value || typeof value !== 'object' || depth > 8) return value;
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+    return Object.keys(value).reduce((copy, key) => {
+        copy[key] = REDACTED_FIELDS.has(key) ? REDACTED : redact(value[key], depth + 1);
+        return copy;
+    }, {});
+};
+
+const defaultWriters = {
+    debug: (line) => console.log(line),
+    info: (line) => console.log(line),
+    warn: (line) => console.warn(line),
+    error: (line) => console.error(line)
+};
+
+/**
+ * Creates a logger that writes one JSON object per line. Every line carries the
+ * level, the time, the message, the logger's fields and the fields of the
+ * enclosing runWithContext() calls, with credentials redacted.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] minimum LogLevel to write, defaults to LOG_LEVEL or info
+ * @param {Object} [options.fields] fields added to every line
+ * @param {Object} [options.writers] line writers keyed by level, default to the console
+ * @return {Object} logger with debug, info, warn, error, child, startSpan and span
+ */
+const createLogger = function createLogger(options = {}) {
+    const level = options.level || process.env.LOG_LEVEL || LogLevel.INFO;
+    const threshold = LEVEL_ORDER.indexOf(level) === -1 ? 1 : LEVEL_ORDER.indexOf(level);
+    const fields = options.fields || {};
+    const writers = options.writers || defaultWriters;
+
+    const write = function write(lineLevel, message, lineFields) {
+        if (LEVEL_ORDER.indexOf(lineLevel) < threshold) return;
+        const line = Object.assign(
+            { level: lineLevel, time: new Date().toISOString(), msg: redactString(String(message)) },
+            redact(Object.assign({}, contextStorage.getStore(), fields, lineFields))
+        );
+        writers[lineLevel](JSON.stringify(line));
+    };
+
+    const logger = {
+        level,
+        debug: (message, lineFields) => write(LogLevel.DEBUG, message, lineFields),
+        info: (message, lineFields) => write(LogLevel.INFO, message, lineFields),
+        warn: (message, lineFields) => write(LogLevel.WARN, message, lineFields),
+        error: (message, lineFields) => write(LogLevel.ERROR, message, lineFields),
+
+        /** Logger with the same settings and additional fields */
+        child(childFields) {
+            return createLogger({ level, writers, fields: Object.assign({}, fields, childFields) });
+        },
+
+        /**
+         * Starts timing an operation. Calling end() on the returned span logs a span
+         * line with the duration since start, the span fields and the given end fields;
+         * pass { error } to end() when the operation failed.
+         *
+         * @param {string} name span name, logged as span and msg
+         * @param {Object} [spanFields] fields for the span line
+         * @return {Object} span with end([endFields])
+         */
+        startSpan(name, spanFields = {}) {
+            const start = process.hrtime.bigint();
+            return {
+                end(endFields = {}) {
+                    const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+                    const outcome = endFields.error ? 'failure' : 'success';
+                    write(LogLevel.INFO, name, Object.assign({ span: name, durationMs, outcome }, spanFields, endFields));
+                }
+            };
+        },
+
+        /**
+         * Times an async operation with startSpan() and ends the span once it settles.
+         * Failures are logged with the error and rethrown.
+         *
+         * @param {string} name span name
+         * @param {Function} fn () => Promise
+         * @param {Object} [spanFields] fields for the span line
+         * @return {Promise} the result of fn
+         */
+        span(name, fn, spanFields) {
+            const span = logger.startSpan(name, spanFields);
+            return Promise.resolve()
+                .then(fn)
+                .then(
+                    (result) => {
+                        span.end();
+                        return result;
+                    },
+                    (error) => {
+                        span.end({ error });
+                        throw error;
+                    }
+                );
+        }
+    };
+    return logger;
+};
+
+/**
+ * Runs fn with fields added to every line logged while it runs, including lines
+ * logged from async work it starts. Nested calls add to the enclosing fields.
+ *
+ * @param {Object} fields e.g. { requestId, skillId, fileId } or { step }
+ * @param {Function} fn function to run
+ * @return {*} the result of fn
+ */
+const runWithContext = function runWithContext(fields, fn) {
+    return contextStorage.run(Object.assign({}, contextStorage.getStore(), fields), fn);
+};
+
+module.exports = {
+    LogLevel,
+    createLogger,
+    // Logger shared by the skill, the skills kit and the pipeline steps
+    logger: createLogger(),
+    redact,
+    runWithContext
+};
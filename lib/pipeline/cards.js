@@ -0,0 +1,188 @@
+'use strict';
+
+const { cardType } = require('../../skills-kit-2.0');
+const { TextSource } = require('../extraction');
+const { RuleOutcome } = require('../rules');
+
+const SUMMARY_CARD_TITLE = 'Event Summary';
+const AGENDA_CARD_TITLE = 'Agenda';
+const VALIDATION_CARD_TITLE = 'Metadata Validation';
+const COMPLIANCE_CARD_TITLE = 'Compliance';
+const ROSTER_CARD_TITLE = 'Attendees';
+const CONFLICT_CARD_TITLE = 'Scheduling Conflicts';
+
+const formatDate = function formatDate(metadataDate) {
+    return new Date(metadataDate).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+};
+
+const formatDates = function formatDates({ startDate, endDate }) {
+    const start = formatDate(startDate);
+    const end = endDate ? formatDate(endDate) : start;
+    return start === end ? start : `${start} – ${end}`;
+};
+
+/**
+ * Entries of the event summary card: the dates, venue and participant count
+ * found in the document, leaving out the ones that were not found, and a
+ * warning when they were read with low OCR confidence.
+ *
+ * @param {Object} eventDetails extracted eventDetails fields
+ * @param {Object} [textSource] { textSource, ocrConfidence }, see getTextSourceFields()
+ * @return {Object[]} card entries, { text }
+ */
+const createSummaryEntries = function createSummaryEntries(eventDetails, textSource = {}) {
+    const entries = [];
+    if (eventDetails.startDate) {
+        entries.push(`Date: ${formatDates(eventDetails)}`);
+    }
+    if (eventDetails.venue) {
+        entries.push(`Venue: ${eventDetails.venue}`);
+    }
+    if (eventDetails.participantCount !== undefined) {
+        entries.push(`Participants: ${eventDetails.participantCount.toLocaleString('en-US')}`);
+    }
+    if (entries.length > 0 && textSource.textSource === TextSource.LOW_CONFIDENCE_OCR) {
+        entries.push(`Read by OCR with ${textSource.ocrConfidence}% confidence, check against the document`);
+    }
+    return entries.map((text) => ({ text }));
+};
+
+/**
+ * Builds the Skills cards summarizing an event document, for the card outputs
+ * that are switched on: a topics card with the key terms (topicsCard), a keyword
+ * card with the dates, venue and participant count (summaryCard) and a transcript
+ * card with the agenda (agendaCard). Cards without entries are left out.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {Object} extracted { eventDetails, textSource, keyTerms, agenda }
+ * @param {Object} outputs output switches of the pipeline, see DEFAULT_OUTPUTS in lib/config.js
+ * @return {Object[]} cards in the order they are shown in the preview sidebar
+ */
+const createEventCards = function createEventCards(skillsWriter, extracted, outputs) {
+    const cards = [];
+    if (outputs.topicsCard && extracted.keyTerms.length > 0) {
+        cards.push(skillsWriter.createTopicsCard(extracted.keyTerms.map((text) => ({ text }))));
+    }
+    const summaryEntries = createSummaryEntries(extracted.eventDetails, extracted.textSource);
+    if (outputs.summaryCard && summaryEntries.length > 0) {
+        cards.push(skillsWriter.createTopicsCard(summaryEntries, { title: SUMMARY_CARD_TITLE }));
+    }
+    if (outputs.agendaCard && extracted.agenda.length > 0) {
+        cards.push(
+            skillsWriter.createTranscriptsCard(
+                extracted.agenda.map((text) => ({ text })),
+                { title: AGENDA_CARD_TITLE }
+            )
+        );
+    }
+    return cards;
+};
+
+/**
+ * Builds a keyword card with the findings of the business rule checks: the
+ * overall result, then each violated rule and each rule that could not be
+ * checked for lack of a value. Rules that passed are not listed.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {Object} compliance { status, results }, see evaluateRules() in lib/rules.js
+ * @return {Object} keyword card
+ */
+const createComplianceCard = function createComplianceCard(skillsWriter, compliance) {
+    const count = (outcome) => compliance.results.filter((result) => result.outcome === outcome).length;
+    const failed = count(RuleOutcome.FAILED);
+    const checked = compliance.results.length - count(RuleOutcome.SKIPPED);
+    const entries = [`${compliance.status}: ${failed} of ${checked} rules checked were violated`];
+    compliance.results.forEach((result) => {
+        if (result.outcome === RuleOutcome.FAILED) {
+            entries.push(`Violated: ${result.description}`);
+        } else if (result.outcome === RuleOutcome.SKIPPED) {
+            entries.push(`Not checked: ${result.description} (no ${result.missing.join(' or ')} found)`);
+        }
+    });
+    return skillsWriter.createTopicsCard(
+        entries.map((text) => ({ text })),
+        { title: COMPLIANCE_CARD_TITLE }
+    );
+};
+
+/**
+ * Builds a keyword card with the attendee counts of a roster, and the event plan
+ * they were written to, or how to link the roster to one when none was found.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {Object} roster counts, see countAttendees() in lib/extraction/roster.js
+ * @param {Object|null} plan { name } of the related event plan, see findRelatedPlan() in ./related
+ * @param {string} [eventKeyField] field of the routing template linking rosters to plans, if any
+ * @return {Object} keyword card
+ */
+const createRosterCard = function createRosterCard(skillsWriter, roster, plan, eventKeyField) {
+    const entries = [`Registered: ${roster.registered}`, `Waitlisted: ${roster.waitlisted}`];
+    if (roster.duplicates > 0) {
+        entries.push(`Listed more than once: ${roster.duplicates}`);
+    }
+    const howToLink = eventKeyField
+        ? `give the roster the ${eventKeyField} of its plan, or name it after the plan`
+        : 'name the roster after its plan';
+    entries.push(plan ? `Participant count written to ${plan.name}` : `No event plan found: ${howToLink}`);
+    return skillsWriter.createTopicsCard(
+        entries.map((text) => ({ text })),
+        { title: ROSTER_CARD_TITLE }
+    );
+};
+
+/**
+ * Builds a status card warning that other event plans book the same venue on
+ * overlapping dates, naming each plan, its dates and a link to it.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {Object[]} conflicts { name, venue, startDate, endDate, url } of the clashing plans,
+ *                             see findConflicts() in lib/conflicts.js
+ * @return {Object} status card
+ */
+const createConflictCard = function createConflictCard(skillsWriter, conflicts) {
+    const plans = conflicts.map(
+        (conflict) => `${conflict.name} books ${conflict.venue} for ${formatDates(conflict)} (${conflict.url})`
+    );
+    return skillsWriter.createCard({
+        type: cardType.STATUS,
+        title: CONFLICT_CARD_TITLE,
+        status: {
+            code: 'custom_status',
+            message: `The venue is also booked on these dates: ${plans.join('; ')}`
+        }
+    });
+};
+
+/**
+ * Builds a status card listing the values that were left out of the metadata
+ * because they did not match the template, so they can be filled in by hand.
+ *
+ * @param {SkillsWriter} skillsWriter writer for the invocation
+ * @param {Object[]} problems { message } problems, see validateTemplateValues() in ./schema
+ * @return {Object} status card
+ */
+const createValidationCard = function createValidationCard(skillsWriter, problems) {
+    const count = problems.length === 1 ? '1 value was' : `${problems.length} values were`;
+    return skillsWriter.createCard({
+        type: cardType.STATUS,
+        title: VALIDATION_CARD_TITLE,
+        status: {
+            code: 'custom_status',
+            message: `${count} not written to the metadata: ${problems.map((problem) => problem.message).join('; ')}`
+        }
+    });
+};
+
+module.exports = {
+    createComplianceCard,
+    createConflictCard,
+    createEventCards,
+    createRosterCard,
+    createSummaryEntries,
+    createValidationCard
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const { fromTemplateValues } = require('../config');
+const { toSkillError } = require('../errors');
+const { mergeManualEdits, readProvenance } = require('../idempotency');
+
+/**
+ * Reads a configured template's metadata instance from the file as Box returns
+ * it. Resolves to null when the template has not been applied to the file; other
+ * failures are rejected with a SkillError.
+ */
+const readInstance = function readInstance(skillsWriter, template) {
+    return skillsWriter.fileWriteClient.files
+        .getMetadata(skillsWriter.fileId, template.scope, template.templateKey)
+        .catch((e) => {
+            if (e.statusCode === 404) return null;
+            throw toSkillError(e);
+        });
+};
+
+/**
+ * Reads a configured template's metadata instance from the file, keyed by
+ * configured field name, see readInstance().
+ */
+const readTemplate = function readTemplate(skillsWriter, template) {
+    return readInstance(skillsWriter, template).then((instance) => instance && fromTemplateValues(template, instance));
+};
+
+/**
+ * What the skill last wrote to a template instance, keyed by configured field name:
+ * the values in the provenance marker when the template has a provenanceField, and
+ * lastWrites otherwise. Without either, every value on the file that differs
+ * counts as edited by hand, unless context.overwriteUnrecorded is set; the values
+ * on the file then count as the skill's.
+ *
+ * @param {Object} context pipeline context
+ * @param {Object} template configured template
+ * @param {Object|null} instance current instance, see readInstance()
+ * @param {Object} [lastWrites] values the skill last wrote to the template, recorded in the idempotency store
+ * @return {Object|undefined}
+ */
+const getLastWritten = function getLastWritten(context, template, instance, lastWrites) {
+    const provenance = readProvenance(instance, template);
+    const recorded = provenance ? fromTemplateValues(template, provenance.values) : lastWrites;
+    if (recorded || !context.overwriteUnrecorded) return recorded;
+    return instance ? fromTemplateValues(template, instance) : undefined;
+};
+
+/**
+ * Reads a template's instance on the file into context.metadata, keyed by
+ * configured field name, unless it is there already, and what the skill last
+ * wrote to it into context.lastWritten, see getLastWritten().
+ *
+ * @param {Object} context pipeline context
+ * @param {Object} config skill configuration
+ * @param {string} template name of the template in the skill configuration
+ * @return {Promise<void>}
+ */
+const loadTemplate = async function loadTemplate(context, config, template) {
+    const templateConfig = config.templates[template];
+    const instance = await readInstance(context.skillsWriter, templateConfig);
+    if (!(template in context.metadata)) {
+        context.metadata[template] = instance && fromTemplateValues(templateConfig, instance);
+    }
+    context.lastWritten[template] = getLastWritten(context, templateConfig, instance, context.lastWrites[template]);
+};
+
+/**
+ * Merges values into the current values of a template on the file the way writing
+ * them does, keeping the fields edited by hand unless the idempotency.manualEdits
+ * policy is overwrite, see mergeManualEdits() in lib/idempotency. Steps that check
+ * the event details use these rather than the extracted values, so that a venue or
+ * date corrected by hand is the one checked. The template is read with
+ * loadTemplate() when the pipeline has not read it.
+ *
+ * @param {Object} context pipeline context
+ * @param {Object} config skill configuration
+ * @param {string} template name of the template in the skill configuration
+ * @param {Object} values values to merge, keyed by configured field name
+ * @return {Promise<Object>} resolves to the merged values, keyed by configured field name
+ */
+const mergeWithCurrent = async function mergeWithCurrent(context, config, template, values) {
+    if (!(template in context.lastWritten)) {
+        await loadTemplate(context, config, template);
+    }
+    const manualEdits = config.idempotency ? config.idempotency.manualEdits : undefined;
+    return mergeManualEdits(context.metadata[template], context.lastWritten[template], values, manualEdits).values;
+};
+
+module.exports = {
+    getLastWritten,
+    loadTemplate,
+    mergeWithCurrent,
+    readInstance,
+    readTemplate
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+const { DEFAULT_OUTPUTS, fromTemplateValues, toTemplateValues } = require('../config');
+const { toSkillError } = require('../errors');
+const { createProvenance, mergeManualEdits, readProvenance } = require('../idempotency');
+const { logger, runWithContext } = require('../logger');
+const { createValidationCard } = require('./cards');
+const { getLastWritten, loadTemplate, readInstance, readTemplate } = require('./current');
+const { createMetadataPatch, describeChanges } = require('./patch');
+const { hasShadowRoutes, resolvePipeline, resolveRoute } = require('./router');
+const { getTemplateSchema, validateTemplateValues } = require('./schema');
+const defaultSteps = require('./steps');
+
+/**
+ * Writes values to a template instance, patching only the fields that change.
+ * An instance that does not exist yet is created. When the template has a
+ * provenanceField, the provenance marker is updated along with the values.
+ *
+ * @param {Object} context pipeline context
+ * @param {Object} target { fileId, fileWriteClient } of the file to write to, such as the SkillsWriter
+ * @param {Object} template configured template
+ * @param {Object|null} instance current instance, see readInstance()
+ * @param {Object} values values to write, keyed by template field key
+ * @param {Object} owned values the skill owns after the write, recorded in the provenance marker
+ * @return {Promise<Object[]>} resolves to the { field, from, to } changes made, or that would be
+ *                             made in a dry run
+ */
+const writeInstance = async function writeInstance(context, target, template, instance, values, owned) {
+    const patch = createMetadataPatch(instance, values);
+    if (patch.length === 0) return [];
+    if (context.dryRun) return describeChanges(instance, patch);
+    const marker = template.provenanceField
+        ? { [template.provenanceField]: createProvenance(context.filesReader.getFileContext(), owned) }
+        : {};
+    const { fileId, fileWriteClient } = target;
+    const write = instance
+        ? fileWriteClient.files.updateMetadata(
+              fileId,
+              template.scope,
+              template.templateKey,
+              patch.concat(createMetadataPatch(instance, marker))
+          )
+        : fileWriteClient.files.addMetadata(fileId, template.scope, template.templateKey, Object.assign({}, values, marker));
+    await write.catch((e) => {
+        throw toSkillError(e, { template });
+    });
+    return describeChanges(instance, patch);
+};
+
+/**
+ * Values the skill wrote, keyed by configured field name, after validation: the
+ * written values as coerced, without the ones left out. Fields kept because they
+ * were edited by hand still record what the skill wrote before.
+ */
+const getWrittenValues = function getWrittenValues(merged, checkedValues) {
+    return Object.entries(merged.written).reduce((written, [field, value]) => {
+        if (merged.keptFields.includes(field)) {
+            written[field] = value;
+        } else if (field in checkedValues) {
+            written[field] = checkedValues[field];
+        }
+        return written;
+    }, {});
+};
+
+/**
+ * Writes the updates of a template to a file: merges them with the current
+ * instance, keeping manual edits, validates them against the template schema and
+ * patches the fields that change, see runPipeline().
+ *
+ * @param {Object} context pipeline context
+ * @param {Object} config skill configuration
+ * @param {Object} target { fileId, fileWriteClient } of the file to write to
+ * @param {string} template name of the template in the skill configuration
+ * @param {Object} values values to write, keyed by configured field name
+ * @param {Object} [lastWrites] values the skill last wrote to the template, used without a provenance marker
+ * @return {Promise<Object>} resolves to { written, changes, problems, keptFields }, keptFields naming the
+ *                           fields kept because they were edited by hand
+ */
+const writeTemplate = async function writeTemplate(context, config, target, template, values, lastWrites) {
+    const templateConfig = config.templates[template];
+    const manualEdits = config.idempotency ? config.idempotency.manualEdits : undefined;
+    const instance = await readInstance(target, templateConfig);
+    const provenance = readProvenance(instance, templateConfig);
+    const lastWritten = getLastWritten(context, templateConfig, instance, lastWrites);
+    const currentValues = instance && fromTemplateValues(templateConfig, instance);
+    const merged = mergeManualEdits(currentValues, lastWritten, values, manualEdits);
+    if (merged.keptFields.length > 0) {
+        logger.info('Keeping manually edited fields', { keptFields: merged.keptFields });
+    }
+    const schema = await getTemplateSchema(target.fileWriteClient, templateConfig);
+    const checked = validateTemplateValues(schema, toTemplateValues(templateConfig, merged.values));
+    const written = getWrittenValues(merged, fromTemplateValues(templateConfig, checked.values));
+    const owned = Object.assign({}, provenance ? provenance.values : {}, toTemplateValues(templateConfig, written));
+    const changes = await writeInstance(context, target, templateConfig, instance, checked.values, owned);
+    const outcome = context.dryRun ? 'Would update metadata' : 'Updated metadata';
+    logger.info(changes.length > 0 ? outcome : 'Metadata is up to date', { changes });
+    return { written, changes, problems: checked.problems, keptFields: merged.keptFields };
+};
+
+/**
+ * Runs a named pipeline against a document.
+ *
+ * The templates listed in the pipeline's reads are loaded into context.metadata
+ * before the first step runs (templates already present are not fetched again), and
+ * what the skill last wrote to them into context.lastWritten, see loadTemplate() in
+ * ./current. Steps then run in order and collect the values to save in
+ * context.updates, keyed by template name. Once every step has finished, each
+ * update is written to the file; writing to a template the pipeline does not
+ * declare in writes is an error.
+ *
+ * Updates are merged into the current instance so that fields edited by hand since
+ * the skill last wrote them are kept, unless the configured idempotency.manualEdits
+ * policy is overwrite. What the skill last wrote is read from the provenance marker
+ * in the instance when the template has a provenanceField, and from
+ * context.lastWrites otherwise. Without either, every value on the file that
+ * differs counts as edited by hand, unless context.overwriteUnrecorded is set, as
+ * by a backfill of files the skill processed before it recorded its writes; the
+ * values on the file then count as the skill's.
+ *
+ * Only the fields that change are written, with a JSON Patch; the changes are
+ * logged and collected in context.changes, keyed by template. Before writing, the
+ * values are validated against the template schema fetched from Box and coerced to
+ * the field types; values that do not match are left out and listed on a status
+ * card added to context.cards, instead of failing the write. The values the skill
+ * wrote are collected in context.written, and the fields kept as manual edits in
+ * context.keptFields, keyed by template. Template names and field names are the
+ * ones declared in the skill configuration.
+ *
+ * Steps may also update other files, such as the event plan an attendee roster
+ * belongs to, in context.relatedUpdates: updates keyed by file id, then by template.
+ * The invocation's tokens only give access to the file it is for, so these are
+ * written with context.serviceClient, after the file's own updates and in the same
+ * way. Their changes are collected in context.relatedChanges, keyed by file id.
+ *
+ * context.outputs holds the output switches: DEFAULT_OUTPUTS, overridden by the
+ * pipeline's outputs, overridden by the outputs passed in context (the route's).
+ * Steps only add the cards that are switched on, and updates are not written at
+ * all when the metadata output is switched off.
+ *
+ * In a dry run (context.dryRun), the changes are worked out and collected as usual
+ * but not written, and steps do not save anything to Box either.
+ *
+ * @param {string} name pipeline name
+ * @param {Object} context { filesReader, skillsWriter, documentType, metadata, lastWrites, outputs, deadline,
+ *                         serviceClient, dryRun, overwriteUnrecorded }, deadline being the time (ms since
+ *                         epoch) by which steps must have read the document
+ * @param {Object} config skill configuration, see lib/config.js
+ * @param {Object} [steps] step functions keyed by name, defaults to ./steps
+ * @return {Promise<Object>} resolves to the context after all steps have run
+ */
+const runPipeline = async function runPipeline(name, context, config, steps = defaultSteps) {
+    const pipeline = config.pipelines[name];
+    if (!pipeline) {
+        throw new Error(`Pipeline ${name} is not configured`);
+    }
+    context.pipeline = name;
+    context.metadata = context.metadata || {};
+    context.updates = context.updates || {};
+    context.lastWrites = context.lastWrites || {};
+    context.lastWritten = {};
+    context.written = {};
+    context.keptFields = {};
+    context.changes = {};
+    context.validationProblems = {};
+    context.extracted = context.extracted || {};
+    context.cards = context.cards || [];
+    context.relatedUpdates = context.relatedUpdates || {};
+    context.relatedChanges = {};
+    context.outputs = Object.assign({}, DEFAULT_OUTPUTS, pipeline.outputs, context.outputs);
+
+    for (const template of pipeline.reads) {
+        if (!(template in context.metadata)) {
+            await loadTemplate(context, config, template);
+        }
+    }
+
+    for (const stepName of pipeline.steps) {
+        const step = steps[stepName];
+        if (!step) {
+            throw new Error(`Pipeline ${name} references unknown step ${stepName}`);
+        }
+        await runWithContext({ step: stepName }, () => logger.span('pipeline step', () => step(context, config)));
+    }
+
+    const relatedFileIds = Object.keys(context.relatedUpdates);
+    const updatedTemplates = Object.keys(context.updates).concat(
+        ...relatedFileIds.map((fileId) => Object.keys(context.relatedUpdates[fileId]))
+    );
+    updatedTemplates.forEach((template) => {
+        if (!pipeline.writes.includes(template)) {
+            throw new Error(`Pipeline ${name} does not declare writes to template ${template}`);
+        }
+    });
+    if (!context.outputs.metadata) {
+        if (updatedTemplates.length > 0) {
+            logger.info('Metadata output is switched off, not writing templates', { templates: updatedTemplates });
+        }
+        return context;
+    }
+    if (relatedFileIds.length > 0 && !context.serviceClient) {
+        throw new Error(`Pipeline ${name} updates other files, which needs a service account`);
+    }
+
+    const problems = [];
+    for (const [template, values] of Object.entries(context.updates)) {
+        await runWithContext({ step: 'writeMetadata', template }, async () => {
+            const result = await writeTemplate(
+                context,
+                config,
+                context.skillsWriter,
+                template,
+                values,
+                context.lastWrites[template]
+            );
+            context.written[template] = result.written;
+            context.keptFields[template] = result.keptFields;
+            context.changes[template] = result.changes;
+            if (result.problems.length > 0) {
+                context.validationProblems[template] = result.problems;
+                problems.push(...result.problems);
+            }
+        });
+    }
+    for (const fileId of relatedFileIds) {
+        const target = { fileId, fileWriteClient: context.serviceClient };
+        context.relatedChanges[fileId] = {};
+        for (const [template, values] of Object.entries(context.relatedUpdates[fileId])) {
+            await runWithContext({ step: 'writeMetadata', template, relatedFileId: fileId }, async () => {
+                const result = await writeTemplate(context, config, target, template, values);
+                context.relatedChanges[fileId][template] = result.changes;
+                problems.push(...result.problems);
+            });
+        }
+    }
+    if (problems.length > 0) {
+        context.cards.push(createValidationCard(context.skillsWriter, problems));
+    }
+    return context;
+};
+
+module.exports = {
+    hasShadowRoutes,
+    readInstance,
+    readTemplate,
+    resolvePipeline,
+    resolveRoute,
+    runPipeline,
+    writeTemplate
+};
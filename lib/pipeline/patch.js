@@ -0,0 +1,53 @@
+'use strict';
+
+const isEqual = require('lodash/isEqual');
+
+// Escapes a field key for use in a JSON Pointer (RFC 6901)
+const toPointer = function toPointer(key) {
+    return `/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+};
+
+/**
+ * Builds the JSON Patch (RFC 6902) that brings a metadata instance up to date
+ * with the given values. Only fields whose value changes are patched: missing
+ * fields are added, and changed fields are replaced after a test of their current
+ * value, so that the patch fails instead of overwriting a concurrent edit. Fields
+ * of the instance that are not in values are left alone.
+ *
+ * @param {Object|null} instance current metadata instance, keyed by template field key
+ * @param {Object} values values to write, keyed by template field key
+ * @return {Object[]} patch operations, empty when nothing changes
+ */
+const createMetadataPatch = function createMetadataPatch(instance, values) {
+    const current = instance || {};
+    return Object.entries(values).reduce((operations, [key, value]) => {
+        const path = toPointer(key);
+        if (!(key in current)) {
+            operations.push({ op: 'add', path, value });
+        } else if (!isEqual(current[key], value)) {
+            operations.push({ op: 'test', path, value: current[key] }, { op: 'replace', path, value });
+        }
+        return operations;
+    }, []);
+};
+
+/**
+ * Lists the changes a patch made, for the invocation log.
+ *
+ * @param {Object|null} instance metadata instance before the patch
+ * @param {Object[]} patch operations from createMetadataPatch()
+ * @return {Object[]} { field, from, to } per changed field, from being undefined for added fields
+ */
+const describeChanges = function describeChanges(instance, patch) {
+    return patch
+        .filter((operation) => operation.op !== 'test')
+        .map((operation) => {
+            const field = operation.path.slice(1).replace(/~1/g, '/').replace(/~0/g, '~');
+            return { field, from: instance ? instance[field] : undefined, to: operation.value };
+        });
+};
+
+module.exports = {
+    createMetadataPatch,
+    describeChanges
+};
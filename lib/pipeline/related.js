@@ -0,0 +1,222 @@
+'use strict';
+
+const path = require('path');
+const { fromTemplateValues } = require('../config');
+const { toSkillError } = require('../errors');
+const { logger } = require('../logger');
+const { getTemplateSchema } = require('./schema');
+
+/** How a related event plan was found */
+const MatchedBy = {
+    EVENT_KEY: 'eventKey',
+    FILE_NAME: 'fileName'
+};
+
+// Words that end the names of rosters and plans, left out when comparing them, so that
+// "Spring Gala - Attendee Roster.xlsx" goes with "Spring Gala Event Plan.docx"
+const TRAILING_WORDS = [
+    'attendance',
+    'attendee',
+    'attendees',
+    'event',
+    'guest',
+    'guests',
+    'list',
+    'participant',
+    'participants',
+    'plan',
+    'registration',
+    'registrations',
+    'roster'
+];
+const FOLDER_PAGE_SIZE = 1000;
+const QUERY_PAGE_SIZE = 100;
+/** Folder whose files metadata queries search by default: every file the client can see */
+const ALL_FILES_FOLDER_ID = '0';
+
+/**
+ * Reduces a file name to the name of the event it is about: without its extension,
+ * in lower case, with separators as single spaces and without trailing words such
+ * as roster or plan.
+ *
+ * @param {string} fileName file name
+ * @return {string} event name
+ */
+const toEventName = function toEventName(fileName) {
+    const words = path
+        .parse(fileName)
+        .name.toLowerCase()
+        .split(/[\s_\-–—.,()[\]]+/)
+        .filter(Boolean);
+    while (words.length > 1 && TRAILING_WORDS.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ');
+};
+
+const boxCall = function boxCall(request, context = {}) {
+    return request.catch((e) => {
+        throw toSkillError(e, context);
+    });
+};
+
+/** Whether a file is an event plan, from its routing metadata, see the roster configuration */
+const isEventPlan = async function isEventPlan(client, fileId, config) {
+    const template = config.templates[config.routing.template];
+    const instance = await client.files.getMetadata(fileId, template.scope, template.templateKey).catch((e) => {
+        if (e.statusCode === 404) return null;
+        throw toSkillError(e);
+    });
+    const documentType = instance && fromTemplateValues(template, instance)[config.routing.field];
+    return documentType === config.roster.planDocumentType;
+};
+
+/**
+ * Finds the event plans sharing an event key with a roster: the files below the
+ * roster's folder whose routing metadata holds the key, in the eventKeyField of the
+ * roster configuration, and the planDocumentType.
+ */
+const findPlansByEventKey = async function findPlansByEventKey(client, config, roster) {
+    const template = config.templates[config.routing.template];
+    const fieldKey = (name) => template.fields[name].key || name;
+    const { eventKeyField, planDocumentType } = config.roster;
+    // Metadata queries name the template with the enterprise's own scope, as the schema gives it
+    const schema = await getTemplateSchema(client, template);
+    const result = await boxCall(
+        client.metadata.query(`${schema.scope}.${template.templateKey}`, roster.parentId, {
+            query: `${fieldKey(eventKeyField)} = :eventKey AND ${fieldKey(config.routing.field)} = :documentType`,
+            query_params: { eventKey: roster.eventKey, documentType: planDocumentType },
+            fields: ['name']
+        }),
+        { template }
+    );
+    return result.entries.filter((item) => item.type === 'file' && item.id !== roster.id);
+};
+
+/** Lists the files in a folder, { id, name }, reading every page */
+const listFolderFiles = async function listFolderFiles(client, folderId) {
+    const files = [];
+    let page;
+    do {
+        page = await boxCall(
+            client.folders.getItems(folderId, { fields: 'name', limit: FOLDER_PAGE_SIZE, offset: files.length })
+        );
+        files.push(...page.entries);
+    } while (page.entries.length > 0 && files.length < page.total_count);
+    return files.filter((item) => item.type === 'file');
+};
+
+/**
+ * Finds the event plans named after the same event as a roster, in the roster's
+ * folder, see toEventName(). Only files whose routing metadata says they are event
+ * plans are returned.
+ */
+const findPlansByName = async function findPlansByName(client, config, roster) {
+    const eventName = toEventName(roster.name);
+    const namesakes = (await listFolderFiles(client, roster.parentId)).filter(
+        (file) => file.id !== roster.id && toEventName(file.name) === eventName
+    );
+    const plans = [];
+    for (const file of namesakes) {
+        if (await isEventPlan(client, file.id, config)) plans.push(file);
+    }
+    return plans;
+};
+
+/**
+ * Finds the files below a folder whose event dates, in the given template, may
+ * overlap a date range, with a metadata query: the ones starting by the end of the
+ * range, and ending, or starting when they have no end date, on or after its start.
+ * With an approval filter only the files whose template has the approval value are
+ * found. Every page of results is read.
+ *
+ * @param {BoxClient} client client the files are searched as, such as the service account's
+ * @param {Object} config skill configuration, see lib/config.js
+ * @param {Object} range { startDate, endDate } metadata dates
+ * @param {Object} options
+ * @param {string} options.template name of the template with the event details, which declares venue,
+ *                                  startDate and endDate, see getConflictsTemplate() in lib/config.js
+ * @param {string} [options.folderId] folder to search below, defaults to every file the client can see
+ * @param {Object} [options.approval] { field, value } a field of the template and the value it must have
+ * @return {Promise<Object[]>} resolves to the { fileId, name, venue, startDate, endDate, conflictingFiles }
+ *                             of the files found, conflictingFiles when the template declares it
+ */
+const findEventsBetween = async function findEventsBetween(client, config, range, options) {
+    const { folderId = ALL_FILES_FOLDER_ID, approval } = options;
+    const template = config.templates[options.template];
+    const fieldKey = (name) => template.fields[name].key || name;
+    const schema = await getTemplateSchema(client, template);
+    const from = `${schema.scope}.${template.templateKey}`;
+    const conditions = [
+        `${fieldKey('startDate')} <= :endDate`,
+        `(${fieldKey('endDate')} >= :startDate OR ${fieldKey('startDate')} >= :startDate)`
+    ];
+    const queryParams = { startDate: range.startDate, endDate: range.endDate || range.startDate };
+    if (approval) {
+        conditions.push(`${fieldKey(approval.field)} = :approval`);
+        queryParams.approval = approval.value;
+    }
+    const read = ['venue', 'startDate', 'endDate', 'conflictingFiles'].filter((name) => template.fields[name]);
+    const fields = ['name', ...read.map((name) => `metadata.${from}.${fieldKey(name)}`)];
+    const events = [];
+    let marker;
+    do {
+        const page = await boxCall(
+            client.metadata.query(from, folderId, {
+                query: conditions.join(' AND '),
+                query_params: queryParams,
+                fields,
+                limit: QUERY_PAGE_SIZE,
+                marker
+            }),
+            { template }
+        );
+        page.entries
+            .filter((item) => item.type === 'file')
+            .forEach((item) => {
+                const instance = item.metadata && item.metadata[schema.scope][template.templateKey];
+                events.push(Object.assign({ fileId: item.id, name: item.name }, fromTemplateValues(template, instance)));
+            });
+        marker = page.next_marker;
+    } while (marker);
+    return events;
+};
+
+/**
+ * Finds the event plan an attendee roster belongs to. Event plans are the files
+ * whose documentType is the planDocumentType of the roster configuration. When the
+ * roster's routing metadata has an event key, in the configured eventKeyField, the
+ * plan is the event plan below the roster's folder with the same key. Otherwise it
+ * is the event plan in the roster's folder named after the same event, such as
+ * "Spring Gala - Event Plan.docx" for "Spring Gala - Roster.xlsx". When no plan, or
+ * more than one, is found this way, there is no related plan.
+ *
+ * @param {BoxClient} client client with access to the roster's folder, such as the service account's
+ * @param {Object} config skill configuration, see lib/config.js
+ * @param {Object} roster { id, eventKey } of the roster file, eventKey from its routing metadata
+ * @return {Promise<Object|null>} resolves to { id, name, matchedBy } of the plan, or null
+ */
+const findRelatedPlan = async function findRelatedPlan(client, config, roster) {
+    const file = await boxCall(client.files.get(roster.id, { fields: 'name,parent' }));
+    const rosterFile = { id: roster.id, name: file.name, parentId: file.parent.id, eventKey: roster.eventKey };
+    const matchedBy = roster.eventKey && config.roster.eventKeyField ? MatchedBy.EVENT_KEY : MatchedBy.FILE_NAME;
+    const plans =
+        matchedBy === MatchedBy.EVENT_KEY
+            ? await findPlansByEventKey(client, config, rosterFile)
+            : await findPlansByName(client, config, rosterFile);
+    if (plans.length !== 1) {
+        logger.warn(plans.length === 0 ? 'No event plan found for roster' : 'More than one event plan found for roster', {
+            matchedBy,
+            plans: plans.map((plan) => plan.id)
+        });
+        return null;
+    }
+    return { id: plans[0].id, name: plans[0].name, matchedBy };
+};
+
+module.exports = {
+    MatchedBy,
+    findEventsBetween,
+    findRelatedPlan,
+    toEventName
+};
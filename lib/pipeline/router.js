@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Checks a single route against the document being processed. A route may
+ * constrain the documentType, the file type reported by FilesReader, or both;
+ * constraints that are left out match anything.
+ */
+const routeMatches = function routeMatches(route, { documentType, fileType }) {
+    if (route.documentType !== undefined && route.documentType !== documentType) return false;
+    if (Array.isArray(route.fileTypes) && !route.fileTypes.includes(fileType)) return false;
+    return true;
+};
+
+/**
+ * Reads the shadow switch of a route: true, or { template } naming the side-car
+ * template to record the comparison in. Undefined when the route is not in shadow mode.
+ */
+const getShadow = function getShadow(route) {
+    if (!route.shadow) return undefined;
+    return route.shadow === true ? {} : { template: route.shadow.template };
+};
+
+/**
+ * Resolves the route for a document. Routes are checked in the order they are
+ * declared; the first match wins and unmatched documents fall through to
+ * routing.defaultPipeline.
+ *
+ * @param {Object} routing routing table with routes and defaultPipeline
+ * @param {Object} document { documentType, fileType }
+ * @return {Object} { pipeline, outputs, shadow }, outputs are the route's output switches
+ *                  that override the pipeline's, and are empty for the default pipeline;
+ *                  shadow is { template } for a route in shadow mode, undefined otherwise
+ */
+const resolveRoute = function resolveRoute(routing, document) {
+    const route = routing.routes.find((candidate) => routeMatches(candidate, document));
+    return route
+        ? { pipeline: route.pipeline, outputs: route.outputs || {}, shadow: getShadow(route) }
+        : { pipeline: routing.defaultPipeline, outputs: {} };
+};
+
+/**
+ * Whether any route of the routing table is in shadow mode.
+ *
+ * @param {Object} routing routing table with routes and defaultPipeline
+ * @return {boolean}
+ */
+const hasShadowRoutes = function hasShadowRoutes(routing) {
+    return routing.routes.some((route) => getShadow(route) !== undefined);
+};
+
+/**
+ * Resolves the name of the pipeline to run for a document, see resolveRoute.
+ *
+ * @param {Object} routing routing table with routes and defaultPipeline
+ * @param {Object} document { documentType, fileType }
+ * @return {string} pipeline name
+ */
+const resolvePipeline = function resolvePipeline(routing, document) {
+    return resolveRoute(routing, document).pipeline;
+};
+
+module.exports = {
+    hasShadowRoutes,
+    resolvePipeline,
+    resolveRoute
+};
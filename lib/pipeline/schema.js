@@ -0,0 +1,140 @@
+'use strict';
+
+const { toSkillError } = require('../errors');
+const { logger } = require('../logger');
+
+// How long a fetched template schema is reused by a warm Lambda before it is fetched again
+const SCHEMA_CACHE_TTL_MS = 10 * 60 * 1000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d*\.?\d+/;
+const LIST_SEPARATOR = /\s*[,;]\s*/;
+
+const schemaCache = new Map();
+
+/**
+ * Fetches the schema of a configured metadata template from the Box metadata
+ * templates API. Schemas are cached per template for SCHEMA_CACHE_TTL_MS. A
+ * template that does not exist is rejected with a MetadataTemplateMissingError.
+ *
+ * @param {BoxClient} client client to fetch the schema with
+ * @param {Object} template configured template
+ * @return {Promise<Object>} resolves to the template schema, { templateKey, fields: [{ key, type, options }] }
+ */
+const getTemplateSchema = function getTemplateSchema(client, template) {
+    const cacheKey = `${template.scope}/${template.templateKey}`;
+    const cached = schemaCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return Promise.resolve(cached.schema);
+    }
+    return client.metadata
+        .getTemplateSchema(template.scope, template.templateKey)
+        .then((schema) => {
+            schemaCache.set(cacheKey, { schema, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS });
+            return schema;
+        })
+        .catch((e) => {
+            throw toSkillError(e, { template });
+        });
+};
+
+/** Forgets every cached template schema. */
+const clearSchemaCache = function clearSchemaCache() {
+    schemaCache.clear();
+};
+
+const coerceString = function coerceString(value) {
+    if (typeof value === 'string') return { value: value.trim() };
+    if (typeof value === 'number' && Number.isFinite(value)) return { value: String(value) };
+    return { error: 'is not text' };
+};
+
+const coerceFloat = function coerceFloat(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? { value } : { error: 'is not a number' };
+    }
+    const match = typeof value === 'string' && value.match(NUMBER_PATTERN);
+    return match ? { value: Number(match[0].replace(/,/g, '')) } : { error: 'is not a number' };
+};
+
+const coerceDate = function coerceDate(value) {
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value.trim())) {
+        return { value: `${value.trim()}T00:00:00.000Z` };
+    }
+    const date = value instanceof Date ? value : new Date(typeof value === 'string' ? value : NaN);
+    if (Number.isNaN(date.getTime())) return { error: 'is not a date' };
+    if (typeof value === 'string' && !value.includes(':')) {
+        // A date without a time is that day, not the midnight of the local time zone
+        return { value: new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString() };
+    }
+    return { value: date.toISOString() };
+};
+
+const matchOption = function matchOption(field, value) {
+    const wanted = String(value).trim().toLowerCase();
+    const option = (field.options || []).find((candidate) => candidate.key.toLowerCase() === wanted);
+    return option && option.key;
+};
+
+const describeOptions = function describeOptions(field) {
+    return `is not one of ${(field.options || []).map((option) => option.key).join(', ')}`;
+};
+
+const coerceEnum = function coerceEnum(value, field) {
+    const option = typeof value === 'string' ? matchOption(field, value) : undefined;
+    return option ? { value: option } : { error: describeOptions(field) };
+};
+
+const coerceMultiSelect = function coerceMultiSelect(value, field) {
+    const values = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+    const options = values.filter((item) => String(item).trim()).map((item) => matchOption(field, item));
+    return options.every(Boolean) ? { value: options } : { error: describeOptions(field) };
+};
+
+/** Coercions keyed by metadata template field type */
+const coercions = {
+    string: coerceString,
+    float: coerceFloat,
+    date: coerceDate,
+    enum: coerceEnum,
+    multiSelect: coerceMultiSelect
+};
+
+/**
+ * Checks values against a template schema before they are written, converting
+ * them to what Box accepts for each field type: dates to ISO 8601 date-times,
+ * numbers from text such as "approximately 1,200", and enum and multiSelect
+ * values to the option they match regardless of case. Values that cannot be
+ * converted, or that are not fields of the template, are left out and reported.
+ *
+ * @param {Object} schema template schema, see getTemplateSchema()
+ * @param {Object} values values keyed by template field key
+ * @return {Object} { values, problems }: the values to write, keyed by template field
+ *                  key, and a { field, value, message } problem for each value left out
+ */
+const validateTemplateValues = function validateTemplateValues(schema, values) {
+    const fields = new Map(schema.fields.map((field) => [field.key, field]));
+    const result = { values: {}, problems: [] };
+    Object.entries(values).forEach(([key, value]) => {
+        const field = fields.get(key);
+        const coerce = field && coercions[field.type];
+        const coerced = coerce ? coerce(value, field) : { error: 'is not a field of the template' };
+        if (coerced.error) {
+            result.problems.push({ field: key, value, message: `${key}: ${JSON.stringify(value)} ${coerced.error}` });
+        } else {
+            result.values[key] = coerced.value;
+        }
+    });
+    if (result.problems.length > 0) {
+        logger.warn('Leaving out values that do not match the template', {
+            templateKey: schema.templateKey,
+            problems: result.problems.map((problem) => problem.message)
+        });
+    }
+    return result;
+};
+
+module.exports = {
+    clearSchemaCache,
+    getTemplateSchema,
+    validateTemplateValues
+};
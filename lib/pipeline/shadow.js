@@ -0,0 +1,120 @@
+'use strict';
+
+const { ManualEditPolicy } = require('../idempotency');
+const { logger } = require('../logger');
+const { writeTemplate } = require('./index');
+
+// Maps the field keys of a configured template to the configured field names
+const fieldNamesByKey = function fieldNamesByKey(template) {
+    return Object.entries(template.fields).reduce((names, [name, field]) => {
+        names[field.key || name] = name;
+        return names;
+    }, {});
+};
+
+/**
+ * Compares what a shadow run would have written with the metadata on the file,
+ * which the current extraction logic wrote. A field agrees when the run would
+ * leave its value as it is. Only templates the pipeline read, and that are on the
+ * file already, are compared: a file the current logic never processed has nothing
+ * to agree with. Fields the run kept because they were edited by hand are not
+ * compared either, as the run leaves them alone whatever it extracted; they are
+ * listed as kept.
+ *
+ * @param {Object} context pipeline context after a dry run, see runPipeline() in ./index
+ * @param {Object} config skill configuration
+ * @return {Object} { pipeline, compared, disagreed, kept, agreement, changes, relatedChanges }, compared,
+ *                  disagreed and kept listing "template.field" names and agreement being the share of the
+ *                  compared fields that agree, null when nothing was compared
+ */
+const compareWithCurrent = function compareWithCurrent(context, config) {
+    const compared = [];
+    const disagreed = [];
+    const kept = [];
+    Object.entries(context.written).forEach(([template, written]) => {
+        if (!context.metadata[template]) return;
+        const names = fieldNamesByKey(config.templates[template]);
+        const changed = (context.changes[template] || []).map((change) => names[change.field] || change.field);
+        const keptFields = context.keptFields[template] || [];
+        Object.keys(written).forEach((field) => {
+            if (keptFields.includes(field)) {
+                kept.push(`${template}.${field}`);
+                return;
+            }
+            compared.push(`${template}.${field}`);
+            if (changed.includes(field)) disagreed.push(`${template}.${field}`);
+        });
+    });
+    return {
+        pipeline: context.pipeline,
+        compared,
+        disagreed,
+        kept,
+        agreement: compared.length > 0 ? (compared.length - disagreed.length) / compared.length : null,
+        changes: context.changes,
+        relatedChanges: context.relatedChanges
+    };
+};
+
+/**
+ * Values of the side-car template recording a comparison, see compareWithCurrent().
+ * The agreement rate is a percentage, left out when nothing was compared.
+ *
+ * @param {Object} comparison comparison from compareWithCurrent()
+ * @param {Date} [now] time of the comparison
+ * @return {Object} values keyed by the configured field names of SHADOW_FIELDS in lib/config.js
+ */
+const toShadowValues = function toShadowValues(comparison, now = new Date()) {
+    const values = {
+        shadowPipeline: comparison.pipeline,
+        changedFields: comparison.disagreed.join(', '),
+        shadowChanges: JSON.stringify(comparison.changes),
+        comparedAt: now.toISOString()
+    };
+    if (comparison.agreement !== null) {
+        values.agreementRate = Math.round(comparison.agreement * 1000) / 10;
+    }
+    return values;
+};
+
+/**
+ * Logs how a shadow run compares with the current metadata, see compareWithCurrent(),
+ * and records the comparison in the route's side-car template, when it has one.
+ * The side-car template is the skill's own record, so it is overwritten rather
+ * than merged with manual edits.
+ *
+ * @param {Object} context pipeline context after a dry run, see runPipeline() in ./index
+ * @param {Object} config skill configuration
+ * @param {Object} shadow { template } of the route, see resolveRoute()
+ * @param {Object} [options]
+ * @param {boolean} [options.save] write the side-car template, which a dry run of the shadow run does not
+ * @return {Promise<Object>} resolves to the comparison
+ */
+const recordShadowRun = async function recordShadowRun(context, config, shadow, options = {}) {
+    const comparison = compareWithCurrent(context, config);
+    logger.info('Compared shadow run with the current metadata', {
+        agreement: comparison.agreement,
+        compared: comparison.compared.length,
+        disagreed: comparison.disagreed,
+        kept: comparison.kept,
+        changes: comparison.changes,
+        relatedChanges: comparison.relatedChanges
+    });
+    if (shadow.template && options.save) {
+        const sideCarConfig = Object.assign({}, config, { idempotency: { manualEdits: ManualEditPolicy.OVERWRITE } });
+        await writeTemplate(
+            Object.assign({}, context, { dryRun: false }),
+            sideCarConfig,
+            context.skillsWriter,
+            shadow.template,
+            toShadowValues(comparison)
+        );
+    }
+    return comparison;
+};
+
+module.exports = {
+    compareWithCurrent,
+    recordShadowRun,
+    toShadowValues
+};
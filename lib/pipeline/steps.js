@@ -0,0 +1,281 @@
+'use strict';
+
+const path = require('path');
+const { createCalendar } = require('../calendar');
+const { getConflictsTemplate } = require('../config');
+const { ConflictStatus, findConflicts } = require('../conflicts');
+const {
+    createEventPlanExtractor,
+    extractAgenda,
+    extractKeyTerms,
+    getTextSourceFields,
+    measureUsage,
+    readRoster
+} = require('../extraction');
+const { toSkillError } = require('../errors');
+const { logger } = require('../logger');
+const { ComplianceStatus, RuleOutcome, evaluateRules } = require('../rules');
+const { createComplianceCard, createConflictCard, createEventCards, createRosterCard } = require('./cards');
+const { mergeWithCurrent } = require('./current');
+const { findEventsBetween, findRelatedPlan } = require('./related');
+const { saveFile } = require('./upload');
+
+const eventPlanExtractor = createEventPlanExtractor();
+// Files are linked to in the Box web app
+const BOX_FILE_URL = 'https://app.box.com/file/';
+
+/**
+ * Pipeline steps keyed by the name used in the pipeline configuration. Each step
+ * receives the pipeline context and the skill configuration, and may add values to
+ * context.updates, keyed by template, or Skills cards to context.cards. Steps can
+ * share what they read or extracted through context.extracted, and set
+ * context.usage to what they processed, for the usage reported with the cards.
+ * Steps run in order and can be async.
+ */
+const steps = {
+    /**
+     * Reads the document, with OCR for images and scans, and extracts its event
+     * details. The details are written along with the textSource fields, which
+     * mark values read with low OCR confidence for review. When an attendee roster
+     * has set the participant count (see countRosterAttendees), the roster's count is
+     * kept; the pipeline must read eventDetails for this.
+     */
+    async extractEventDetails(context) {
+        const document = await eventPlanExtractor.readDocument(context.filesReader, { deadline: context.deadline });
+        const eventDetails = eventPlanExtractor.extractFields(document.text);
+        const textSource = getTextSourceFields(document);
+        const current = context.metadata.eventDetails;
+        if (Object.keys(eventDetails).length > 0 && current && current.registeredCount !== undefined) {
+            logger.info('Keeping the participant count of the attendee roster', {
+                participantCount: current.participantCount
+            });
+            eventDetails.participantCount = current.participantCount;
+        }
+        Object.assign(context.extracted, { text: document.text, eventDetails, textSource });
+        context.usage = measureUsage(document);
+        if (Object.keys(eventDetails).length === 0) {
+            logger.info('No event details found in document', textSource);
+            return;
+        }
+        logger.info('Extracted event details', Object.assign({ fields: Object.keys(eventDetails) }, textSource));
+        context.updates.eventDetails = Object.assign({}, eventDetails, textSource);
+    },
+
+    /**
+     * Adds the event summary cards switched on in context.outputs. Runs after
+     * extractEventDetails, whose text and fields it uses.
+     */
+    publishEventCards(context) {
+        const { text, eventDetails, textSource } = context.extracted;
+        if (text === undefined) {
+            throw new Error('publishEventCards must run after extractEventDetails');
+        }
+        const cards = createEventCards(
+            context.skillsWriter,
+            { eventDetails, textSource, keyTerms: extractKeyTerms(text), agenda: extractAgenda(text) },
+            context.outputs
+        );
+        logger.info('Publishing event cards', { cards: cards.map((card) => card.skill_card_title.code) });
+        context.cards.push(...cards);
+    },
+
+    /**
+     * Checks the event details against the business rules of the skill
+     * configuration, see lib/rules.js: the extracted ones merged into the values on
+     * the file, keeping the ones edited by hand, see mergeWithCurrent() in ./current.
+     * The result and the descriptions of the violated rules are written to
+     * eventDetails, and a Compliance card lists the findings when the complianceCard
+     * output is on. Runs after extractEventDetails. Dates are checked against the time
+     * of the upload the invocation is for, so that processing the same version again,
+     * as a retry or a backfill does, gives the same result.
+     */
+    async checkCompliance(context, config) {
+        const { eventDetails } = context.extracted;
+        if (eventDetails === undefined) {
+            throw new Error('checkCompliance must run after extractEventDetails');
+        }
+        if (Object.keys(eventDetails).length === 0) {
+            logger.info('No event details to check against the rules');
+            return;
+        }
+        const values = await mergeWithCurrent(context, config, 'eventDetails', eventDetails);
+        const compliance = evaluateRules(config.rules || [], values, { now: context.filesReader.eventTime });
+        const violations = compliance.results.filter((result) => result.outcome === RuleOutcome.FAILED);
+        context.extracted.compliance = compliance;
+        logger.info('Checked event details against the rules', {
+            status: compliance.status,
+            violated: violations.map((result) => result.id)
+        });
+        context.updates.eventDetails = Object.assign({}, context.updates.eventDetails, {
+            complianceStatus: compliance.status,
+            complianceViolations:
+                compliance.status === ComplianceStatus.FAIL
+                    ? violations.map((result) => result.description).join('; ')
+                    : ''
+        });
+        if (context.outputs.complianceCard) {
+            context.cards.push(createComplianceCard(context.skillsWriter, compliance));
+        }
+    },
+
+    /**
+     * Looks for other event plans booking the same venue on overlapping dates, see
+     * findConflicts() in lib/conflicts.js, among the files the service account can
+     * see, or the files below conflicts.folderId of the skill configuration. Plans
+     * are compared on the template conflicts.template names, or else the one the
+     * pipeline writes, see getConflictsTemplate() in lib/config.js, with this plan's
+     * venue and dates as they are once the extracted ones are merged in, keeping the
+     * ones edited by hand, see mergeWithCurrent() in ./current. With
+     * conflicts.approval, only approved plans are looked at. scheduleConflict is
+     * written to the template, Conflict or None, and conflictingFiles lists links to
+     * the clashing plans; a Scheduling Conflicts card warns about them when the
+     * conflictCard output is on. The clashing plans are flagged too, with a link to
+     * this one added to their conflictingFiles, unless this plan is not approved.
+     * Runs after extractEventDetails. Without a service account, or without a venue
+     * and start date, nothing is checked.
+     */
+    async checkConflicts(context, config) {
+        const { eventDetails } = context.extracted;
+        if (eventDetails === undefined) {
+            throw new Error('checkConflicts must run after extractEventDetails');
+        }
+        const template = getConflictsTemplate(config, context.pipeline);
+        const { venue, startDate, endDate } = await mergeWithCurrent(context, config, template, eventDetails);
+        if (!venue || !startDate) {
+            logger.info('No venue and dates to check for conflicts');
+            return;
+        }
+        if (!context.serviceClient) {
+            logger.warn('Not checking for conflicts, other event plans can only be searched with a service account');
+            return;
+        }
+        const { folderId, approval } = config.conflicts || {};
+        const event = { fileId: context.filesReader.fileId, venue, startDate, endDate };
+        const others = await findEventsBetween(context.serviceClient, config, event, { template, folderId, approval });
+        const conflicts = findConflicts(event, others).map((conflict) =>
+            Object.assign({ url: `${BOX_FILE_URL}${conflict.fileId}` }, conflict)
+        );
+        logger.info('Checked for venue and date conflicts', {
+            candidates: others.length,
+            conflicts: conflicts.map((conflict) => conflict.fileId)
+        });
+        context.extracted.conflicts = conflicts;
+        context.updates[template] = Object.assign({}, context.updates[template], {
+            scheduleConflict: conflicts.length > 0 ? ConflictStatus.CONFLICT : ConflictStatus.NONE,
+            conflictingFiles: conflicts.map((conflict) => conflict.url).join('; ')
+        });
+        if (conflicts.length > 0 && context.outputs.conflictCard) {
+            context.cards.push(createConflictCard(context.skillsWriter, conflicts));
+        }
+        const current = context.metadata[template] || {};
+        if (approval && current[approval.field] !== approval.value) {
+            logger.info('Plan is not approved, not flagging the plans it clashes with');
+            return;
+        }
+        const link = `${BOX_FILE_URL}${event.fileId}`;
+        conflicts.forEach((conflict) => {
+            const links = (conflict.conflictingFiles || '').split('; ').filter(Boolean);
+            const updates = context.relatedUpdates[conflict.fileId] || {};
+            updates[template] = Object.assign({}, updates[template], {
+                scheduleConflict: ConflictStatus.CONFLICT,
+                conflictingFiles: (links.includes(link) ? links : links.concat(link)).join('; ')
+            });
+            context.relatedUpdates[conflict.fileId] = updates;
+        });
+    },
+
+    /**
+     * Generates an iCalendar file of the event, see createCalendar() in lib/calendar.js,
+     * with the agenda's sessions in the time zone of the calendar configuration, and
+     * saves it next to the document with the same name and the .ics extension. The
+     * file's id is written to eventDetails as calendarFileId, and the file gets a new
+     * version when the document is processed again. Runs after extractEventDetails,
+     * when the calendarFile output is on and the event has a start date. Nothing is
+     * saved in a dry run. The file is saved with the service account, as the
+     * invocation's write token only gives access to the document itself; without a
+     * service account, no calendar file is saved.
+     */
+    async publishCalendar(context, config) {
+        const { text, eventDetails } = context.extracted;
+        if (eventDetails === undefined) {
+            throw new Error('publishCalendar must run after extractEventDetails');
+        }
+        if (!context.outputs.calendarFile) return;
+        if (!eventDetails.startDate) {
+            logger.info('No start date found, no calendar file saved');
+            return;
+        }
+        const { fileId, fileName } = context.filesReader;
+        const name = `${path.parse(fileName).name}.ics`;
+        const calendar = createCalendar(eventDetails, {
+            uid: fileId,
+            agenda: extractAgenda(text),
+            timeZone: (config.calendar || {}).timeZone,
+            source: fileName
+        });
+        if (context.dryRun) {
+            logger.info('Would save calendar file', { name });
+            return;
+        }
+        if (!context.serviceClient) {
+            logger.warn('Not saving the calendar file, files can only be added to the folder with a service account');
+            return;
+        }
+        const client = context.serviceClient;
+        const { parent } = await client.files.get(fileId, { fields: 'parent' }).catch((e) => {
+            throw toSkillError(e);
+        });
+        const current = context.metadata.eventDetails || {};
+        const file = await saveFile(client, {
+            parentId: parent.id,
+            name,
+            content: Buffer.from(calendar, 'utf8'),
+            fileId: current.calendarFileId
+        });
+        logger.info('Saved calendar file', { calendarFileId: file.id, name });
+        context.updates.eventDetails = Object.assign({}, context.updates.eventDetails, { calendarFileId: file.id });
+    },
+
+    /**
+     * Counts the attendees on a CSV or XLSX roster (see readRoster() in lib/extraction)
+     * and writes the totals to the eventDetails of the event plan the roster belongs
+     * to, see findRelatedPlan() in ./related. The participant count is the number of
+     * registered attendees. Writing to the plan needs the service account. An
+     * Attendees card shows the counts when the rosterCard output is on.
+     */
+    async countRosterAttendees(context, config) {
+        if (!context.serviceClient) {
+            throw new Error('countRosterAttendees needs a service account to find and update the event plan');
+        }
+        const roster = await readRoster(context.filesReader);
+        logger.info('Counted roster attendees', roster);
+        const routingMetadata = context.metadata[config.routing.template] || {};
+        const { eventKeyField } = config.roster;
+        const plan = await findRelatedPlan(context.serviceClient, config, {
+            id: context.filesReader.fileId,
+            eventKey: eventKeyField && routingMetadata[eventKeyField]
+        });
+        Object.assign(context.extracted, { roster, relatedPlan: plan });
+        if (plan) {
+            logger.info('Found the event plan of the roster', { planFileId: plan.id, matchedBy: plan.matchedBy });
+            context.relatedUpdates[plan.id] = {
+                eventDetails: {
+                    participantCount: roster.registered,
+                    registeredCount: roster.registered,
+                    waitlistedCount: roster.waitlisted
+                }
+            };
+        }
+        if (context.outputs.rosterCard) {
+            context.cards.push(createRosterCard(context.skillsWriter, roster, plan, eventKeyField));
+        }
+    },
+
+    ignoreDocument(context) {
+        logger.info('Not an event submission document, no pipeline configured for its type', {
+            documentType: context.documentType
+        });
+    }
+};
+
+module.exports = steps;
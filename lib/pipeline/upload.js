@@ -0,0 +1,57 @@
+'use strict';
+
+const { toSkillError } = require('../errors');
+const { logger } = require('../logger');
+
+const NAME_IN_USE = 'item_name_in_use';
+
+const uploadVersion = function uploadVersion(client, fileId, content) {
+    return client.files.uploadNewFileVersion(fileId, content).then((result) => result.entries[0]);
+};
+
+/**
+ * Saves a file the skill generates into a folder: as a new version of the file
+ * saved before, when its id is known and it still exists, or as a new file. When
+ * the folder already has a file with the same name, that file gets the new version.
+ *
+ * @param {BoxClient} client client to upload with, such as the SkillsWriter's fileWriteClient
+ * @param {Object} file
+ * @param {string} file.parentId id of the folder to save the file in
+ * @param {string} file.name file name
+ * @param {Buffer|string} file.content file contents
+ * @param {string} [file.fileId] id of the file saved before
+ * @return {Promise<Object>} resolves to the Box file object of the saved file
+ * @throws {SkillError} when Box rejects the upload, see toSkillError()
+ */
+const saveFile = async function saveFile(client, { parentId, name, content, fileId }) {
+    try {
+        if (fileId) {
+            try {
+                return await uploadVersion(client, fileId, content);
+            } catch (e) {
+                if (e.statusCode !== 404) throw e;
+                logger.info('The file saved before was deleted, uploading it again', { previousFileId: fileId, name });
+            }
+        }
+        try {
+            const result = await client.files.uploadFile(parentId, name, content);
+            return result.entries[0];
+        } catch (e) {
+            const body = e.response && e.response.body;
+            if (e.statusCode !== 409 || !body || body.code !== NAME_IN_USE) throw e;
+            // Box gives the conflicting file as an object, or in a list
+            const [existing] = [].concat(body.context_info.conflicts);
+            logger.info('A file with the same name exists, uploading a new version of it', {
+                existingFileId: existing.id,
+                name
+            });
+            return await uploadVersion(client, existing.id, content);
+        }
+    } catch (e) {
+        throw toSkillError(e);
+    }
+};
+
+module.exports = {
+    saveFile
+};
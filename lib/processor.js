@@ -0,0 +1,263 @@
+'use strict';
+
+const { FilesReader, SkillsWriter, runWithDeadline } = require('../skills-kit-2.0');
+const { ensureAccess, withTokenRecovery } = require('./auth');
+const { InvalidEventError, saveErrorCard, toSkillError } = require('./errors');
+const { beginInvocation, completeInvocation, failInvocation, getLastWrites } = require('./idempotency');
+const { logger, runWithContext } = require('./logger');
+const { hasShadowRoutes, readTemplate, resolveRoute, runPipeline } = require('./pipeline');
+const { recordShadowRun } = require('./pipeline/shadow');
+
+/**
+ * Builds the FilesReader and SkillsWriter for an invocation body.
+ *
+ * @param {string|Object} body skill invocation event body
+ * @param {Object} [cardOptions] { merge, keepHistory } options of the SkillsWriter, see the cards
+ *                               section of the skill configuration
+ * @return {Object} { filesReader, skillsWriter }
+ * @throws {InvalidEventError} when the body is not a valid skill invocation
+ */
+const readInvocation = function readInvocation(body, cardOptions) {
+    let filesReader;
+    try {
+        filesReader = new FilesReader(body);
+    } catch (e) {
+        throw new InvalidEventError(`Malformed skill invocation: ${e.message}`, e);
+    }
+    return { filesReader, skillsWriter: new SkillsWriter(filesReader.getFileContext(), cardOptions) };
+};
+
+/**
+ * Fields identifying an invocation on every log line written while it is handled.
+ *
+ * @param {FilesReader} filesReader reader for the invocation
+ * @return {Object} { requestId, skillId, fileId, fileVersionId }
+ */
+const getLogContext = function getLogContext(filesReader) {
+    return {
+        requestId: filesReader.requestId,
+        skillId: filesReader.skillId,
+        fileId: filesReader.fileId,
+        fileVersionId: filesReader.fileVersionId
+    };
+};
+
+/**
+ * Reads the routing metadata of the invocation's file and resolves its route.
+ *
+ * @param {Object} invocation { filesReader, skillsWriter }, see readInvocation()
+ * @param {Object} skillConfig validated skill configuration
+ * @return {Promise<Object>} resolves to { route, documentType, metadata }, see resolveRoute(),
+ *                           metadata being the routing template's values
+ */
+const routeInvocation = async function routeInvocation(invocation, skillConfig) {
+    const { filesReader, skillsWriter } = invocation;
+    const { routing } = skillConfig;
+    const metadata = await runWithContext({ step: 'route' }, () =>
+        readTemplate(skillsWriter, skillConfig.templates[routing.template])
+    );
+    const documentType = metadata ? metadata[routing.field] : undefined;
+    const route = resolveRoute(routing, {
+        documentType,
+        fileType: filesReader.fileType
+    });
+    return { route, documentType, metadata };
+};
+
+/**
+ * Whether the invocation's document is routed to a pipeline in shadow mode, which
+ * leaves the file's cards as they are. Only reads the routing metadata when some
+ * route is in shadow mode.
+ *
+ * @param {Object} invocation { filesReader, skillsWriter }, see readInvocation()
+ * @param {Object} skillConfig validated skill configuration
+ * @return {Promise<boolean>}
+ */
+const isShadowRun = async function isShadowRun(invocation, skillConfig) {
+    if (!hasShadowRoutes(skillConfig.routing)) return false;
+    const { route } = await routeInvocation(invocation, skillConfig);
+    return route.shadow !== undefined;
+};
+
+/** Routes the document, runs its pipeline and saves the cards, see processInvocation */
+const runInvocation = async function runInvocation(invocation, skillConfig, idempotencyStore, options) {
+    const { filesReader, skillsWriter } = invocation;
+    const { routing } = skillConfig;
+    const { route, documentType, metadata } = await routeInvocation(invocation, skillConfig);
+    const pipelineName = route.pipeline;
+    // A route in shadow mode runs its pipeline as a dry run, and compares the changes it would make
+    invocation.shadow = route.shadow;
+    const dryRun = Boolean(options.dryRun || route.shadow);
+    logger.info('Routing document', {
+        documentType,
+        fileType: filesReader.fileType,
+        pipeline: pipelineName,
+        shadow: Boolean(route.shadow)
+    });
+    const context = await runPipeline(
+        pipelineName,
+        {
+            filesReader,
+            skillsWriter,
+            documentType,
+            metadata: { [routing.template]: metadata },
+            lastWrites: await getLastWrites(idempotencyStore, filesReader.fileId),
+            outputs: route.outputs,
+            deadline: options.deadline,
+            serviceClient: options.serviceClient,
+            dryRun,
+            overwriteUnrecorded: options.overwriteUnrecorded,
+            cards: []
+        },
+        skillConfig
+    );
+    if (route.shadow) {
+        context.shadow = await runWithContext({ step: 'shadow' }, () =>
+            recordShadowRun(context, skillConfig, route.shadow, { save: !options.dryRun })
+        );
+    }
+    if (!dryRun) {
+        await runWithContext({ step: 'saveCards' }, () =>
+            skillsWriter.saveCards(context.cards, { usage: context.usage })
+        );
+    }
+    return context;
+};
+
+/** Processes an invocation whose body has been read, see processInvocation */
+const processReadInvocation = async function processReadInvocation(invocation, skillConfig, idempotencyStore, options) {
+    const { filesReader, skillsWriter } = invocation;
+    const fileContext = filesReader.getFileContext();
+    const claim = await beginInvocation(idempotencyStore, fileContext);
+    if (!claim.proceed) {
+        logger.info('Skipping duplicate delivery of invocation', { status: claim.existing.status });
+        return null;
+    }
+    try {
+        ensureAccess(invocation, options);
+        const context = await withTokenRecovery(invocation, options.serviceClient, () =>
+            runInvocation(invocation, skillConfig, idempotencyStore, options)
+        );
+        // A shadow run wrote nothing, so what the skill last wrote to the file stays as it was
+        await completeInvocation(idempotencyStore, fileContext, {
+            pipeline: context.pipeline,
+            written: context.shadow ? {} : context.written,
+            changes: context.shadow ? {} : context.changes
+        });
+        logger.info('Skill process completed', {
+            pipeline: context.pipeline,
+            cards: context.cards.length,
+            usage: context.usage
+        });
+        return context;
+    } catch (error) {
+        const skillError = toSkillError(error);
+        logger.error('Skill processing failed', { error: skillError });
+        await failInvocation(idempotencyStore, fileContext, skillError);
+        if (!invocation.shadow) {
+            await saveErrorCard(skillsWriter, skillError);
+        }
+        if (skillError.transient) {
+            throw skillError;
+        }
+        return null;
+    }
+};
+
+/**
+ * Does the work for one skill invocation: reads the routing metadata, runs the
+ * pipeline the document is routed to, then replaces the processing card with the
+ * cards the pipeline produced. This runs in the worker, outside of the skills
+ * engine's 10 second window.
+ *
+ * Each invocation is claimed in the idempotency store first, keyed on the request
+ * id and file version, so duplicate deliveries are skipped and the outcome of each
+ * invocation is recorded.
+ *
+ * When the invocation's access tokens expire before the work is done, or Box rejects
+ * them, the work is done with the skill's service account instead, see ./auth.
+ *
+ * Documents on a route in shadow mode run their pipeline without writing
+ * metadata or saving cards, failures included; the changes it would make are
+ * compared with the current metadata instead, see recordShadowRun() in ./pipeline/shadow.
+ *
+ * Failures are converted to SkillErrors and reported with an error card. Transient
+ * failures are rethrown so the queue delivers the invocation again; permanent
+ * failures are not, as retrying them cannot succeed.
+ *
+ * @param {string|Object} body skill invocation event body
+ * @param {Object} skillConfig validated skill configuration
+ * @param {Object} idempotencyStore store created by createIdempotencyStore()
+ * @param {Object} [options]
+ * @param {number} [options.deadline] time (ms since epoch) by which reading the document
+ *                                    must be done, passed to the pipeline as context.deadline
+ * @param {number} [options.requestDeadline] time (ms since epoch) after which failed Box API calls
+ *                                           are no longer retried, see runWithDeadline() in the skills kit
+ * @param {BoxClient} [options.serviceClient] client of the skill's service account, used when
+ *                                            the invocation's tokens expire and by steps that update
+ *                                            other files, see getServiceClient()
+ * @param {boolean} [options.useServiceAccount] do all the work with the service account, for invocations
+ *                                              without tokens of their own, see ensureAccess() in ./auth
+ * @param {boolean} [options.overwriteUnrecorded] replace metadata values the skill has no record of
+ *                                                writing instead of keeping them as manual edits, see
+ *                                                runPipeline() in ./pipeline
+ * @return {Promise<Object|null>} resolves to the pipeline context, or null when the
+ *                                invocation was skipped or failed permanently
+ */
+const processInvocation = async function processInvocation(body, skillConfig, idempotencyStore, options = {}) {
+    let invocation;
+    try {
+        invocation = readInvocation(body, skillConfig.cards);
+    } catch (error) {
+        logger.error('Dropping malformed invocation', { error });
+        return null;
+    }
+    const { filesReader } = invocation;
+    return runWithContext(Object.assign(getLogContext(filesReader), { step: 'process' }), () =>
+        logger.span('process invocation', () =>
+            runWithDeadline(options.requestDeadline, () =>
+                processReadInvocation(invocation, skillConfig, idempotencyStore, options)
+            )
+        )
+    );
+};
+
+/**
+ * Runs the pipeline for an invocation without changing anything in Box: the metadata
+ * changes are worked out but not written, and no cards or files are saved. Nothing
+ * is recorded in the idempotency store either. Used by the backfill's dry run.
+ *
+ * @param {string|Object} body skill invocation event body
+ * @param {Object} skillConfig validated skill configuration
+ * @param {Object} idempotencyStore store created by createIdempotencyStore(), read for what the
+ *                                  skill last wrote to the file
+ * @param {Object} [options] see processInvocation()
+ * @return {Promise<Object>} resolves to the pipeline context, whose changes and relatedChanges hold the
+ *                           changes processing the invocation would make
+ * @throws {SkillError} when the invocation cannot be processed
+ */
+const previewInvocation = async function previewInvocation(body, skillConfig, idempotencyStore, options = {}) {
+    const invocation = readInvocation(body, skillConfig.cards);
+    const { filesReader } = invocation;
+    return runWithContext(Object.assign(getLogContext(filesReader), { step: 'preview' }), () =>
+        runWithDeadline(options.requestDeadline, async () => {
+            const dryRunOptions = Object.assign({}, options, { dryRun: true });
+            try {
+                ensureAccess(invocation, options);
+                return await withTokenRecovery(invocation, options.serviceClient, () =>
+                    runInvocation(invocation, skillConfig, idempotencyStore, dryRunOptions)
+                );
+            } catch (error) {
+                throw toSkillError(error);
+            }
+        })
+    );
+};
+
+module.exports = {
+    getLogContext,
+    isShadowRun,
+    previewInvocation,
+    processInvocation,
+    readInvocation
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const { createMemoryQueue } = require('./memory');
+const { createSqsQueue, parseSqsEvent } = require('./sqs');
+
+/**
+ * Creates the queue invocations are handed to after they are acknowledged.
+ * Uses SQS when SKILL_QUEUE_URL is set, and otherwise an in-process queue that
+ * runs the given worker itself, which is what local runs and tests use.
+ *
+ * @param {Object} options
+ * @param {Function} [options.worker] worker for the in-process queue
+ * @param {Object} [options.env] environment to read from, defaults to process.env
+ * @return {Object} queue with send(message)
+ */
+const createQueue = function createQueue(options = {}) {
+    const env = options.env || process.env;
+    if (env.SKILL_QUEUE_URL) {
+        return createSqsQueue({ queueUrl: env.SKILL_QUEUE_URL });
+    }
+    return createMemoryQueue({ worker: options.worker });
+};
+
+module.exports = {
+    createMemoryQueue,
+    createQueue,
+    createSqsQueue,
+    parseSqsEvent
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const { logger } = require('../logger');
+
+/**
+ * In-process queue with the same send() interface as the SQS queue. Used for
+ * local runs and tests: messages are handed to the worker on the next tick, and
+ * drain() resolves once every message sent so far has been processed.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.worker] async (message) => void, called for each message
+ * @return {Object} queue with send(message), drain() and the list of sent messages
+ */
+const createMemoryQueue = function createMemoryQueue(options = {}) {
+    const messages = [];
+    const pending = new Set();
+
+    return {
+        messages,
+
+        send(message) {
+            messages.push(message);
+            if (options.worker) {
+                const processing = new Promise((resolve) => setImmediate(resolve))
+                    .then(() => options.worker(message))
+                    .catch((error) => logger.error('In-process worker failed', { error }))
+                    .finally(() => pending.delete(processing));
+                pending.add(processing);
+            }
+            return Promise.resolve({ messageId: String(messages.length) });
+        },
+
+        async drain() {
+            while (pending.size > 0) {
+                await Promise.all([...pending]);
+            }
+        }
+    };
+};
+
+module.exports = {
+    createMemoryQueue
+};
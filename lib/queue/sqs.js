@@ -0,0 +1,42 @@
+'use strict';
+
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+
+/**
+ * Queue backed by Amazon SQS. Messages are serialized to JSON; the worker
+ * function receives them through its SQS event source.
+ *
+ * @param {Object} options
+ * @param {string} options.queueUrl URL of the SQS queue
+ * @param {SQSClient} [options.client] SQS client, created for the current region if omitted
+ * @return {Object} queue with send(message)
+ */
+const createSqsQueue = function createSqsQueue(options) {
+    if (!options || !options.queueUrl) {
+        throw new Error('An SQS queue URL is required');
+    }
+    const client = options.client || new SQSClient({});
+
+    return {
+        send(message) {
+            return client
+                .send(new SendMessageCommand({ QueueUrl: options.queueUrl, MessageBody: JSON.stringify(message) }))
+                .then((result) => ({ messageId: result.MessageId }));
+        }
+    };
+};
+
+/**
+ * Parses the messages delivered to a worker by an SQS event source.
+ *
+ * @param {Object} event Lambda SQS event
+ * @return {Object[]} the messages, in delivery order
+ */
+const parseSqsEvent = function parseSqsEvent(event) {
+    return (event.Records || []).map((record) => JSON.parse(record.body));
+};
+
+module.exports = {
+    createSqsQueue,
+    parseSqsEvent
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Overall result of checking a document against the rules */
+const ComplianceStatus = {
+    PASS: 'Pass',
+    FAIL: 'Fail',
+    INCOMPLETE: 'Incomplete'
+};
+
+/** Outcome of a single rule */
+const RuleOutcome = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    NOT_APPLICABLE: 'notApplicable',
+    SKIPPED: 'skipped'
+};
+
+const isObject = function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isNonEmptyString = function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+};
+
+const isMissing = function isMissing(value) {
+    return value === undefined || value === null || value === '';
+};
+
+// Dates are compared as times, so that date fields can be compared with each other
+const comparable = function comparable(value) {
+    if (typeof value === 'string') {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) return time;
+    }
+    return value;
+};
+
+/**
+ * Operators a rule can use, keyed by name. Each takes the field value, the value
+ * to compare with (the rule's value, or the value of its valueField) and the
+ * evaluation options, and returns whether the rule holds. needsValue is false
+ * for operators that only look at the field. Operators that validate the value
+ * only take the rule's value, as a field's value may not have the shape they need.
+ */
+const operators = {
+    eq: { test: (actual, expected) => comparable(actual) === comparable(expected) },
+    ne: { test: (actual, expected) => comparable(actual) !== comparable(expected) },
+    lt: { test: (actual, expected) => comparable(actual) < comparable(expected) },
+    lte: { test: (actual, expected) => comparable(actual) <= comparable(expected) },
+    gt: { test: (actual, expected) => comparable(actual) > comparable(expected) },
+    gte: { test: (actual, expected) => comparable(actual) >= comparable(expected) },
+    between: {
+        test: (actual, [min, max]) => comparable(actual) >= comparable(min) && comparable(actual) <= comparable(max),
+        validate: (value) => Array.isArray(value) && value.length === 2
+    },
+    in: { test: (actual, expected) => expected.includes(actual), validate: Array.isArray },
+    exists: { test: (actual) => !isMissing(actual), needsValue: false },
+    atLeastDaysAhead: {
+        test: (actual, days, options) => (Date.parse(actual) - options.now) / DAY_MS >= days,
+        validate: (value) => typeof value === 'number'
+    }
+};
+
+const validateCondition = function validateCondition(condition, location, errors) {
+    if (!isNonEmptyString(condition.field)) {
+        errors.push(`${location}.field must be a non-empty string`);
+    }
+    const operator = operators[condition.operator];
+    if (!operator) {
+        errors.push(`${location}.operator must be one of ${Object.keys(operators).join(', ')}`);
+        return;
+    }
+    if (operator.needsValue === false) return;
+    if (condition.valueField !== undefined) {
+        if (operator.validate) {
+            errors.push(`${location}.valueField cannot be used with operator ${condition.operator}, set value instead`);
+        } else if (!isNonEmptyString(condition.valueField)) {
+            errors.push(`${location}.valueField must be a non-empty string`);
+        }
+    } else if (condition.value === undefined) {
+        errors.push(`${location} must set value or valueField`);
+    } else if (operator.validate && !operator.validate(condition.value)) {
+        errors.push(`${location}.value is not valid for operator ${condition.operator}`);
+    }
+};
+
+/**
+ * Validates the business rules of the skill configuration.
+ *
+ * @param {Object[]} rules configured rules
+ * @param {string} [location] where the rules are in the configuration, for the messages
+ * @return {string[]} list of problems found, empty when the rules are valid
+ */
+const validateRules = function validateRules(rules, location = 'rules') {
+    const errors = [];
+    if (!Array.isArray(rules)) {
+        return [`${location} must be a list`];
+    }
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const ruleLocation = `${location}[${index}]`;
+        if (!isObject(rule)) {
+            errors.push(`${ruleLocation} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(rule.id)) {
+            errors.push(`${ruleLocation}.id must be a non-empty string`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${ruleLocation}.id "${rule.id}" is used by another rule`);
+        }
+        ids.add(rule.id);
+        if (!isNonEmptyString(rule.description)) {
+            errors.push(`${ruleLocation}.description must be a non-empty string`);
+        }
+        validateCondition(rule, ruleLocation, errors);
+        if (rule.when !== undefined) {
+            if (isObject(rule.when)) {
+                validateCondition(rule.when, `${ruleLocation}.when`, errors);
+            } else {
+                errors.push(`${ruleLocation}.when must be an object`);
+            }
+        }
+    });
+    return errors;
+};
+
+/**
+ * Tests a condition against the values. Returns a RuleOutcome, SKIPPED when
+ * a field the condition needs has no value.
+ */
+const testCondition = function testCondition(condition, values, options) {
+    const operator = operators[condition.operator];
+    const actual = values[condition.field];
+    if (operator.needsValue === false) {
+        return operator.test(actual) ? RuleOutcome.PASSED : RuleOutcome.FAILED;
+    }
+    const expected = condition.valueField === undefined ? condition.value : values[condition.valueField];
+    if (isMissing(actual) || isMissing(expected)) return RuleOutcome.SKIPPED;
+    return operator.test(actual, expected, options) ? RuleOutcome.PASSED : RuleOutcome.FAILED;
+};
+
+/**
+ * Checks values against business rules. A rule applies when its optional when
+ * condition holds; it then passes when its field, compared with its operator to
+ * its value or to the value of its valueField, holds. A rule that needs a value
+ * that is missing is skipped, since it cannot be checked, except for the exists
+ * operator, which fails.
+ *
+ * The overall status is Fail when any rule failed, Incomplete when none failed
+ * but some were skipped, and Pass otherwise.
+ *
+ * @param {Object[]} rules rules, see validateRules()
+ * @param {Object} values values to check, keyed by field name
+ * @param {Object} [options]
+ * @param {number} [options.now] time (ms since epoch) dates are compared with, defaults to now
+ * @return {Object} { status, results } with a { id, description, outcome, missing } result per
+ *                  rule, missing listing the fields a skipped rule needed
+ */
+const evaluateRules = function evaluateRules(rules, values, options = {}) {
+    const evaluation = { now: options.now === undefined ? Date.now() : options.now };
+    const results = rules.map((rule) => {
+        const result = { id: rule.id, description: rule.description };
+        const applies = rule.when ? testCondition(rule.when, values, evaluation) : RuleOutcome.PASSED;
+        if (applies === RuleOutcome.PASSED) {
+            result.outcome = testCondition(rule, values, evaluation);
+        } else {
+            result.outcome = applies === RuleOutcome.FAILED ? RuleOutcome.NOT_APPLICABLE : RuleOutcome.SKIPPED;
+        }
+        if (result.outcome === RuleOutcome.SKIPPED) {
+            result.missing = [rule.when && rule.when.field, rule.field, rule.valueField].filter(
+                (field) => field && isMissing(values[field])
+            );
+        }
+        return result;
+    });
+    const has = (outcome) => results.some((result) => result.outcome === outcome);
+    let status = ComplianceStatus.PASS;
+    if (has(RuleOutcome.FAILED)) status = ComplianceStatus.FAIL;
+    else if (has(RuleOutcome.SKIPPED)) status = ComplianceStatus.INCOMPLETE;
+    return { status, results };
+};
+
+module.exports = {
+    ComplianceStatus,
+    RuleOutcome,
+    evaluateRules,
+    operators,
+    validateRules
+};
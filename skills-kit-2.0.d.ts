@@ -0,0 +1,315 @@
+/**
+ * Type declarations for skills-kit-2.0.js.
+ */
+
+import { Readable } from 'stream';
+
+export declare const SkillsErrorEnum: {
+    readonly FILE_PROCESSING_ERROR: 'skills_file_processing_error';
+    readonly INVALID_FILE_SIZE: 'skills_invalid_file_size_error';
+    readonly INVALID_FILE_FORMAT: 'skills_invalid_file_format_error';
+    readonly INVALID_EVENT: 'skills_invalid_event_error';
+    readonly NO_INFO_FOUND: 'skills_no_info_found';
+    readonly INVOCATIONS_ERROR: 'skills_invocations_error';
+    readonly EXTERNAL_AUTH_ERROR: 'skills_external_auth_error';
+    readonly BILLING_ERROR: 'skills_billing_error';
+    readonly UNKNOWN: 'skills_unknown_error';
+};
+export type SkillsError = (typeof SkillsErrorEnum)[keyof typeof SkillsErrorEnum];
+
+export declare const cardType: {
+    readonly TRANSCRIPT: 'transcript';
+    readonly TOPIC: 'keyword';
+    readonly FACES: 'timeline';
+    readonly STATUS: 'status';
+    readonly ERROR: 'error';
+};
+export type CardType = (typeof cardType)[keyof typeof cardType];
+
+export declare const cardTitle: {
+    readonly TRANSCRIPT: 'Transcript';
+    readonly TOPIC: 'Topics';
+    readonly FACES: 'Faces';
+    readonly STATUS: 'Status';
+    readonly ERROR: 'Error';
+};
+
+export declare const usageUnit: {
+    readonly FILES: 'files';
+    readonly SECONDS: 'seconds';
+    readonly PAGES: 'pages';
+    readonly WORDS: 'words';
+};
+export type UsageUnit = (typeof usageUnit)[keyof typeof usageUnit];
+
+export declare const skillInvocationStatus: {
+    readonly INVOKED: 'invoked';
+    readonly PROCESSING: 'processing';
+    readonly PENDING: 'skills_pending_status';
+    readonly TRANSIENT_FAILURE: 'transient_failure';
+    readonly PERMANENT_FAILURE: 'permanent_failure';
+    readonly SUCCESS: 'success';
+};
+export type SkillInvocationStatus = (typeof skillInvocationStatus)[keyof typeof skillInvocationStatus];
+
+export type FileType = 'AUDIO' | 'VIDEO' | 'IMAGE' | 'DOCUMENT';
+
+/** Access token the skills engine sends with an invocation */
+export interface SkillInvocationToken {
+    access_token: string;
+    expires_in: number;
+    restricted_to: Array<{ scope: string; object?: { type: string; id: string } }>;
+    token_type: 'bearer';
+}
+
+/** Body of the skill invocation event Box sends to a skill */
+export interface SkillInvocationEvent {
+    type: 'skill_invocation';
+    id: string;
+    created_at?: string;
+    trigger?: string;
+    skill: { type: 'skill'; id: string | number; name?: string; api_key?: string };
+    token: { read: SkillInvocationToken; write: SkillInvocationToken };
+    status?: { state: string; message: string; error_code: string; additional_info: string };
+    enterprise?: { type: 'enterprise'; id: string; name?: string };
+    source: {
+        type: 'file';
+        id: string;
+        name: string;
+        size: number;
+        file_version?: { type: 'file_version'; id: string; sha1?: string };
+        parent?: { type: 'folder'; id: string };
+    };
+    event?: {
+        event_id: string;
+        event_type: string;
+        created_at: string;
+        created_by?: { type: 'user'; id: string; name?: string; login?: string };
+        source: { type: 'file'; id: string };
+    };
+}
+
+/** Information about the file an invocation is for, see FilesReader.getFileContext() */
+export interface FileContext {
+    requestId: string;
+    skillId: string;
+    fileId: string;
+    fileVersionId?: string;
+    fileName: string;
+    fileSize: number;
+    fileFormat: string;
+    fileType: FileType;
+    fileDownloadURL: string;
+    fileReadToken: string;
+    fileWriteToken: string;
+    /** Time (ms since epoch) the first of the invocation's tokens expires, undefined when the event does not say */
+    tokenExpiresAt?: number;
+}
+
+export interface PollOptions {
+    /** Number of times to poll for a pending representation, once a second, defaults to 60 */
+    maxPolls?: number;
+}
+
+export interface RepresentationOptions extends PollOptions {
+    /** Time (ms since epoch) to wait for Box to generate the representation until, defaults to one minute from now */
+    deadline?: number;
+}
+
+export interface ExtractedTextOptions extends RepresentationOptions {
+    /** Reads the text when Box has no text representation for the file */
+    fallback?: (filesReader: FilesReader) => Promise<string>;
+}
+
+export declare class FilesReader {
+    constructor(body: string | SkillInvocationEvent);
+
+    requestId: string;
+    skillId: string;
+    fileId: string;
+    fileName: string;
+    fileSize: number;
+    fileVersionId?: string;
+    fileFormat: string;
+    fileType: FileType;
+    fileReadToken: string;
+    fileWriteToken: string;
+    /** Embeds the read token: treat as a credential */
+    fileDownloadURL: string;
+    fileReadClient: any;
+    tokenExpiresAt?: number;
+    /** Time (ms since epoch) of the Box event the invocation is for, such as the upload of the file version */
+    eventTime?: number;
+
+    getFileContext(): FileContext;
+    /** Whether the invocation's tokens have expired, or will have by the given time (ms since epoch) */
+    isTokenExpired(optionalTime?: number): boolean;
+    /** Reads the file with the given Box client from now on */
+    useClient(client: any): this;
+    /** Throws skills_invalid_file_format_error when the file format is not in the list */
+    validateFormat(allowedFileFormatsList: string[]): true;
+    /** Throws skills_invalid_file_size_error when the file is larger than the limit */
+    validateSize(allowedMegabytesNum: number): true;
+    getContentStream(): Promise<Readable>;
+    getContentBase64(): Promise<string>;
+    getContentBinary(): Promise<string>;
+    /** The URL embeds the read token: treat it as a credential */
+    getBasicFormatFileURL(options?: PollOptions): Promise<string>;
+    getBasicFormatContentStream(): Promise<Readable>;
+    getBasicFormatContentBase64(): Promise<string>;
+    getBasicFormatContentBinary(): Promise<string>;
+    getExtractedText(options?: ExtractedTextOptions): Promise<string>;
+    getExtractedTextPages(options?: ExtractedTextOptions): Promise<string[]>;
+    getImageRepresentation(options?: RepresentationOptions): Promise<Buffer | null>;
+}
+
+export interface CardEntry {
+    text: string;
+    type?: 'text' | 'image';
+    image_url?: string;
+    appears?: Array<{ start: number; end: number }>;
+    [key: string]: unknown;
+}
+
+export interface CardStatus {
+    code?: string;
+    message?: string;
+}
+
+/** Skills card as saved in the boxSkillsCards metadata of a file */
+export interface Card {
+    created_at: string;
+    type: 'skill_card';
+    skill: { type: 'service'; id: string };
+    skill_card_type: CardType;
+    skill_card_title: { code: string; message: string };
+    invocation: { type: 'skill_invocation'; id: string };
+    status: CardStatus;
+    entries?: CardEntry[];
+    duration?: number;
+}
+
+export interface CreateCardOptions {
+    type: CardType;
+    title: string;
+    status?: CardStatus;
+    entries?: CardEntry[];
+    /** Total duration of the file in seconds */
+    duration?: number;
+}
+
+export interface CardBuilderOptions {
+    /** Total duration of the file in seconds */
+    duration?: number;
+    /** Card title, defaults to the cardTitle of the card type */
+    title?: string;
+}
+
+export interface Usage {
+    unit: UsageUnit;
+    value: number;
+}
+
+export interface CardMergeOptions {
+    /** Keep the cards of other skills, replacing only this skill's cards with the same title code */
+    merge?: boolean;
+    /** With merge, keep this skill's cards from earlier file versions too */
+    keepHistory?: boolean;
+}
+
+export interface SaveCardsOptions extends CardMergeOptions {
+    /** Defaults to success */
+    status?: SkillInvocationStatus;
+    /** Reported with success only, defaults to 1 file */
+    usage?: Usage;
+}
+
+export interface SaveErrorCardOptions {
+    /** Shown instead of the default message of the error code */
+    message?: string;
+    /** Defaults to permanent_failure */
+    failureType?: typeof skillInvocationStatus.TRANSIENT_FAILURE | typeof skillInvocationStatus.PERMANENT_FAILURE;
+}
+
+export interface ServiceAccountOptions {
+    /** config.json of a Box app using JWT, from the developer console */
+    jwtConfig?: object;
+    /** Client id of a Box app using client credentials */
+    clientID?: string;
+    clientSecret?: string;
+    /** Enterprise whose service account to use, with client credentials */
+    enterpriseID?: string;
+}
+
+/**
+ * Runs fn with a deadline (ms since epoch) after which the failed Box API calls made by the kit's
+ * clients while it runs are no longer retried
+ */
+export declare function runWithDeadline<T>(deadline: number | undefined, fn: () => T): T;
+
+/** Box client authenticated as the service account of a Box app */
+export declare function getServiceAccountClient(options: ServiceAccountOptions): any;
+
+export type Callback = (error: Error | null, response?: unknown) => void;
+
+export declare class SkillsWriter {
+    constructor(fileContext: FileContext, options?: CardMergeOptions);
+
+    requestId: string;
+    skillId: string;
+    fileId: string;
+    fileWriteClient: any;
+    saveOptions: Required<CardMergeOptions>;
+
+    /** Saves cards and reads metadata with the given Box client from now on */
+    useClient(client: any): this;
+
+    createCard(options: CreateCardOptions): Card;
+    createTopicsCard(topicsDataList: CardEntry[], options?: CardBuilderOptions): Card;
+    createTranscriptsCard(transcriptsDataList: CardEntry[], options?: CardBuilderOptions): Card;
+    createFacesCard(facesDataList: CardEntry[], options?: CardBuilderOptions): Promise<Card>;
+    getDataCards(): Promise<Card[]>;
+    saveCards(cards: Card[], options?: SaveCardsOptions): Promise<unknown>;
+    saveProcessingCard(): Promise<unknown>;
+    saveErrorCard(error: SkillsError | string, options?: SaveErrorCardOptions): Promise<unknown>;
+
+    /** @deprecated use createCard({ type, title, status, entries, duration }) */
+    createMetadataCard(
+        type: CardType,
+        title: string,
+        optionalStatus?: CardStatus,
+        optionalEntries?: CardEntry[],
+        optionalFileDuration?: number
+    ): Card;
+    /** @deprecated pass { duration, title } */
+    createTopicsCard(topicsDataList: CardEntry[], optionalFileDuration?: number, optionalCardTitle?: string): Card;
+    /** @deprecated pass { duration, title } */
+    createTranscriptsCard(
+        transcriptsDataList: CardEntry[],
+        optionalFileDuration?: number,
+        optionalCardTitle?: string
+    ): Card;
+    /** @deprecated pass { duration, title } */
+    createFacesCard(
+        facesDataList: CardEntry[],
+        optionalFileDuration?: number,
+        optionalCardTitle?: string
+    ): Promise<Card>;
+    /** @deprecated use saveCards(cards, { status, usage, merge, keepHistory }) */
+    saveDataCards(
+        listofDataCardJSONs: Card[],
+        optionalCallback?: Callback | null,
+        optionalStatus?: SkillInvocationStatus,
+        optionalUsage?: Usage,
+        optionalSaveOptions?: CardMergeOptions
+    ): Promise<unknown>;
+    /** @deprecated use the promise returned by saveProcessingCard() */
+    saveProcessingCard(optionalCallback: Callback | null): Promise<unknown>;
+    /** @deprecated use saveErrorCard(error, { message, failureType }) */
+    saveErrorCard(
+        error: SkillsError | string,
+        optionalCustomMessage?: string,
+        optionalCallback?: Callback | null,
+        optionalFailureType?: SkillInvocationStatus
+    ): Promise<unknown>;
+}
@@ -16,23 +16,42 @@
  */
 
 /* External modules */
+const { AsyncLocalStorage } = require('async_hooks');
+const Bluebird = require('bluebird');
 const BoxSDK = require('box-node-sdk');
 const CustomStream = require('stream');
+const http = require('http');
 const urlPath = require('box-node-sdk/lib/util/url-path');
 const urlTemplate = require('url-template');
 const path = require('path');
 const jimp = require('jimp');
 const trimStart = require('lodash/trimStart');
 const cloneDeep = require('lodash/cloneDeep');
+const { logger } = require('./lib/logger');
 
 /* Constant values for writing cards to skill_invocations service */
 const BASE_PATH = '/skill_invocations'; // Base path for all files endpoints
 const SKILLS_SERVICE_TYPE = 'service';
 const SKILLS_METADATA_CARD_TYPE = 'skill_card';
 const SKILLS_METADATA_INVOCATION_TYPE = 'skill_invocation';
+const SKILLS_CARDS_SCOPE = 'global'; // Metadata template the skills engine keeps the cards of a file in
+const SKILLS_CARDS_TEMPLATE = 'boxSkillsCards';
 
 const BOX_API_ENDPOINT = 'https://api.box.com/2.0';
+const BOX_UPLOAD_API_ENDPOINT = 'https://upload.box.com/api/2.0';
+const API_VERSION_SUFFIX = /\/2\.0\/?$/;
 const MB_INTO_BYTES = 1048576;
+const REPRESENTATION_POLL_INTERVAL_MS = 1000;
+const MAX_REPRESENTATION_POLLS = 60;
+// Box API calls that fail with a 429, a 5xx or a network error are retried this many times, with
+// exponential backoff and full jitter between baseDelayMs and maxDelayMs
+const REQUEST_RETRY = { maxRetries: 4, baseDelayMs: 500, maxDelayMs: 8000 };
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+const EXTRACTED_TEXT_REPRESENTATION = 'extracted_text';
+const IMAGE_REPRESENTATION = 'jpg';
+const DEFAULT_REPRESENTATION_TIMEOUT_MS = 60000;
+const PAGE_SEPARATOR = '\f';
+const UTF8_BOM = /^\uFEFF/;
 const FileType = {
     AUDIO: { name: 'AUDIO', representationType: '[mp3]' },
     VIDEO: { name: 'VIDEO', representationType: '[mp4]' },
@@ -92,6 +111,211 @@ const getFileType = function getFileType(fileFormat) {
     return FileType.DOCUMENT.name;
 };
 
+/**
+ * Box API endpoint, overridable through the box_api_endpoint environment variable
+ * (for example to point the skill at a local mock of the Box API).
+ */
+const getApiEndpoint = function getApiEndpoint() {
+    return process.env.box_api_endpoint || BOX_API_ENDPOINT;
+};
+
+// Deadline of the Box API calls made inside runWithDeadline()
+const requestDeadlines = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a deadline (ms since epoch) for the Box API calls made while it runs by
+ * the kit's clients, including calls other code makes with them. Failed calls are not
+ * retried past the deadline. An undefined deadline lifts the deadline of an enclosing call.
+ *
+ * @param {number|undefined} deadline time (ms since epoch) to stop retrying at
+ * @param {Function} fn function to run
+ * @return {*} what fn returns
+ */
+const runWithDeadline = function runWithDeadline(deadline, fn) {
+    return requestDeadlines.run({ deadline }, fn);
+};
+
+const getRequestDeadline = function getRequestDeadline() {
+    const store = requestDeadlines.getStore();
+    return store ? store.deadline : undefined;
+};
+
+const sleep = function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+};
+
+/** Whether a failed Box API call may succeed when made again */
+const isRetryableError = function isRetryableError(error) {
+    return error.statusCode === 429 || error.statusCode >= 500 || RETRYABLE_NETWORK_ERRORS.has(error.code);
+};
+
+/** Milliseconds a Retry-After header (delay in seconds, or an HTTP date) asks to wait, undefined without one */
+const parseRetryAfter = function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(ms) ? undefined : Math.max(ms, 0);
+};
+
+/**
+ * Milliseconds to wait before retry number retry (1 for the first retry) of a failed call:
+ * exponential backoff with full jitter, or the Retry-After of the response plus up to one
+ * base delay of jitter, so that skills held back together do not all come back at once.
+ */
+const getRetryDelay = function getRetryDelay(error, retry) {
+    const headers = (error.response && error.response.headers) || {};
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== undefined) {
+        return Math.ceil(retryAfter + Math.random() * REQUEST_RETRY.baseDelayMs);
+    }
+    const ceiling = Math.min(REQUEST_RETRY.maxDelayMs, REQUEST_RETRY.baseDelayMs * 2 ** (retry - 1));
+    return Math.ceil(Math.random() * ceiling);
+};
+
+/**
+ * Makes a Box API call, and makes it again while it fails with a 429, a 5xx or a network
+ * error, up to REQUEST_RETRY.maxRetries times, waiting getRetryDelay() in between. When the
+ * next attempt would start after the deadline of runWithDeadline(), gives up with the last
+ * error, marked with deadlineExceeded. 429 and 5xx errors keep their statusCode, so callers
+ * can tell the failure is transient.
+ *
+ * @param {Function} send (attempt) => Promise, makes the call
+ * @param {Object} [fields] fields describing the call, for the log
+ * @return {Promise<*>} resolves to what the successful attempt resolves to
+ */
+const requestWithRetry = async function requestWithRetry(send, fields = {}) {
+    for (let retry = 0; ; retry += 1) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            return await send(retry + 1);
+        } catch (error) {
+            if (!isRetryableError(error) || retry >= REQUEST_RETRY.maxRetries) throw error;
+            const delayMs = getRetryDelay(error, retry + 1);
+            const deadline = getRequestDeadline();
+            if (deadline !== undefined && Date.now() + delayMs > deadline) {
+                error.deadlineExceeded = true;
+                throw error;
+            }
+            logger.warn(
+                'Retrying Box API call',
+                Object.assign({}, fields, { statusCode: error.statusCode, code: error.code, retry: retry + 1, delayMs })
+            );
+            // eslint-disable-next-line no-await-in-loop
+            await sleep(delayMs);
+        }
+    }
+};
+
+/**
+ * Makes every request of the client through requestWithRetry(), and logs a 'box api
+ * call' span for each attempt, with the method, path, status code and duration. For
+ * streamed downloads the span ends when the response starts. Streamed requests and
+ * uploads are made once, as their body or response cannot be replayed.
+ *
+ * Hooks the client's private _makeRequest, which every API call goes through, as
+ * the SDK has no public hook with request timings. The SDK's own retries are turned
+ * off in getSdkConfig(), so that retries keep to the deadline.
+ */
+const instrumentClient = function instrumentClient(client) {
+    const makeRequest = client._makeRequest;
+    client._makeRequest = function timedRequest(params, callback) {
+        const fields = { method: params.method, path: new URL(params.url).pathname };
+        const replayable = !params.streaming && !params.formData;
+        const attempt = (number) => {
+            const span = logger.startSpan('box api call', number > 1 ? Object.assign({ attempt: number }, fields) : fields);
+            const request = makeRequest.call(client, Object.assign({}, params));
+            request.then(
+                (response) => span.end({ statusCode: response.statusCode }),
+                (error) => span.end({ statusCode: error.statusCode, error })
+            );
+            return request;
+        };
+        // the SDK chains bluebird's asCallback() on the requests it makes
+        const request = replayable ? Bluebird.resolve(requestWithRetry(attempt, fields)) : attempt(1);
+        return request.asCallback(callback);
+    };
+    return client;
+};
+
+/**
+ * Box SDK configuration for the configured API endpoints. The upload endpoint can be
+ * overridden through box_upload_api_endpoint.
+ */
+const getSdkConfig = function getSdkConfig() {
+    const apiEndpoint = getApiEndpoint();
+    const sdkConfig = {
+        // requests are retried by instrumentClient()
+        numMaxRetries: 0,
+        apiRootURL: apiEndpoint.replace(API_VERSION_SUFFIX, ''),
+        uploadAPIRootURL: (process.env.box_upload_api_endpoint || BOX_UPLOAD_API_ENDPOINT).replace(API_VERSION_SUFFIX, '')
+    };
+    if (apiEndpoint.startsWith('http:')) {
+        // The SDK defaults to an https agent, which cannot talk to a plain http (local) endpoint
+        sdkConfig.request = { agentClass: http.Agent };
+    }
+    return sdkConfig;
+};
+
+/**
+ * Creates a Box client for an access token, against the configured API endpoints.
+ */
+const getBasicClient = function getBasicClient(accessToken) {
+    const sdkConfig = Object.assign({ clientID: '', clientSecret: '' }, getSdkConfig());
+    return instrumentClient(new BoxSDK(sdkConfig).getBasicClient(accessToken));
+};
+
+/**
+ * Creates a Box client for the service account of a Box app, against the configured API
+ * endpoints, for skills that need to reach a file after the invocation's tokens have expired.
+ * The app authenticates with JWT when a jwtConfig (the app's config.json from the Box
+ * developer console) is given, and with client credentials otherwise. The client gets its
+ * access token on first use and refreshes it when it expires.
+ *
+ * @param {Object} options
+ * @param {Object} [options.jwtConfig]    app configuration with boxAppSettings and enterpriseID
+ * @param {string} [options.clientID]     client id, for client credentials
+ * @param {string} [options.clientSecret] client secret, for client credentials
+ * @param {string} [options.enterpriseID] enterprise whose service account to use, for client credentials
+ * @return {BoxClient} client authenticated as the service account
+ */
+const getServiceAccountClient = function getServiceAccountClient(options) {
+    if (options.jwtConfig) {
+        const sdk = BoxSDK.getPreconfiguredInstance(options.jwtConfig);
+        sdk.configure(getSdkConfig());
+        return instrumentClient(sdk.getAppAuthClient('enterprise'));
+    }
+    const sdkConfig = Object.assign(
+        { clientID: options.clientID, clientSecret: options.clientSecret, enterpriseID: options.enterpriseID },
+        getSdkConfig()
+    );
+    return instrumentClient(new BoxSDK(sdkConfig).getAnonymousClient());
+};
+
+/**
+ * Time (ms since epoch) at which the first of the invocation's access tokens expires,
+ * from the time the invocation was created and the lifetime of each token. Undefined
+ * when the event does not say.
+ */
+const getTokenExpiry = function getTokenExpiry(eventBody) {
+    const createdAt = Date.parse(eventBody.created_at);
+    const lifetimes = [eventBody.token.read, eventBody.token.write]
+        .map((token) => Number(token.expires_in))
+        .filter((lifetime) => Number.isFinite(lifetime));
+    if (Number.isNaN(createdAt) || lifetimes.length === 0) return undefined;
+    return createdAt + Math.min(...lifetimes) * 1000;
+};
+
+/**
+ * Time (ms since epoch) of the Box event the invocation is for, such as the upload of
+ * the file version, which stays the same when the invocation is delivered again. The
+ * invocation's own creation time when the event does not say, undefined when neither does.
+ */
+const getEventTime = function getEventTime(eventBody) {
+    const eventTime = Date.parse((eventBody.event || {}).created_at);
+    const time = Number.isNaN(eventTime) ? Date.parse(eventBody.created_at) : eventTime;
+    return Number.isNaN(time) ? undefined : time;
+};
+
 /** public enums */
 const SkillsErrorEnum = {
     FILE_PROCESSING_ERROR: 'skills_file_processing_error',
@@ -105,62 +329,43 @@ const SkillsErrorEnum = {
     UNKNOWN: 'skills_unknown_error'
 };
 
-/**
- * FilesReader :- A helpful client to capture file related information from
- * incoming Box Skills event  and to access the file's content.
- *
- * API:-
- * FilesReader.getFileContext () : JSON
- * FilesReader.validateFormat (allowedFileFormatsList) : boolean
- * FilesReader.validateSize (allowedMegabytesNum) : boolean
- * async FilesReader.getContentBase64 () : string
- * FilesReader.getContentStream () : stream
- * async FilesReader.getBasicFormatFileURL () : string
- * async FilesReader.getBasicFormatContentBase64 () : string
- * FilesReader.getBasicFormatContentStream () : string
- *
- * Note: BasicFormat functions allows you to access your files stored in Box in
- * another format, which may be more accepted by ML providers. The provided basic
- * formats are Audio files→.mp3, Document/Image files→.jpeg . Video files→.mp4.
- * Caution should be applied using BasicFormats for certain large files as it
- * involves a time delay, and your skill code or skills-engine request may
- * time out before the converted format is fetched.
- */
+/** Types of the cards a SkillsWriter builds */
+const cardType = {
+    TRANSCRIPT: 'transcript',
+    TOPIC: 'keyword',
+    FACES: 'timeline',
+    STATUS: 'status',
+    ERROR: 'error'
+};
 
-function FilesReader(body) {
-    const eventBody = typeof body === 'object' ? body : JSON.parse(body);
-    this.requestId = eventBody.id;
-    this.skillId = eventBody.skill.id.toString();
-    this.fileId = eventBody.source.id;
-    this.fileName = eventBody.source.name;
-    this.fileSize = eventBody.source.size;
-    this.fileFormat = getFileFormat(this.fileName);
-    this.fileType = getFileType(this.fileFormat);
-    this.fileReadToken = eventBody.token.read.access_token;
-    this.fileWriteToken = eventBody.token.write.access_token;
-    this.fileReadClient = BoxSDK.getBasicClient(this.fileReadToken);
-    this.fileDownloadURL = `${BOX_API_ENDPOINT}/files/${this.fileId}/content?access_token=${this.fileReadToken}`;
-}
+/** Default titles of the cards a SkillsWriter builds */
+const cardTitle = {
+    TRANSCRIPT: 'Transcript',
+    TOPIC: 'Topics',
+    FACES: 'Faces',
+    STATUS: 'Status',
+    ERROR: 'Error'
+};
 
-/**
- * SkillsWriter :- A helpful class to write back Metadata Cards for
- * Topics, Transcripts, Timelines, Errors and Statuses back to Box for
- * any file for which a Skills Event is sent out.
- *
- * API:-
- * SkillsWriter.createTopicsCard ( topicsDataList, optionalFileDuration, optionalCardTitle ) : DataCard json
- * SkillsWriter.createTranscriptsCard ( transcriptsDataList, optionalFileDuration, optionalCardTitle ): DataCard json
- * async SkillsWriter.createFacesCard ( facesDataList, optionalFileDuration, optionalCardTitle ) : DataCard json
- * async SkillsWriter.saveProcessingCard ( optionalCallback ) : null
- * async SkillsWriter.saveErrorCard ( error, optionalCustomMessage, optionalCallback ): null
- * async SkillsWriter.saveDataCards ( listofDataCardJSONs, optionalCallback): null
- */
-function SkillsWriter(fileContext) {
-    this.requestId = fileContext.requestId;
-    this.skillId = fileContext.skillId;
-    this.fileId = fileContext.fileId;
-    this.fileWriteClient = BoxSDK.getBasicClient(fileContext.fileWriteToken);
-}
+/** Units of the usage reported when cards are saved */
+const usageUnit = {
+    FILES: 'files',
+    SECONDS: 'seconds',
+    PAGES: 'pages',
+    WORDS: 'words'
+};
+
+/** Statuses of a skill invocation */
+const skillInvocationStatus = {
+    INVOKED: 'invoked',
+    PROCESSING: 'processing',
+    PENDING: 'skills_pending_status',
+    TRANSIENT_FAILURE: 'transient_failure',
+    PERMANENT_FAILURE: 'permanent_failure',
+    SUCCESS: 'success'
+};
+
+const DEFAULT_USAGE = { unit: usageUnit.FILES, value: 1 };
 
 /** FilesReader private functions */
 
@@ -187,17 +392,30 @@ const readStreamToString = function readStreamToString(stream, encoding = 'base6
     });
 };
 
+/**
+ * Error for work that could not be done before its deadline, or within its number of
+ * attempts. Marked with deadlineExceeded, as trying again later may succeed.
+ */
+const deadlineExceededError = function deadlineExceededError() {
+    return Object.assign(new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR), { deadlineExceeded: true });
+};
+
 /**
  * Poll the representation info URL until representation is generated,
  * then return content URL template.
  * @param {BoxClient} client The client to use for making API calls
  * @param {string} infoURL The URL to use for getting representation info
+ * @param {Object} [options]
+ * @param {number} [options.deadline] Time (ms since epoch) after which polling stops with an error
+ * @param {number} [options.maxPolls] Number of polls after which polling stops with an error
+ * @param {number} [polls] Number of polls made so far
  * @returns {Promise<string>} A promise resolving to the content URL template
  */
-function pollRepresentationInfo(client, infoURL) {
+function pollRepresentationInfo(client, infoURL, options = {}, polls = 0) {
+    const { deadline, maxPolls = MAX_REPRESENTATION_POLLS } = options;
     return client.get(infoURL).then((response) => {
         if (response.statusCode !== 200) {
-            console.error(`Unexpected response ${response}`);
+            logger.error('Unexpected response while polling representation', { statusCode: response.statusCode });
         }
         const info = response.body;
         switch (info.status.state) {
@@ -207,189 +425,345 @@ function pollRepresentationInfo(client, infoURL) {
                 return info;
             case 'none':
             case 'pending':
-                return Promise.delay(1000).then(() => pollRepresentationInfo(client, infoURL));
+                if (deadline && Date.now() + REPRESENTATION_POLL_INTERVAL_MS > deadline) {
+                    logger.error('Representation was not generated before the deadline', { state: info.status.state });
+                    throw deadlineExceededError();
+                }
+                if (polls + 1 >= maxPolls) {
+                    logger.error('Representation was not generated in time', { state: info.status.state, polls: polls + 1 });
+                    throw deadlineExceededError();
+                }
+                return sleep(REPRESENTATION_POLL_INTERVAL_MS).then(() =>
+                    pollRepresentationInfo(client, infoURL, options, polls + 1)
+                );
             default:
-                console.error(`Unknown representation status: ${info.status.state}`);
+                logger.error('Unknown representation status', { state: info.status.state });
                 throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
         }
     });
 }
 
-/** FilesReader public functions */
-
 /**
- * Returns a JSON containing fileId, fileName, fileFormat, fileType, fileSize, fileDownloadURL,
- * fileReadToken, fileWriteToken, skillId, requestId for use in code.
+ * Resolves to the content URL template of a representation of the file, waiting
+ * until the deadline for Box to generate it, or to null when Box has no such
+ * representation for the file (its format is not supported, or the conversion failed).
  */
-FilesReader.prototype.getFileContext = function getFileContext() {
-    return {
-        requestId: this.requestId,
-        skillId: this.skillId,
-        fileId: this.fileId,
-        fileName: this.fileName,
-        fileSize: this.fileSize,
-        fileFormat: this.fileFormat,
-        fileType: this.fileType,
-        fileDownloadURL: this.fileDownloadURL,
-        fileReadToken: this.fileReadToken,
-        fileWriteToken: this.fileWriteToken
-    };
+const getRepresentationURLTemplate = function getRepresentationURLTemplate(
+    client,
+    fileId,
+    representation,
+    representationHints,
+    pollOptions
+) {
+    return client.files.getRepresentationInfo(fileId, representationHints).then((reps) => {
+        const repInfo = reps.entries.find((entry) => entry.representation === representation);
+        if (!repInfo) return null;
+        switch (repInfo.status.state) {
+            case 'success':
+            case 'viewable':
+                return repInfo.content.url_template;
+            case 'error':
+                return null;
+            case 'none':
+            case 'pending':
+                return pollRepresentationInfo(client, repInfo.info.url, pollOptions).then((info) =>
+                    info.status.state === 'error' ? null : info.content.url_template
+                );
+            default:
+                logger.error('Unknown representation status', { state: repInfo.status.state });
+                throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+        }
+    });
 };
 
 /**
- * Helper function to check if a given file is eligible to be processed by the
- * skill as per the list of allowed formats.
+ * FilesReader :- A helpful client to capture file related information from
+ * incoming Box Skills event  and to access the file's content.
+ *
+ * API:-
+ * FilesReader.getFileContext () : JSON
+ * FilesReader.validateFormat (allowedFileFormatsList) : boolean
+ * FilesReader.validateSize (allowedMegabytesNum) : boolean
+ * async FilesReader.getContentBase64 () : string
+ * FilesReader.getContentStream () : stream
+ * async FilesReader.getBasicFormatFileURL ( optionalOptions ) : string
+ * async FilesReader.getBasicFormatContentBase64 () : string
+ * FilesReader.getBasicFormatContentStream () : string
+ * async FilesReader.getExtractedText ( optionalOptions ) : string
+ * async FilesReader.getExtractedTextPages ( optionalOptions ) : string[]
+ * async FilesReader.getImageRepresentation ( optionalOptions ) : Buffer
+ * FilesReader.isTokenExpired ( optionalTime ) : boolean
+ * FilesReader.useClient ( client ) : FilesReader
+ *
+ * Note: the read and write tokens in the event are valid for about an hour. Skills that may
+ * work on a file later than that can check isTokenExpired() and switch to a client of their
+ * own, such as getServiceAccountClient(), with useClient(). fileDownloadURL and
+ * getBasicFormatFileURL() embed the invocation's read token in the URL, so treat them as
+ * credentials: do not log them, and do not use them once the token has expired.
+ *
+ * Note: BasicFormat functions allows you to access your files stored in Box in
+ * another format, which may be more accepted by ML providers. The provided basic
+ * formats are Audio files→.mp3, Document/Image files→.jpeg . Video files→.mp4.
+ * Caution should be applied using BasicFormats for certain large files as it
+ * involves a time delay, and your skill code or skills-engine request may
+ * time out before the converted format is fetched.
  */
-FilesReader.prototype.validateFormat = function validateFormat(allowedFileFormatsList) {
-    if (allowedFileFormatsList.includes(this.fileFormat)) return true;
-    console.error(`File format ${this.fileFormat} is not accepted by this skill`);
-    throw new Error(SkillsErrorEnum.INVALID_FILE_FORMAT);
-};
 
-/**
- * Helper function to check if a given file is eligible to be processed by the skill as per the size limit.
- */
-FilesReader.prototype.validateSize = function validateSize(allowedMegabytesNum) {
-    const fileSizeMB = this.fileSize / MB_INTO_BYTES;
-    if (fileSizeMB <= allowedMegabytesNum) return true;
-    console.error(`File size ${fileSizeMB} MB is over accepted limit of ${allowedMegabytesNum} MB`);
-    throw new Error(SkillsErrorEnum.INVALID_FILE_SIZE);
-};
+class FilesReader {
+    constructor(body) {
+        const eventBody = typeof body === 'object' ? body : JSON.parse(body);
+        this.requestId = eventBody.id;
+        this.skillId = eventBody.skill.id.toString();
+        this.fileId = eventBody.source.id;
+        this.fileName = eventBody.source.name;
+        this.fileSize = eventBody.source.size;
+        this.fileVersionId = eventBody.source.file_version ? eventBody.source.file_version.id : undefined;
+        this.fileFormat = getFileFormat(this.fileName);
+        this.fileType = getFileType(this.fileFormat);
+        this.fileReadToken = eventBody.token.read.access_token;
+        this.fileWriteToken = eventBody.token.write.access_token;
+        this.fileReadClient = getBasicClient(this.fileReadToken);
+        this.fileDownloadURL = `${getApiEndpoint()}/files/${this.fileId}/content?access_token=${this.fileReadToken}`;
+        this.tokenExpiresAt = getTokenExpiry(eventBody);
+        this.eventTime = getEventTime(eventBody);
+    }
 
-/**
- * Returns a Read Stream to be passed to read file directly from box. Note:
- * Some ML providers support passing file read streams.
- */
-FilesReader.prototype.getContentStream = function getContentStream() {
-    // Pipe to in-memory stream, since Box stream in some cases is not allowed.
-    const bufferStream = new CustomStream.PassThrough();
-    return this.fileReadClient.files.getReadStream(this.fileId, null, (stream) => stream.pipe(bufferStream));
-};
+    /**
+     * Whether the invocation's access tokens have expired, or will have by optionalTime
+     * (ms since epoch, defaults to now). False when the event does not say when they expire.
+     */
+    isTokenExpired(optionalTime = Date.now()) {
+        return this.tokenExpiresAt !== undefined && this.tokenExpiresAt <= optionalTime;
+    }
 
-/* Outputs the entire file in base64 format. Note: some ML providers have a limit to how
- * large of the payload size can you pass over REST calls. For them pass them readStream instead
- */
-FilesReader.prototype.getContentBase64 = function getContentBase64() {
-    return this.getContentStream().then((stream) => readStreamToString(stream));
-};
+    /**
+     * Reads the file with the given Box client from now on, instead of one built from the
+     * invocation's read token.
+     */
+    useClient(client) {
+        this.fileReadClient = client;
+        return this;
+    }
 
-/* Outputs the entire file in binary format. Note: some ML providers have a limit to how
- * large of the payload size can you pass over REST calls. For them pass them readStream instead
- */
-FilesReader.prototype.getContentBinary = function getContentBinary() {
-    return this.getContentStream().then((stream) => readStreamToString(stream, 'binary'));
-};
+    /**
+     * Returns a JSON containing fileId, fileVersionId, fileName, fileFormat, fileType, fileSize,
+     * fileDownloadURL, fileReadToken, fileWriteToken, tokenExpiresAt, skillId, requestId for use in code.
+     */
+    getFileContext() {
+        return {
+            requestId: this.requestId,
+            skillId: this.skillId,
+            fileId: this.fileId,
+            fileVersionId: this.fileVersionId,
+            fileName: this.fileName,
+            fileSize: this.fileSize,
+            fileFormat: this.fileFormat,
+            fileType: this.fileType,
+            fileDownloadURL: this.fileDownloadURL,
+            fileReadToken: this.fileReadToken,
+            fileWriteToken: this.fileWriteToken,
+            tokenExpiresAt: this.tokenExpiresAt
+        };
+    }
 
-/**
- * Same as FilesReader.getFileContext().fileDownloadURL but in BasicFormat
- */
-FilesReader.prototype.getBasicFormatFileURL = function getBasicFormatFileURL() {
-    const options = { assetPath: '' };
-
-    return this.fileReadClient.files
-        .getRepresentationInfo(this.fileId, FileType[this.fileType].representationType)
-        .then((reps) => {
-            const repInfo = reps.entries.pop();
-            if (!repInfo) {
-                console.error('Could not get information for requested representation');
-                throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
-            }
+    /**
+     * Helper function to check if a given file is eligible to be processed by the
+     * skill as per the list of allowed formats.
+     */
+    validateFormat(allowedFileFormatsList) {
+        if (allowedFileFormatsList.includes(this.fileFormat)) return true;
+        logger.error('File format is not accepted by this skill', { fileFormat: this.fileFormat });
+        throw new Error(SkillsErrorEnum.INVALID_FILE_FORMAT);
+    }
 
-            switch (repInfo.status.state) {
-                case 'success':
-                case 'viewable':
-                    return repInfo.content.url_template;
-                case 'error':
-                    console.error('Representation had error status');
-                    throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
-                case 'none':
-                case 'pending':
-                    return pollRepresentationInfo(this.fileReadClient, repInfo.info.url).then((info) => {
-                        if (info.status.state === 'error') {
-                            console.error('Representation had error status');
-                            throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
-                        }
-                        return info.content.url_template;
-                    });
-                default:
-                    console.error(`Unknown representation status: ${repInfo.status.state}`);
+    /**
+     * Helper function to check if a given file is eligible to be processed by the skill as per the size limit.
+     */
+    validateSize(allowedMegabytesNum) {
+        const fileSizeMB = this.fileSize / MB_INTO_BYTES;
+        if (fileSizeMB <= allowedMegabytesNum) return true;
+        logger.error('File size is over accepted limit', { fileSizeMB, allowedMegabytesNum });
+        throw new Error(SkillsErrorEnum.INVALID_FILE_SIZE);
+    }
+
+    /**
+     * Returns a Read Stream to be passed to read file directly from box. Note:
+     * Some ML providers support passing file read streams.
+     */
+    getContentStream() {
+        // Pipe to in-memory stream, since Box stream in some cases is not allowed.
+        const bufferStream = new CustomStream.PassThrough();
+        return this.fileReadClient.files.getReadStream(this.fileId, null).then((stream) => stream.pipe(bufferStream));
+    }
+
+    /* Outputs the entire file in base64 format. Note: some ML providers have a limit to how
+     * large of the payload size can you pass over REST calls. For them pass them readStream instead
+     */
+    getContentBase64() {
+        return this.getContentStream().then((stream) => readStreamToString(stream));
+    }
+
+    /* Outputs the entire file in binary format. Note: some ML providers have a limit to how
+     * large of the payload size can you pass over REST calls. For them pass them readStream instead
+     */
+    getContentBinary() {
+        return this.getContentStream().then((stream) => readStreamToString(stream, 'binary'));
+    }
+
+    /**
+     * Same as FilesReader.getFileContext().fileDownloadURL but in BasicFormat. Polls for a
+     * pending representation up to optionalOptions.maxPolls times, once a second.
+     */
+    getBasicFormatFileURL(optionalOptions = {}) {
+        const options = { assetPath: '' };
+
+        return this.fileReadClient.files
+            .getRepresentationInfo(this.fileId, FileType[this.fileType].representationType)
+            .then((reps) => {
+                const repInfo = reps.entries.pop();
+                if (!repInfo) {
+                    logger.error('Could not get information for requested representation');
                     throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
-            }
-        })
-        .then(
-            (assetURLTemplate) =>
-                `${urlTemplate.parse(assetURLTemplate).expand({ asset_path: options.assetPath })}?access_token=${
-                    this.fileReadToken
-                }`
-        );
-};
+                }
 
-/**
- * Same as FilesReader.getFileContext().getContentStream() but in BasicFormat
- */
-FilesReader.prototype.getBasicFormatContentStream = function getBasicFormatContentStream() {
-    // Pipe to in-memory stream, since Box stream in some cases is not allowed.
-    const bufferStream = new CustomStream.PassThrough();
-    return this.fileReadClient.files
-        .getRepresentationContent(this.fileId, FileType[this.fileType].representationType, null, (stream) =>
-            stream.pipe(bufferStream)
-        )
-        .catch((e) => {
-            if (e.statusCode === 401) {
-                throw new TypeError(
-                    'The client provided is unauthorized. Client should have read access to the file passed'
-                );
-            }
-            throw e;
-        });
-};
+                switch (repInfo.status.state) {
+                    case 'success':
+                    case 'viewable':
+                        return repInfo.content.url_template;
+                    case 'error':
+                        logger.error('Representation had error status');
+                        throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+                    case 'none':
+                    case 'pending':
+                        return pollRepresentationInfo(this.fileReadClient, repInfo.info.url, {
+                            maxPolls: optionalOptions.maxPolls
+                        }).then((info) => {
+                            if (info.status.state === 'error') {
+                                logger.error('Representation had error status');
+                                throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+                            }
+                            return info.content.url_template;
+                        });
+                    default:
+                        logger.error('Unknown representation status', { state: repInfo.status.state });
+                        throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+                }
+            })
+            .then(
+                (assetURLTemplate) =>
+                    `${urlTemplate.parse(assetURLTemplate).expand({ asset_path: options.assetPath })}?access_token=${
+                        this.fileReadToken
+                    }`
+            );
+    }
 
-/*
- * Same as FilesReader.getFileContext().getContentBase64() but in BasicFormat
- */
-FilesReader.prototype.getBasicFormatContentBase64 = function getBasicFormatContentBase64() {
-    return this.getBasicFormatContentStream().then((stream) => readStreamToString(stream));
-};
+    /**
+     * Same as FilesReader.getFileContext().getContentStream() but in BasicFormat
+     */
+    getBasicFormatContentStream() {
+        // Pipe to in-memory stream, since Box stream in some cases is not allowed.
+        const bufferStream = new CustomStream.PassThrough();
+        return this.fileReadClient.files
+            .getRepresentationContent(this.fileId, FileType[this.fileType].representationType, null)
+            .then((stream) => stream.pipe(bufferStream))
+            .catch((e) => {
+                if (e.statusCode === 401) {
+                    throw new TypeError(
+                        'The client provided is unauthorized. Client should have read access to the file passed'
+                    );
+                }
+                throw e;
+            });
+    }
 
-/*
- * Same as FilesReader.getFileContext().getContentBinary() but in BasicFormat
- */
-FilesReader.prototype.getBasicFormatContentBinary = function getBasicFormatContentBinary() {
-    return this.getBasicFormatContentStream().then((stream) => readStreamToString(stream, 'binary'));
-};
+    /*
+     * Same as FilesReader.getFileContext().getContentBase64() but in BasicFormat
+     */
+    getBasicFormatContentBase64() {
+        return this.getBasicFormatContentStream().then((stream) => readStreamToString(stream));
+    }
 
-/** SkillsWriter private enums */
-const cardType = {
-    TRANSCRIPT: 'transcript',
-    TOPIC: 'keyword',
-    FACES: 'timeline',
-    STATUS: 'status',
-    ERROR: 'error'
-};
+    /*
+     * Same as FilesReader.getFileContext().getContentBinary() but in BasicFormat
+     */
+    getBasicFormatContentBinary() {
+        return this.getBasicFormatContentStream().then((stream) => readStreamToString(stream, 'binary'));
+    }
 
-const cardTitle = {
-    TRANSCRIPT: 'Transcript',
-    TOPIC: 'Topics',
-    FACES: 'Faces',
-    STATUS: 'Status',
-    ERROR: 'Error'
-};
+    /**
+     * Returns the plain text of the file, from the extracted_text representation Box
+     * generates for documents, decoded as UTF-8. Waits for the representation to be
+     * generated until optionalOptions.deadline (ms since epoch, defaults to one minute
+     * from now), polling at most optionalOptions.maxPolls times, and rejects with
+     * skills_file_processing_error, marked with deadlineExceeded, once either runs out.
+     *
+     * When Box has no text representation for the file, the text is read with
+     * optionalOptions.fallback instead: an async (filesReader) => string function that
+     * typically downloads the original file with getContentStream() and parses it.
+     * Without a fallback, this rejects with skills_file_processing_error.
+     *
+     * Pages are taken to be separated by form feeds (\f), as text extracted from paged
+     * documents usually is, see getExtractedTextPages().
+     */
+    getExtractedText(optionalOptions = {}) {
+        const deadline = optionalOptions.deadline || Date.now() + DEFAULT_REPRESENTATION_TIMEOUT_MS;
+        return getRepresentationURLTemplate(
+            this.fileReadClient,
+            this.fileId,
+            EXTRACTED_TEXT_REPRESENTATION,
+            `[${EXTRACTED_TEXT_REPRESENTATION}]`,
+            { deadline, maxPolls: optionalOptions.maxPolls }
+        ).then((contentURLTemplate) => {
+            if (contentURLTemplate) {
+                return this.fileReadClient
+                    .get(urlTemplate.parse(contentURLTemplate).expand({ asset_path: '' }), { streaming: true })
+                    .then((stream) => readStreamToString(stream, 'utf8'))
+                    .then((text) => text.replace(UTF8_BOM, ''));
+            }
+            if (!optionalOptions.fallback) {
+                logger.error('File has no extracted_text representation');
+                throw new Error(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+            }
+            logger.info('File has no extracted_text representation, reading the original file');
+            return optionalOptions.fallback(this);
+        });
+    }
 
-const usageUnit = {
-    FILES: 'files',
-    SECONDS: 'seconds',
-    PAGES: 'pages',
-    WORDS: 'words'
-};
+    /**
+     * Same as FilesReader.getExtractedText() but split into pages, on the form feeds
+     * that separate them. Text without form feeds is a single page.
+     */
+    getExtractedTextPages(optionalOptions) {
+        return this.getExtractedText(optionalOptions).then((text) => {
+            const pages = text.split(PAGE_SEPARATOR);
+            if (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+            return pages;
+        });
+    }
 
-const skillInvocationStatus = {
-    INVOKED: 'invoked',
-    PROCESSING: 'processing',
-    PENDING: 'skills_pending_status',
-    TRANSIENT_FAILURE: 'transient_failure',
-    PERMANENT_FAILURE: 'permanent_failure',
-    SUCCESS: 'success'
-};
+    /**
+     * Returns the bytes of the 1024x1024 JPEG representation of the file, the same one
+     * the BasicFormat functions use for images. For documents it shows the first page.
+     * Waits for the representation the same way as getExtractedText(), until
+     * optionalOptions.deadline, and resolves to null when Box cannot generate one.
+     */
+    getImageRepresentation(optionalOptions = {}) {
+        const deadline = optionalOptions.deadline || Date.now() + DEFAULT_REPRESENTATION_TIMEOUT_MS;
+        return getRepresentationURLTemplate(
+            this.fileReadClient,
+            this.fileId,
+            IMAGE_REPRESENTATION,
+            FileType.IMAGE.representationType,
+            { deadline, maxPolls: optionalOptions.maxPolls }
+        ).then((contentURLTemplate) => {
+            if (!contentURLTemplate) return null;
+            return this.fileReadClient
+                .get(urlTemplate.parse(contentURLTemplate).expand({ asset_path: '' }), { streaming: true })
+                .then((stream) => readStreamToString(stream, 'binary'))
+                .then((binary) => Buffer.from(binary, 'binary'));
+        });
+    }
+}
 
 /** SkillsWriter private functions */
 
@@ -407,6 +781,60 @@ const validateUsage = function validateUsage(usage) {
     return usage && validateEnum(usage.unit, usageUnit) && Number.isInteger(usage.value);
 };
 
+const isOptionsObject = function isOptionsObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/** Deprecation warnings for the positional and callback forms of the SkillsWriter functions */
+const deprecations = {
+    SKILLS_KIT_DEP001:
+        'SkillsWriter.createMetadataCard() is deprecated, use createCard({ type, title, status, entries, duration })',
+    SKILLS_KIT_DEP002:
+        'Passing the file duration and card title to SkillsWriter card builders as arguments is deprecated, ' +
+        'pass { duration, title }',
+    SKILLS_KIT_DEP003:
+        'SkillsWriter.saveDataCards() is deprecated, use saveCards(cards, { status, usage, merge, keepHistory })',
+    SKILLS_KIT_DEP004:
+        'Passing callbacks, messages and failure types to SkillsWriter.saveProcessingCard() and saveErrorCard() ' +
+        'as arguments is deprecated, use the promise they return and pass { message, failureType }'
+};
+const emittedDeprecations = new Set();
+
+/**
+ * Emits a deprecation warning, once per process, through process.emitWarning (which
+ * --no-deprecation silences).
+ */
+const warnDeprecated = function warnDeprecated(code) {
+    if (emittedDeprecations.has(code)) return;
+    emittedDeprecations.add(code);
+    process.emitWarning(deprecations[code], 'DeprecationWarning', code);
+};
+
+/**
+ * Reads the { duration, title } options of a card builder, accepting the deprecated
+ * (optionalFileDuration, optionalCardTitle) arguments as well.
+ */
+const readCardOptions = function readCardOptions(options, legacyTitle) {
+    if (isOptionsObject(options)) return options;
+    if (options === undefined && legacyTitle === undefined) return {};
+    warnDeprecated('SKILLS_KIT_DEP002');
+    return { duration: options, title: legacyTitle };
+};
+
+/**
+ * Calls a deprecated callback with the outcome of a promise, the way the skills kit
+ * used to, and returns the promise.
+ */
+const withCallback = function withCallback(promise, callback) {
+    if (typeof callback === 'function') {
+        promise.then(
+            (response) => callback(null, response),
+            (error) => callback(error)
+        );
+    }
+    return promise;
+};
+
 /**
  * Private function to validate and update card template data to have expected fields
  */
@@ -414,12 +842,10 @@ const processDataList = function processDataList(dataList, duration) {
     return dataList
         .filter((data) => data.text && data.text.trim())
         .map((data) => {
-            if (duration && !(Array.isArray(data.appears) || data.appears.length)) {
-                console.warn(
-                    `Missing optional 'appears' field in ${JSON.stringify(
-                        data
-                    )} which is list of 'start' and 'end' fields`
-                );
+            if (duration && !(Array.isArray(data.appears) && data.appears.length)) {
+                logger.warn("Missing optional 'appears' field, which is list of 'start' and 'end' fields", {
+                    entry: data.text
+                });
             }
             const cardDataCopy = cloneDeep(data);
             cardDataCopy.type = typeof data.image_url === 'string' ? 'image' : 'text';
@@ -438,10 +864,9 @@ const processDataList = function processDataList(dataList, duration) {
  * @param {BoxSDK} client       Box SDK client to call skill invocations apiId
  * @param {string} skillId      id of the skill for the '/skill_invocations/:skillID' call
  * @param {Object} body         data to put
- * @param {Function} callback   (optional) called with updated metadata if successful
  * @return {Promise<Object>}    promise resolving to the updated metadata
  */
-const putData = function putData(client, skillId, body, callback) {
+const putData = function putData(client, skillId, body) {
     const apiPath = urlPath(BASE_PATH, skillId);
     const params = {
         body,
@@ -450,184 +875,322 @@ const putData = function putData(client, skillId, body, callback) {
             'Content-Type': 'application/json'
         }
     };
-    return client.wrapWithDefaultHandler(client.put)(apiPath, params, callback);
+    return client.wrapWithDefaultHandler(client.put)(apiPath, params);
 };
 
-/** SkillsWriter public functions */
+/**
+ * Private function to turn a card title code saved by an earlier version of the kit, which
+ * only replaced the first space of the title, into the code the kit now gives the title.
+ */
+const normalizeTitleCode = function normalizeTitleCode(code) {
+    return typeof code === 'string' ? code.replace(/ /g, '_') : code;
+};
 
 /**
- * Public function to return a complete metadata card
+ * Private function to merge the cards being saved into the cards already on the file.
+ * Cards of other skills are kept. This skill's status cards (processing and error cards)
+ * are dropped, and its cards with the same title code as a card being saved are replaced,
+ * also when they were saved with the code an earlier version of the kit gave the title
+ * (see normalizeTitleCode). With keepHistory, cards replaced that were saved by an earlier invocation (for an earlier
+ * file version) are kept after the new cards instead, their title dated and their code
+ * suffixed with the invocation id so later saves leave them alone.
  *
- * @param {string} type         type of metadata card (status, transcript, etc.)
- * @param {string} title        title of metadata card (Status, Transcript, etc.)
- * @param {Object} optionalEntries      (optional) list of cards being saved
- * @param {number} optionalFileDuration (optional) total duration of file in seconds
- * @param {Object} optionalStatus       (optional) status object with code and message
- * @return {Object} metadata card template
+ * @param {Object[]} existingCards cards on the file
+ * @param {Object[]} cards         cards being saved
+ * @param {Object} writer          { skillId, requestId } of the SkillsWriter
+ * @param {boolean} keepHistory    whether to keep the replaced cards of earlier invocations
+ * @return {Object[]} cards to save
  */
-SkillsWriter.prototype.createMetadataCard = function createMetadataCard(
-    type,
-    title,
-    optionalStatus = {},
-    optionalEntries,
-    optionalfileDuration
-) {
-    const titleCode = `skills_${title.toLowerCase()}`.replace(' ', '_');
-    const template = {
-        created_at: new Date().toISOString(),
-        type: SKILLS_METADATA_CARD_TYPE,
-        skill: { type: SKILLS_SERVICE_TYPE, id: this.skillId },
-        skill_card_type: type,
-        skill_card_title: { code: titleCode, message: title },
-        invocation: { type: SKILLS_METADATA_INVOCATION_TYPE, id: this.requestId },
-        status: optionalStatus
-    };
-    if (optionalEntries) {
-        template.entries = optionalEntries;
+const mergeCards = function mergeCards(existingCards, cards, writer, keepHistory) {
+    const codes = new Set(cards.map((card) => normalizeTitleCode(card.skill_card_title.code)));
+    const kept = [];
+    const history = [];
+    existingCards.forEach((card) => {
+        const ownCard = card.skill && String(card.skill.id) === writer.skillId;
+        const code = card.skill_card_title && normalizeTitleCode(card.skill_card_title.code);
+        if (!ownCard || !codes.has(code)) {
+            if (!ownCard || card.skill_card_type !== cardType.STATUS) kept.push(card);
+            return;
+        }
+        const invocationId = card.invocation && card.invocation.id;
+        const earlierInvocation = invocationId && invocationId !== writer.requestId;
+        if (keepHistory && card.skill_card_type !== cardType.STATUS && earlierInvocation) {
+            const previous = cloneDeep(card);
+            const savedOn = (card.created_at || '').slice(0, 10);
+            previous.skill_card_title = {
+                code: `${code}_${invocationId}`,
+                message: savedOn ? `${card.skill_card_title.message} (${savedOn})` : card.skill_card_title.message
+            };
+            history.push(previous);
+        }
+    });
+    return kept.concat(cards, history);
+};
+
+/**
+ * SkillsWriter :- A helpful class to write back Metadata Cards for
+ * Topics, Transcripts, Timelines, Errors and Statuses back to Box for
+ * any file for which a Skills Event is sent out.
+ *
+ * API:-
+ * new SkillsWriter ( fileContext, options: { merge, keepHistory } )
+ * SkillsWriter.createCard ( { type, title, status, entries, duration } ) : DataCard json
+ * SkillsWriter.createTopicsCard ( topicsDataList, options: { duration, title } ) : DataCard json
+ * SkillsWriter.createTranscriptsCard ( transcriptsDataList, options: { duration, title } ) : DataCard json
+ * async SkillsWriter.createFacesCard ( facesDataList, options: { duration, title } ) : DataCard json
+ * async SkillsWriter.getDataCards () : DataCard json list
+ * async SkillsWriter.saveCards ( listofDataCardJSONs, options: { status, usage, merge, keepHistory } )
+ * async SkillsWriter.saveProcessingCard ()
+ * async SkillsWriter.saveErrorCard ( error, options: { message, failureType } )
+ * SkillsWriter.useClient ( client ) : SkillsWriter
+ *
+ * Deprecated, kept for skills written against earlier versions of the kit:
+ * SkillsWriter.createMetadataCard ( type, title, optionalStatus, optionalEntries, optionalFileDuration )
+ * SkillsWriter.create*Card ( dataList, optionalFileDuration, optionalCardTitle )
+ * async SkillsWriter.saveDataCards ( listofDataCardJSONs, optionalCallback, optionalStatus, optionalUsage,
+ *                                     optionalSaveOptions )
+ * async SkillsWriter.saveProcessingCard ( optionalCallback )
+ * async SkillsWriter.saveErrorCard ( error, optionalCustomMessage, optionalCallback, optionalFailureType )
+ *
+ * Note: by default saving cards replaces every card on the file. Pass { merge: true } to the
+ * constructor (or to saveCards) to keep the cards of other skills, replacing only this skill's
+ * cards with the same title code; add keepHistory: true to also keep the cards saved for
+ * earlier file versions.
+ */
+class SkillsWriter {
+    constructor(fileContext, options = {}) {
+        this.requestId = fileContext.requestId;
+        this.skillId = fileContext.skillId;
+        this.fileId = fileContext.fileId;
+        this.fileWriteClient = getBasicClient(fileContext.fileWriteToken);
+        this.saveOptions = { merge: Boolean(options.merge), keepHistory: Boolean(options.keepHistory) };
     }
-    if (optionalfileDuration) {
-        template.duration = parseFloat(optionalfileDuration);
+
+    /**
+     * Saves cards and reads metadata with the given Box client from now on, instead of one
+     * built from the invocation's write token.
+     */
+    useClient(client) {
+        this.fileWriteClient = client;
+        return this;
     }
-    return template;
-};
 
-SkillsWriter.prototype.createTopicsCard = function createTopicsCard(
-    topicsDataList,
-    optionalFileDuration,
-    optionalCardTitle
-) {
-    return this.createMetadataCard(
-        cardType.TOPIC,
-        optionalCardTitle || cardTitle.TOPIC,
-        undefined,
-        processDataList(topicsDataList),
-        optionalFileDuration
-    );
-};
+    /**
+     * Returns a complete metadata card.
+     *
+     * @param {Object} options
+     * @param {string} options.type       type of metadata card, a cardType
+     * @param {string} options.title      title of metadata card (Status, Transcript, etc.)
+     * @param {Object} [options.status]   status object with code and message
+     * @param {Object[]} [options.entries] entries of the card
+     * @param {number} [options.duration] total duration of file in seconds
+     * @return {Object} metadata card template
+     */
+    createCard({ type, title, status = {}, entries, duration }) {
+        const titleCode = `skills_${title.toLowerCase()}`.replace(/ /g, '_');
+        const template = {
+            created_at: new Date().toISOString(),
+            type: SKILLS_METADATA_CARD_TYPE,
+            skill: { type: SKILLS_SERVICE_TYPE, id: this.skillId },
+            skill_card_type: type,
+            skill_card_title: { code: titleCode, message: title },
+            invocation: { type: SKILLS_METADATA_INVOCATION_TYPE, id: this.requestId },
+            status
+        };
+        if (entries) {
+            template.entries = entries;
+        }
+        if (duration) {
+            template.duration = parseFloat(duration);
+        }
+        return template;
+    }
 
-SkillsWriter.prototype.createTranscriptsCard = function createTranscriptsCard(
-    transcriptsDataList,
-    optionalFileDuration,
-    optionalCardTitle
-) {
-    return this.createMetadataCard(
-        cardType.TRANSCRIPT,
-        optionalCardTitle || cardTitle.TRANSCRIPT,
-        undefined,
-        processDataList(transcriptsDataList),
-        optionalFileDuration
-    );
-};
+    /** @deprecated use createCard({ type, title, status, entries, duration }) */
+    createMetadataCard(type, title, optionalStatus, optionalEntries, optionalFileDuration) {
+        warnDeprecated('SKILLS_KIT_DEP001');
+        return this.createCard({
+            type,
+            title,
+            status: optionalStatus,
+            entries: optionalEntries,
+            duration: optionalFileDuration
+        });
+    }
 
-SkillsWriter.prototype.createFacesCard = function createFacesCard(
-    facesDataList,
-    optionalFileDuration,
-    optionalCardTitle
-) {
-    const facesDataListProcessed = processDataList(facesDataList);
-    const cards = this.createMetadataCard(
-        cardType.FACES,
-        optionalCardTitle || cardTitle.FACES,
-        undefined,
-        facesDataListProcessed,
-        optionalFileDuration
-    );
+    createTopicsCard(topicsDataList, options, legacyTitle) {
+        const { duration, title } = readCardOptions(options, legacyTitle);
+        return this.createCard({
+            type: cardType.TOPIC,
+            title: title || cardTitle.TOPIC,
+            entries: processDataList(topicsDataList),
+            duration
+        });
+    }
 
-    // resize the image to be thumbnail size
-    const dataURIPromises = [];
-    Object.entries(facesDataListProcessed).forEach((faceData) =>
-        dataURIPromises.push(
+    createTranscriptsCard(transcriptsDataList, options, legacyTitle) {
+        const { duration, title } = readCardOptions(options, legacyTitle);
+        return this.createCard({
+            type: cardType.TRANSCRIPT,
+            title: title || cardTitle.TRANSCRIPT,
+            entries: processDataList(transcriptsDataList, duration),
+            duration
+        });
+    }
+
+    createFacesCard(facesDataList, options, legacyTitle) {
+        const { duration, title } = readCardOptions(options, legacyTitle);
+        const facesDataListProcessed = processDataList(facesDataList, duration);
+        const cards = this.createCard({
+            type: cardType.FACES,
+            title: title || cardTitle.FACES,
+            entries: facesDataListProcessed,
+            duration
+        });
+
+        // resize the image to be thumbnail size
+        const dataURIPromises = facesDataListProcessed.map((faceData) =>
             jimp
                 .read(faceData.image_url)
                 .then((image) => image.resize(45, 45).getBase64Async(jimp.MIME_PNG))
                 .catch(() => undefined) // dont throw error if any one image fails, so that Promise.all procceeds to resolving all inages
-        )
-    );
+        );
 
-    // assign back each resolved and downsized image back to facesData
-    return Promise.all(dataURIPromises).then((dataURIs) => {
-        for (let i = 0; i < facesDataListProcessed.length; i++) {
-            facesDataListProcessed[i].image_url = dataURIs[i] || facesDataListProcessed[i].image_url;
+        // assign back each resolved and downsized image back to facesData
+        return Promise.all(dataURIPromises).then((dataURIs) => {
+            for (let i = 0; i < facesDataListProcessed.length; i++) {
+                facesDataListProcessed[i].image_url = dataURIs[i] || facesDataListProcessed[i].image_url;
+            }
+            return cards;
+        });
+    }
+
+    /**
+     * Reads the cards saved on the file, by this and other skills, from its boxSkillsCards
+     * metadata. Resolves to an empty list when the file has no cards.
+     */
+    getDataCards() {
+        return this.fileWriteClient.files
+            .getMetadata(this.fileId, SKILLS_CARDS_SCOPE, SKILLS_CARDS_TEMPLATE)
+            .then((instance) => instance.cards || [])
+            .catch((e) => {
+                if (e.statusCode === 404) return [];
+                throw e;
+            });
+    }
+
+    /**
+     * Shows all the cards passed in listofDataCardJSONs which can be of formatted as Topics,Transcripts
+     * or Faces. Will override any existing pending or error status cards in the UI for that file version.
+     *
+     * @param {Object[]} listofDataCardJSONs cards to save
+     * @param {Object} [options]
+     * @param {string} [options.status]       skillInvocationStatus to report, defaults to success
+     * @param {Object} [options.usage]        what was processed, { unit: usageUnit, value: Integer }, for
+     *                                        example the number of pages or words read; defaults to 1 file
+     * @param {boolean} [options.merge]       overrides the merge option of the SkillsWriter, see mergeCards()
+     * @param {boolean} [options.keepHistory] overrides the keepHistory option of the SkillsWriter
+     * @return {Promise<Object>} resolves to the response of the skill_invocations API
+     */
+    saveCards(listofDataCardJSONs, options = {}) {
+        const status = validateEnum(options.status, skillInvocationStatus)
+            ? options.status
+            : skillInvocationStatus.SUCCESS;
+        const saveOptions = Object.assign({}, this.saveOptions);
+        ['merge', 'keepHistory'].forEach((option) => {
+            if (options[option] !== undefined) saveOptions[option] = options[option];
+        });
+        let usage = null;
+        if (status === skillInvocationStatus.SUCCESS) {
+            usage = validateUsage(options.usage) ? options.usage : DEFAULT_USAGE;
         }
-        return cards;
-    });
-};
+        const cardsPromise = saveOptions.merge
+            ? this.getDataCards().then((existingCards) =>
+                  mergeCards(existingCards, listofDataCardJSONs, this, saveOptions.keepHistory)
+              )
+            : Promise.resolve(listofDataCardJSONs);
+        return cardsPromise.then((cards) => {
+            // create skill_invocations body
+            const body = {
+                status,
+                file: {
+                    type: 'file',
+                    id: this.fileId
+                },
+                metadata: {
+                    cards
+                },
+                usage
+            };
+            return putData(this.fileWriteClient, this.skillId, body);
+        });
+    }
 
-/**
- * Shows UI card with message: "We're preparing to process your file. Please hold on!".
- * This is used for temporarily letting your users know that your skill is under progress.
- * You can pass an optionalCallback function to print or log success in your code once the
- * card has been saved.
- */
-SkillsWriter.prototype.saveProcessingCard = function saveProcessingCard(optionalCallback) {
-    const status = {
-        code: skillInvocationStatus.PENDING,
-        message:
-            "We're preparing to process your file. Please hold on!" /* eslint quotes: ["error", "single", { "avoidEscape": true }] */
-    };
-    const statusCard = this.createMetadataCard(cardType.STATUS, cardTitle.STATUS, status);
-    return this.saveDataCards([statusCard], optionalCallback, skillInvocationStatus.PROCESSING);
-};
+    /** @deprecated use saveCards(listofDataCardJSONs, { status, usage, merge, keepHistory }) */
+    saveDataCards(listofDataCardJSONs, optionalCallback, optionalStatus, optionalUsage, optionalSaveOptions) {
+        warnDeprecated('SKILLS_KIT_DEP003');
+        const options = Object.assign({}, optionalSaveOptions, { status: optionalStatus, usage: optionalUsage });
+        return withCallback(this.saveCards(listofDataCardJSONs, options), optionalCallback);
+    }
 
-/**
- *  Show UI card with error message. See Table: ErrorCode Enum for potential errorCode values,
- *  to notify user if any kind of failure occurs while running your skills code. Shows card as
- *  per the default message with each code, unless 'optionMessage' is provided. You can pass an
- *  optionalCallback function to print or log success in your code once the card has been saved.
- */
-SkillsWriter.prototype.saveErrorCard = function saveErrorCard(
-    error,
-    optionalCustomErrorMessage,
-    optionalCallback,
-    optionalFailureType
-) {
-    const failureType =
-        optionalFailureType === skillInvocationStatus.TRANSIENT_FAILURE
-            ? optionalFailureType
-            : skillInvocationStatus.PERMANENT_FAILURE;
-    const errorCode = validateEnum(error, SkillsErrorEnum) ? error : SkillsErrorEnum.UNKNOWN;
-    let errorObj = { code: errorCode };
-    if (optionalCustomErrorMessage) {
-        errorObj = { code: 'custom_error', message: optionalCustomErrorMessage };
+    /**
+     * Shows UI card with message: "We're preparing to process your file. Please hold on!".
+     * This is used for temporarily letting your users know that your skill is under progress.
+     * The callback argument is deprecated; use the promise returned instead.
+     */
+    saveProcessingCard(legacyCallback) {
+        const status = {
+            code: skillInvocationStatus.PENDING,
+            message:
+                "We're preparing to process your file. Please hold on!" /* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+        };
+        const statusCard = this.createCard({ type: cardType.STATUS, title: cardTitle.STATUS, status });
+        const saved = this.saveCards([statusCard], { status: skillInvocationStatus.PROCESSING });
+        if (legacyCallback === undefined) return saved;
+        warnDeprecated('SKILLS_KIT_DEP004');
+        return withCallback(saved, legacyCallback);
     }
-    const errorCard = this.createMetadataCard(cardType.STATUS, cardTitle.ERROR, errorObj);
-    return this.saveDataCards([errorCard], optionalCallback, failureType);
-};
 
-/**
- * Shows all the cards passed in listofDataCardJSONs which can be of formatted as Topics,Transcripts
- * or Faces. Will override any existing pending or error status cards in the UI for that file version.
- */
-const DEFAULT_USAGE = { unit: usageUnit.FILES, value: 1 };
-SkillsWriter.prototype.saveDataCards = function saveDataCards(
-    listofDataCardJSONs,
-    optionalCallback,
-    optionalStatus,
-    optionalUsage
-) {
-    const status = validateEnum(optionalStatus, skillInvocationStatus) ? optionalStatus : skillInvocationStatus.SUCCESS;
-    let usage = null;
-    if (status === skillInvocationStatus.SUCCESS) {
-        usage = validateUsage(optionalUsage) ? optionalUsage : DEFAULT_USAGE;
-    }
-    // create skill_invocations body
-    const body = {
-        status,
-        file: {
-            type: 'file',
-            id: this.fileId
-        },
-        metadata: {
-            cards: listofDataCardJSONs
-        },
-        usage
-    };
-    return putData(this.fileWriteClient, this.skillId, body, optionalCallback);
-};
+    /**
+     *  Show UI card with error message. See Table: ErrorCode Enum for potential errorCode values,
+     *  to notify user if any kind of failure occurs while running your skills code. Shows card as
+     *  per the default message with each code, unless options.message is provided. The failure is
+     *  reported as permanent unless options.failureType is skillInvocationStatus.TRANSIENT_FAILURE.
+     *
+     *  The deprecated (error, optionalCustomMessage, optionalCallback, optionalFailureType)
+     *  arguments are still accepted.
+     */
+    saveErrorCard(error, options, legacyCallback, legacyFailureType) {
+        let errorOptions = options;
+        if (!isOptionsObject(options)) {
+            if (options !== undefined || legacyCallback !== undefined || legacyFailureType !== undefined) {
+                warnDeprecated('SKILLS_KIT_DEP004');
+            }
+            errorOptions = { message: options, failureType: legacyFailureType };
+        }
+        const failureType =
+            errorOptions.failureType === skillInvocationStatus.TRANSIENT_FAILURE
+                ? errorOptions.failureType
+                : skillInvocationStatus.PERMANENT_FAILURE;
+        const errorCode = validateEnum(error, SkillsErrorEnum) ? error : SkillsErrorEnum.UNKNOWN;
+        let errorObj = { code: errorCode };
+        if (errorOptions.message) {
+            errorObj = { code: 'custom_error', message: errorOptions.message };
+        }
+        const errorCard = this.createCard({ type: cardType.STATUS, title: cardTitle.ERROR, status: errorObj });
+        return withCallback(this.saveCards([errorCard], { status: failureType }), legacyCallback);
+    }
+}
 
-/* Exporting useful functions and enums from skills-kit plugin */
+/* Exporting useful classes and enums from skills-kit plugin */
 module.exports = {
     FilesReader,
     SkillsWriter,
-    SkillsErrorEnum
+    SkillsErrorEnum,
+    cardTitle,
+    cardType,
+    getServiceAccountClient,
+    runWithDeadline,
+    skillInvocationStatus,
+    usageUnit
 };
@@ -0,0 +1,275 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EMULATOR_KEYS, configureEnvironment, createMockBoxApi, createTemplateSchemas } = require('../lib/emulator');
+const { getServiceClient } = require('../lib/auth');
+const { BackfillStatus, formatReport, runBackfill } = require('../lib/backfill');
+const { loadConfig } = require('../lib/config');
+const { createIdempotencyStore } = require('../lib/idempotency');
+const { clearSchemaCache } = require('../lib/pipeline/schema');
+const pipelineSteps = require('../lib/pipeline/steps');
+
+const eventPlan = fs.readFileSync(path.join(__dirname, 'fixtures', 'event-plan.txt'));
+const serviceAccount = { BOX_CLIENT_ID: 'client-id', BOX_CLIENT_SECRET: 'client-secret', BOX_ENTERPRISE_ID: '11' };
+
+describe('runBackfill', () => {
+    let mockBoxApi;
+    let skillConfig;
+    let checkpointDir;
+
+    const addEventPlan = (id, parentId, versionId) =>
+        mockBoxApi.addFile({
+            id,
+            name: `plan-${id}.txt`,
+            content: eventPlan,
+            parentId,
+            versionId,
+            metadata: { 'enterprise/eventSubmissionDocument': { documentType: 'Event Plan' } }
+        });
+
+    // Each test backfills a folder of its own, with a folder below it
+    const addFolders = (id) => {
+        mockBoxApi.addFolder({ id, name: `Events ${id}` });
+        mockBoxApi.addFolder({ id: `${id}1`, name: 'Archive', parentId: id });
+    };
+
+    const backfill = (options) =>
+        runBackfill(
+            Object.assign(
+                {
+                    client: getServiceClient(),
+                    folderId: '700',
+                    skillId: '1001',
+                    skillConfig,
+                    idempotencyStore: createIdempotencyStore({}),
+                    concurrency: 2
+                },
+                options
+            )
+        );
+
+    beforeAll(async () => {
+        mockBoxApi = createMockBoxApi();
+        await mockBoxApi.start();
+        configureEnvironment(mockBoxApi.baseURL, EMULATOR_KEYS);
+        skillConfig = loadConfig({ stepNames: Object.keys(pipelineSteps) });
+        createTemplateSchemas(skillConfig).forEach((schema) => mockBoxApi.addTemplate(schema));
+    });
+
+    afterAll(() => mockBoxApi.close());
+
+    beforeEach(() => {
+        clearSchemaCache();
+        Object.assign(process.env, serviceAccount);
+        checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        Object.keys(serviceAccount).forEach((name) => delete process.env[name]);
+        fs.rmSync(checkpointDir, { recursive: true, force: true });
+        mockBoxApi.clearFailures();
+        jest.restoreAllMocks();
+    });
+
+    test('works out the changes for every file below the folder without changing anything in a dry run', async () => {
+        addFolders('710');
+        addEventPlan('610', '710');
+        addEventPlan('611', '7101');
+        const start = mockBoxApi.requests.length;
+        const checkpointPath = path.join(checkpointDir, 'checkpoint.json');
+
+        const { results, summary } = await backfill({ folderId: '710', dryRun: true, checkpointPath });
+
+        expect(results.map((result) => [result.fileId, result.status]).sort()).toEqual([
+            ['610', BackfillStatus.PREVIEWED],
+            ['611', BackfillStatus.PREVIEWED]
+        ]);
+        expect(results[0].changes.eventDetails).toContainEqual({
+            field: 'eventName',
+            from: undefined,
+            to: 'Spring Partner Summit'
+        });
+        expect(summary).toMatchObject({ total: 2, previewed: 2, pipelines: { eventPlan: 2 }, failures: [] });
+        // the only requests that are not GETs are the service account's token and the conflict check's query
+        const reads = /^\/(oauth2\/token|2\.0\/metadata_queries)/;
+        const writes = mockBoxApi.requests
+            .slice(start)
+            .filter((request) => request.method !== 'GET' && !reads.test(request.path));
+        expect(writes).toEqual([]);
+        // the folders are listed a page at a time with markers
+        const listings = mockBoxApi.requests.slice(start).filter((request) => request.path.endsWith('/items'));
+        expect(listings.map((request) => request.path)).toEqual(['/2.0/folders/710/items', '/2.0/folders/7101/items']);
+        expect(listings.every((request) => new URLSearchParams(request.query).get('usemarker') === 'true')).toBe(true);
+        expect(mockBoxApi.getMetadata('610', 'enterprise', 'eventDetails')).toBeUndefined();
+        expect(fs.existsSync(checkpointPath)).toBe(false);
+        const report = formatReport({ results, summary }, { dryRun: true });
+        expect(report).toContain('plan-610.txt (610), eventPlan pipeline:\n');
+        expect(report).toContain('    eventDetails.eventName: (none) -> "Spring Partner Summit"\n');
+        expect(report).toContain('2 files: 2 previewed\n    eventPlan: 2');
+    });
+
+    test('processes each file once, and again when it has a new version, when resumed from a checkpoint', async () => {
+        addFolders('720');
+        addEventPlan('620', '720');
+        addEventPlan('621', '7201');
+        const checkpointPath = path.join(checkpointDir, 'checkpoint.json');
+        const invocationCount = mockBoxApi.skillInvocations.length;
+
+        const first = await backfill({ folderId: '720', checkpointPath });
+
+        expect(first.summary).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+        expect(mockBoxApi.getMetadata('620', 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Partner Summit',
+            venue: 'Moscone Center West, San Francisco'
+        });
+        const saved = mockBoxApi.skillInvocations.slice(invocationCount);
+        expect(saved.map((call) => call.body.file.id)).toEqual(expect.arrayContaining(['620', '621']));
+        expect(saved.every((call) => call.skillId === '1001' && call.body.status === 'success')).toBe(true);
+        expect(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).files['621']).toEqual({
+            fileVersionId: '6211',
+            status: BackfillStatus.SUCCEEDED
+        });
+
+        addEventPlan('621', '7201', '6212');
+        const second = await backfill({ folderId: '720', checkpointPath });
+
+        // the calendar files saved next to the plans are in the folder too by now
+        const plans = second.results.filter((result) => result.name.endsWith('.txt'));
+        const statuses = plans.map((result) => [result.fileId, result.status]).sort();
+        expect(statuses).toEqual([
+            ['620', BackfillStatus.SKIPPED],
+            ['621', BackfillStatus.SUCCEEDED]
+        ]);
+    });
+
+    test('checks the rules against the time the current version was uploaded', async () => {
+        addFolders('750');
+        // the plan's event starts on 2027-03-03
+        mockBoxApi.addFile({
+            id: '650',
+            name: 'plan-650.txt',
+            content: eventPlan,
+            parentId: '750',
+            modifiedAt: new Date('2027-02-20T09:00:00Z'),
+            metadata: { 'enterprise/eventSubmissionDocument': { documentType: 'Event Plan' } }
+        });
+
+        await backfill({ folderId: '750' });
+
+        expect(mockBoxApi.getMetadata('650', 'enterprise', 'eventDetails').complianceViolations).toContain(
+            'The event must start at least 30 days after the plan is uploaded'
+        );
+    });
+
+    test('keeps values the skill has no record of writing as edited by hand', async () => {
+        addFolders('760');
+        mockBoxApi.addFile({
+            id: '660',
+            name: 'plan-660.txt',
+            content: eventPlan,
+            parentId: '760',
+            metadata: {
+                'enterprise/eventSubmissionDocument': { documentType: 'Event Plan' },
+                'enterprise/eventDetails': { eventName: 'Spring Summit', participantCount: 500 }
+            }
+        });
+
+        await backfill({ folderId: '760' });
+
+        // edited by hand as far as the skill knows, with neither a provenance marker nor a record in the store
+        expect(mockBoxApi.getMetadata('660', 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Summit',
+            participantCount: 500,
+            venue: 'Moscone Center West, San Francisco'
+        });
+    });
+
+    test('replaces values the skill wrote before it recorded what it wrote when asked to', async () => {
+        addFolders('770');
+        mockBoxApi.addFile({
+            id: '670',
+            name: 'plan-670.txt',
+            content: eventPlan,
+            parentId: '770',
+            metadata: {
+                'enterprise/eventSubmissionDocument': { documentType: 'Event Plan' },
+                'enterprise/eventDetails': { eventName: 'Spring Summit', participantCount: 500 }
+            }
+        });
+
+        await backfill({ folderId: '770', overwriteUnrecorded: true });
+
+        expect(mockBoxApi.getMetadata('670', 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Partner Summit',
+            participantCount: 1200
+        });
+    });
+
+    test('reports the files that failed and tries them again on resume', async () => {
+        addFolders('730');
+        addEventPlan('630', '730');
+        const checkpointPath = path.join(checkpointDir, 'checkpoint.json');
+        mockBoxApi.failRequests({ method: 'GET', pattern: /^\/2\.0\/files\/630\/content$/, statusCode: 403, times: 10 });
+
+        const first = await backfill({ folderId: '730', checkpointPath });
+
+        const failed = first.results.find((result) => result.fileId === '630');
+        expect(failed.status).toBe(BackfillStatus.FAILED);
+        expect(first.summary.failures).toEqual([{ fileId: '630', name: 'plan-630.txt', error: failed.error }]);
+        expect(formatReport(first)).toContain(`Failed:\n    plan-630.txt (630): ${failed.error}`);
+
+        mockBoxApi.clearFailures();
+        const second = await backfill({ folderId: '730', checkpointPath });
+
+        expect(second.results.find((result) => result.fileId === '630').status).toBe(BackfillStatus.SUCCEEDED);
+    });
+
+    test('compares shadow runs with the current metadata without changing the file', async () => {
+        addFolders('740');
+        addEventPlan('640', '740');
+        await backfill({ folderId: '740' });
+        const current = Object.assign({}, mockBoxApi.getMetadata('640', 'enterprise', 'eventDetails'));
+        const invocationCount = mockBoxApi.skillInvocations.length;
+        // the candidate logic checks no rules, so the plan now passes them
+        const candidate = JSON.parse(JSON.stringify(skillConfig));
+        candidate.rules = [];
+        candidate.routing.routes[0].shadow = { template: 'eventDetailsShadow' };
+
+        const { results, summary } = await backfill({ folderId: '740', skillConfig: candidate });
+
+        const plan = results.find((result) => result.fileId === '640');
+        expect(plan.status).toBe(BackfillStatus.SUCCEEDED);
+        expect(plan.shadow.disagreed).toEqual(['eventDetails.complianceStatus', 'eventDetails.complianceViolations']);
+        expect(mockBoxApi.getMetadata('640', 'enterprise', 'eventDetails')).toEqual(current);
+        const saved = mockBoxApi.skillInvocations.slice(invocationCount).filter((call) => call.body.file.id === '640');
+        expect(saved).toEqual([]);
+        const sideCar = mockBoxApi.getMetadata('640', 'enterprise', 'eventDetailsShadow');
+        expect(sideCar).toMatchObject({
+            shadowPipeline: 'eventPlan',
+            agreementRate: Math.round(plan.shadow.agreement * 1000) / 10,
+            changedFields: 'eventDetails.complianceStatus, eventDetails.complianceViolations'
+        });
+        expect(JSON.parse(sideCar.shadowChanges).eventDetails).toContainEqual({
+            field: 'complianceStatus',
+            from: 'Fail',
+            to: 'Pass'
+        });
+        expect(summary.agreement.fields['eventDetails.complianceStatus']).toEqual({ compared: 1, agreed: 0 });
+        const { files, compared, agreed } = summary.agreement;
+        expect(formatReport({ results, summary })).toContain(
+            `Fields agreeing with the current metadata in shadow runs of ${files} files: ${agreed} of ${compared}`
+        );
+    });
+
+    test('refuses a checkpoint of another folder', async () => {
+        const checkpointPath = path.join(checkpointDir, 'checkpoint.json');
+        fs.writeFileSync(checkpointPath, JSON.stringify({ folderId: '1', files: {} }));
+
+        await expect(backfill({ checkpointPath })).rejects.toThrow(`Checkpoint ${checkpointPath} is for folder 1, not 700`);
+    });
+});
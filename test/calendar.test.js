@@ -0,0 +1,165 @@
+'use strict';
+
+const { createCalendar, createTimeZone, escapeText, foldLine, readSessions } = require('../lib/calendar');
+
+const NOW = new Date('2027-01-01T00:00:00.000Z');
+const MARCH_3 = new Date('2027-03-03T00:00:00.000Z');
+
+const eventDetails = {
+    eventName: 'Spring Partner Summit',
+    startDate: '2027-03-03T00:00:00.000Z',
+    endDate: '2027-03-05T00:00:00.000Z',
+    venue: 'Moscone Center West, San Francisco',
+    organizerName: 'Jane Doe',
+    organizerEmail: 'jane.doe@example.com',
+    participantCount: 1200
+};
+
+// Content lines of a calendar, unfolded
+const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeText and foldLine', () => {
+    test('escapes backslashes, semicolons, commas and line breaks', () => {
+        expect(escapeText('Hall A; Hall B, C:\\rooms\nfloor 2')).toBe('Hall A\\; Hall B\\, C:\\\\rooms\\nfloor 2');
+    });
+
+    test('folds lines at 75 octets without splitting characters', () => {
+        const line = `SUMMARY:${'é'.repeat(80)}`;
+        const folded = foldLine(line).split('\r\n');
+
+        expect(folded.map((part) => Buffer.byteLength(part)).every((octets) => octets <= 75)).toBe(true);
+        expect(folded.slice(1).every((part) => part.startsWith(' ') && !part.startsWith('  '))).toBe(true);
+        expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+        expect(foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+    });
+});
+
+describe('readSessions', () => {
+    test('reads the day and times of agenda items', () => {
+        const sessions = readSessions(
+            [
+                'Day 1 - Keynote',
+                '9:00 AM - Registration',
+                '10:30-12pm: Opening talk',
+                '1-3pm Lunch',
+                'Day 2 - Breakouts',
+                'March 5, 2:00 PM to 3:30 PM Workshops',
+                '14:00 Closing',
+                '2-3 speakers on the panel'
+            ],
+            MARCH_3
+        );
+
+        expect(sessions.map(({ title, day, start, end }) => [title, day.toISOString().slice(0, 10), start, end])).toEqual([
+            ['Keynote', '2027-03-03', undefined, undefined],
+            ['Registration', '2027-03-03', 9 * 60, 10 * 60 + 30],
+            ['Opening talk', '2027-03-03', 10 * 60 + 30, 12 * 60],
+            ['Lunch', '2027-03-03', 13 * 60, 15 * 60],
+            ['Breakouts', '2027-03-04', undefined, undefined],
+            ['Workshops', '2027-03-05', 14 * 60, 15 * 60 + 30],
+            ['Closing', '2027-03-05', 14 * 60, 15 * 60],
+            ['2-3 speakers on the panel', '2027-03-05', undefined, undefined]
+        ]);
+    });
+});
+
+describe('createTimeZone', () => {
+    test('lists the daylight saving changes around the event', () => {
+        const lines = createTimeZone('America/Los_Angeles', MARCH_3, MARCH_3);
+
+        expect(lines.slice(0, 7)).toEqual([
+            'BEGIN:VTIMEZONE',
+            'TZID:America/Los_Angeles',
+            'BEGIN:DAYLIGHT',
+            'DTSTART:20260308T020000',
+            'TZOFFSETFROM:-0800',
+            'TZOFFSETTO:-0700',
+            'END:DAYLIGHT'
+        ]);
+        expect(lines.filter((line) => line.startsWith('DTSTART'))).toEqual([
+            'DTSTART:20260308T020000',
+            'DTSTART:20261101T020000',
+            'DTSTART:20270314T020000',
+            'DTSTART:20271107T020000'
+        ]);
+    });
+
+    test('describes zones without changes with a single standard offset', () => {
+        expect(createTimeZone('Asia/Kolkata', MARCH_3, MARCH_3)).toEqual([
+            'BEGIN:VTIMEZONE',
+            'TZID:Asia/Kolkata',
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T053000',
+            'TZOFFSETFROM:+0530',
+            'TZOFFSETTO:+0530',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ]);
+    });
+});
+
+describe('createCalendar', () => {
+    test('describes a multi-day event with its sessions', () => {
+        const calendar = createCalendar(eventDetails, {
+            uid: '42',
+            agenda: ['Day 1 - 9:00 AM Keynote', 'Day 2 - Workshops'],
+            timeZone: 'America/Los_Angeles',
+            source: 'summit.docx',
+            now: NOW
+        });
+        const lines = contentLines(calendar);
+
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines.slice(0, 5)).toEqual([
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Box Event Skill//Event Plan Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ]);
+        const events = calendar.split('BEGIN:VEVENT\r\n').slice(1).map(contentLines);
+        expect(events[0]).toEqual([
+            'UID:42@box-event-skill',
+            'DTSTAMP:20270101T000000Z',
+            'DTSTART;VALUE=DATE:20270303',
+            'DTEND;VALUE=DATE:20270306',
+            'SUMMARY:Spring Partner Summit',
+            'LOCATION:Moscone Center West\\, San Francisco',
+            'ORGANIZER;CN=Jane Doe:mailto:jane.doe@example.com',
+            'DESCRIPTION:Organizer: Jane Doe\\, jane.doe@example.com\\nExpected participants: 1\\,200\\nFrom the event plan summit.docx',
+            'END:VEVENT',
+            ''
+        ]);
+        expect(events[1]).toEqual(
+            expect.arrayContaining([
+                'UID:42-session-1@box-event-skill',
+                'DTSTART;TZID=America/Los_Angeles:20270303T090000',
+                'DTEND;TZID=America/Los_Angeles:20270303T100000',
+                'SUMMARY:Keynote',
+                'RELATED-TO;RELTYPE=PARENT:42@box-event-skill'
+            ])
+        );
+        expect(events[2]).toEqual(
+            expect.arrayContaining(['DTSTART;VALUE=DATE:20270304', 'DTEND;VALUE=DATE:20270305', 'SUMMARY:Workshops'])
+        );
+        expect(lines).toContain('TZID:America/Los_Angeles');
+    });
+
+    test('writes UTC times without a time zone, and single-day events', () => {
+        const calendar = createCalendar(
+            { eventName: 'Board dinner', startDate: '2027-06-10T00:00:00.000Z' },
+            { uid: '7', agenda: ['7:30 PM Dinner'], now: NOW }
+        );
+        const lines = contentLines(calendar);
+
+        expect(lines).not.toContain('BEGIN:VTIMEZONE');
+        expect(lines).toEqual(
+            expect.arrayContaining([
+                'DTSTART;VALUE=DATE:20270610',
+                'DTEND;VALUE=DATE:20270611',
+                'DTSTART:20270610T193000Z',
+                'DTEND:20270610T203000Z'
+            ])
+        );
+    });
+});
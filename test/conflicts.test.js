@@ -0,0 +1,48 @@
+'use strict';
+
+const { findConflicts, normalizeVenue } = require('../lib/conflicts');
+
+const summit = {
+    fileId: '1',
+    venue: 'Moscone Center West, San Francisco',
+    startDate: '2027-03-03T00:00:00.000Z',
+    endDate: '2027-03-05T00:00:00.000Z'
+};
+
+const plan = (fileId, venue, startDate, endDate) => ({ fileId, name: `plan-${fileId}.docx`, venue, startDate, endDate });
+
+describe('normalizeVenue', () => {
+    test('compares venues without their address, case, punctuation or a leading "the"', () => {
+        expect(normalizeVenue('The Moscone Center West, 800 Howard St')).toBe('moscone center west');
+        expect(normalizeVenue('moscone center-west')).toBe('moscone center west');
+        expect(normalizeVenue('Café Zürich')).toBe('café zürich');
+        expect(normalizeVenue(undefined)).toBe('');
+    });
+});
+
+describe('findConflicts', () => {
+    test('finds the plans booking the same venue on overlapping days', () => {
+        const others = [
+            plan('2', 'Moscone Center West', '2027-03-05T00:00:00.000Z', '2027-03-06T00:00:00.000Z'),
+            plan('3', 'The Moscone Center West', '2027-03-01T00:00:00.000Z', '2027-03-03T00:00:00.000Z'),
+            plan('4', 'Moscone Center South', '2027-03-04T00:00:00.000Z', '2027-03-04T00:00:00.000Z'),
+            plan('5', 'Moscone Center West', '2027-03-06T00:00:00.000Z', '2027-03-08T00:00:00.000Z'),
+            plan('6', 'Moscone Center West', '2027-03-04T00:00:00.000Z'),
+            plan('7', 'Moscone Center West', '2027-02-28T00:00:00.000Z')
+        ];
+
+        expect(findConflicts(summit, others).map((conflict) => conflict.fileId)).toEqual(['3', '6', '2']);
+    });
+
+    test('leaves out the plan itself and plans without a venue or dates', () => {
+        const others = [
+            plan('1', summit.venue, summit.startDate, summit.endDate),
+            plan('2', undefined, summit.startDate, summit.endDate),
+            plan('3', summit.venue, undefined, undefined),
+            plan('4', summit.venue, 'next spring', undefined)
+        ];
+
+        expect(findConflicts(summit, others)).toEqual([]);
+        expect(findConflicts(Object.assign({}, summit, { venue: '' }), [plan('5', '', summit.startDate)])).toEqual([]);
+    });
+});
@@ -0,0 +1,255 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { InvalidRosterError } = require('../lib/errors');
+const {
+    countAttendees,
+    createEventPlanExtractor,
+    extractAgenda,
+    extractEventDetails,
+    extractKeyTerms,
+    getTextSourceFields,
+    measureUsage,
+    readRoster
+} = require('../lib/extraction');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+/**
+ * Stands in for a FilesReader that serves the given bytes as the file content,
+ * extractedText as its extracted_text representation and image as its JPEG
+ * representation, when given
+ */
+const fakeFilesReader = (fileFormat, content, extractedText, image = null) => {
+    const reader = {
+        fileFormat,
+        fileType: ['jpg', 'png'].includes(fileFormat) ? 'IMAGE' : 'DOCUMENT',
+        getContentStream: () => Promise.resolve(Readable.from([content])),
+        getContentBinary: () => Promise.resolve(content.toString('binary')),
+        getExtractedText: (options) =>
+            extractedText === undefined ? options.fallback(reader) : Promise.resolve(extractedText),
+        getImageRepresentation: () => Promise.resolve(image)
+    };
+    return reader;
+};
+
+/** OCR engine that reads the given text with the given confidence from any image */
+const fakeOcr = (text, confidence) => ({ recognize: jest.fn().mockResolvedValue({ text, confidence }) });
+
+describe('createEventPlanExtractor', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test.each([
+        [
+            'txt',
+            {
+                eventName: 'Spring Partner Summit',
+                startDate: '2027-03-03T00:00:00.000Z',
+                endDate: '2027-03-05T00:00:00.000Z',
+                venue: 'Moscone Center West, San Francisco',
+                participantCount: 1200,
+                budget: 250000,
+                organizerEmail: 'jane.doe@example.com'
+            }
+        ],
+        [
+            'docx',
+            {
+                eventName: 'Autumn Leadership Offsite',
+                startDate: '2027-10-12T00:00:00.000Z',
+                endDate: '2027-10-14T00:00:00.000Z',
+                venue: 'Lakeside Lodge',
+                participantCount: 85,
+                budget: 42500,
+                organizerName: 'Sam Lee'
+            }
+        ],
+        [
+            'pdf',
+            {
+                eventName: 'Winter Sales Kickoff',
+                startDate: '2027-01-20T00:00:00.000Z',
+                venue: 'Grand Hyatt Denver',
+                participantCount: 640,
+                budget: 180000,
+                organizerName: 'Priya Patel'
+            }
+        ]
+    ])('extracts event details from the %s sample', async (format, expected) => {
+        const extractor = createEventPlanExtractor({ ocr: null });
+        const fields = await extractor.extract(fakeFilesReader(format, fixture(`event-plan.${format}`)));
+        expect(fields).toMatchObject(expected);
+    });
+
+    test('reads the extracted_text representation when Box has one', async () => {
+        const reader = fakeFilesReader('pptx', Buffer.from('unused'), 'Event Name: Board Dinner\nVenue: The Loft');
+        const fields = await createEventPlanExtractor().extract(reader);
+        expect(fields).toEqual({ eventName: 'Board Dinner', venue: 'The Loft' });
+    });
+
+    test('reads images with OCR, from the JPEG representation when Box has one', async () => {
+        const ocr = fakeOcr('Event Name: Board Dinner', 91.4);
+        const image = Buffer.from('jpeg representation');
+        const extractor = createEventPlanExtractor({ ocr });
+
+        await expect(extractor.readDocument(fakeFilesReader('png', Buffer.from('png'), undefined, image))).resolves.toEqual(
+            { text: 'Event Name: Board Dinner', source: 'ocr', confidence: 91.4 }
+        );
+        expect(ocr.recognize).toHaveBeenCalledWith(image);
+
+        await extractor.readDocument(fakeFilesReader('png', Buffer.from('original png')));
+        expect(ocr.recognize).toHaveBeenLastCalledWith(Buffer.from('original png'));
+    });
+
+    test('reads documents without text, such as scanned PDFs, with OCR', async () => {
+        const ocr = fakeOcr('Venue: The Loft', 40);
+        const reader = fakeFilesReader('pdf', Buffer.from(''), '  \f ', Buffer.from('page 1'));
+        const fields = await createEventPlanExtractor({ ocr }).extract(reader);
+
+        expect(fields).toEqual({ venue: 'The Loft' });
+        expect(ocr.recognize).toHaveBeenCalledWith(Buffer.from('page 1'));
+    });
+
+    test('counts the pages of scanned documents, as only the first is read with OCR', async () => {
+        const extractor = createEventPlanExtractor({ ocr: fakeOcr('Venue: The Loft', 91) });
+        const scan = (extractedText) => fakeFilesReader('pdf', Buffer.from(''), extractedText, Buffer.from('page 1'));
+
+        await expect(extractor.readDocument(scan(' \f\f '))).resolves.toMatchObject({ source: 'ocr', pageCount: 3 });
+        await expect(extractor.readDocument(scan(''))).resolves.toMatchObject({ source: 'ocr', pageCount: 1 });
+    });
+
+    test('does not use OCR for documents with text', async () => {
+        const ocr = fakeOcr('', 0);
+        const document = await createEventPlanExtractor({ ocr }).readDocument(fakeFilesReader('txt', fixture('event-plan.txt')));
+
+        expect(document.source).toBe('document');
+        expect(ocr.recognize).not.toHaveBeenCalled();
+    });
+
+    test('rejects formats without a parser when Box has no text representation', async () => {
+        await expect(createEventPlanExtractor().extract(fakeFilesReader('pptx', Buffer.from('')))).rejects.toThrow(
+            'No text parser for pptx files'
+        );
+    });
+});
+
+describe('getTextSourceFields', () => {
+    test('marks OCR text below the minimum confidence, or of the first of several pages, for review', () => {
+        expect(getTextSourceFields({ source: 'document' }, 70)).toEqual({ textSource: 'Document' });
+        expect(getTextSourceFields({ source: 'ocr', confidence: 88.6 }, 70)).toEqual({
+            textSource: 'OCR',
+            ocrConfidence: 89
+        });
+        expect(getTextSourceFields({ source: 'ocr', confidence: 52.2 }, 70)).toEqual({
+            textSource: 'OCR (low confidence)',
+            ocrConfidence: 52
+        });
+        expect(getTextSourceFields({ source: 'ocr', confidence: 88.6, pageCount: 3 }, 70)).toEqual({
+            textSource: 'OCR (low confidence)',
+            ocrConfidence: 89
+        });
+    });
+});
+
+describe('measureUsage', () => {
+    test('counts pages for paged text and OCR, and words otherwise', () => {
+        expect(measureUsage({ text: 'Page one\fPage two\f', source: 'document' })).toEqual({ unit: 'pages', value: 2 });
+        expect(measureUsage({ text: 'Event Name: Harbour Gala', source: 'ocr' })).toEqual({ unit: 'pages', value: 1 });
+        expect(measureUsage({ text: 'Event Name:  Harbour Gala\n', source: 'document' })).toEqual({
+            unit: 'words',
+            value: 4
+        });
+        expect(measureUsage({ text: ' ', source: 'document' })).toBeNull();
+    });
+});
+
+describe('extractEventDetails', () => {
+    test('leaves out fields that are not found', () => {
+        expect(extractEventDetails('Meeting notes\nNothing to see here')).toEqual({});
+    });
+
+    test('reads the venue capacity and catering, ignoring catering still to be decided', () => {
+        expect(extractEventDetails('Venue Capacity: 1,500 seats\nCatering: Buffet lunch, Harbour Caterers')).toEqual({
+            venueCapacity: 1500,
+            catering: 'Buffet lunch, Harbour Caterers'
+        });
+        expect(extractEventDetails('Catering: TBD')).toEqual({});
+    });
+
+    test('runs the given field extractors only', () => {
+        const fields = extractEventDetails('Venue: Pier 27', [({ lines }) => ({ lineCount: lines.length })]);
+        expect(fields).toEqual({ lineCount: 1 });
+    });
+});
+
+describe('extractAgenda', () => {
+    test('reads the list items under an agenda heading', () => {
+        const text = 'Agenda\n\n9:00 AM – Welcome\n- Panel: the year ahead\n2. Dinner\n\nBudget: $5,000';
+        expect(extractAgenda(text)).toEqual(['9:00 AM – Welcome', 'Panel: the year ahead', 'Dinner']);
+    });
+
+    test('splits an inline agenda', () => {
+        expect(extractAgenda('Program Manager: Ada\nSchedule: Keynote; Lunch; Awards')).toEqual([
+            'Keynote',
+            'Lunch',
+            'Awards'
+        ]);
+    });
+
+    test('is empty without an agenda', () => {
+        expect(extractAgenda(fixture('event-plan.txt').toString().replace('Agenda', 'Notes'))).toEqual([]);
+    });
+});
+
+describe('extractKeyTerms', () => {
+    test('returns the most frequent words that are not stop words or addresses', () => {
+        const text = 'Partner Summit for partners. Partner awards, partner workshops. Contact ada@summit.example';
+        expect(extractKeyTerms(text, { limit: 3 })).toEqual(['Partner', 'Summit', 'partners']);
+    });
+});
+
+describe('readRoster', () => {
+    const rosterCounts = { registered: 4, waitlisted: 1, cancelled: 1, duplicates: 2, skipped: 1 };
+
+    test.each(['csv', 'xlsx'])(
+        'finds the header below the title rows and counts %s attendees once per email address',
+        async (format) => {
+            const counts = await readRoster(fakeFilesReader(format, fixture(`roster.${format}`)));
+            expect(counts).toEqual(rosterCounts);
+        }
+    );
+
+    test('reads semicolon-separated files with quoted line breaks', async () => {
+        const csv = 'E-mail;Status;Notes\r\na@example.com;Waitlisted;"first line\r\nsecond; line"\r\nb@example.com;;\r\n';
+        await expect(readRoster(fakeFilesReader('csv', Buffer.from(`\uFEFF${csv}`)))).resolves.toEqual({
+            registered: 1,
+            waitlisted: 1,
+            cancelled: 0,
+            duplicates: 0,
+            skipped: 0
+        });
+    });
+
+    test('counts everyone as registered without a status column', () => {
+        const rows = [['Name', 'Email Address'], ['Ada', 'ada@example.com'], ['Grace', 'grace@example.com']];
+        expect(countAttendees(rows)).toMatchObject({ registered: 2, waitlisted: 0 });
+    });
+
+    test('rejects rosters without an email header, and formats other than CSV and XLSX', async () => {
+        expect(() => countAttendees([['Name'], ['Ada']])).toThrow(
+            new InvalidRosterError('No header row with an email column was found in the first 20 rows')
+        );
+        await expect(readRoster(fakeFilesReader('pdf', fixture('event-plan.pdf')))).rejects.toThrow(
+            'Rosters in pdf format cannot be read'
+        );
+        await expect(readRoster(fakeFilesReader('xlsx', fixture('roster.csv')))).rejects.toThrow(
+            'The roster is not a readable XLSX workbook'
+        );
+    });
+});
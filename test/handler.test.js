@@ -0,0 +1,598 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    EMULATOR_KEYS,
+    configureEnvironment,
+    createInvocationBody,
+    createMockBoxApi,
+    invokeHandler,
+    runEmulation,
+    signInvocation
+} = require('../lib/emulator');
+
+// OCR runs on a fake Tesseract worker that reads a low-confidence event plan from any image
+jest.mock('tesseract.js', () => ({
+    createWorker: jest.fn(() =>
+        Promise.resolve({
+            recognize: () =>
+                Promise.resolve({ data: { text: 'Event Name: Harbour Gala\nVenue: Pier 27', confidence: 48.7 } }),
+            terminate: jest.fn(() => Promise.resolve())
+        })
+    )
+}));
+
+const { createWorker } = require('tesseract.js');
+const { terminateOcrEngines } = require('../lib/extraction');
+const { clearSchemaCache } = require('../lib/pipeline/schema');
+
+const eventPlan = fs.readFileSync(path.join(__dirname, 'fixtures', 'event-plan.txt'));
+let nextFileId = 100;
+
+const eventPlanFile = (documentType = 'Event Plan', overrides = {}) => {
+    nextFileId += 1;
+    return Object.assign(
+        {
+            id: String(nextFileId),
+            name: 'event-plan.txt',
+            content: eventPlan,
+            metadata: { 'enterprise/eventSubmissionDocument': { documentType } }
+        },
+        overrides
+    );
+};
+
+describe('index.handler', () => {
+    let mockBoxApi;
+    let skill;
+
+    beforeAll(async () => {
+        mockBoxApi = createMockBoxApi();
+        await mockBoxApi.start();
+        configureEnvironment(mockBoxApi.baseURL, EMULATOR_KEYS);
+        // eslint-disable-next-line global-require
+        skill = require('../index');
+    });
+
+    afterAll(() => mockBoxApi.close());
+
+    beforeEach(() => {
+        clearSchemaCache();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('writes extracted eventDetails for an Event Plan and replaces the processing card with summary cards', async () => {
+        const file = eventPlanFile();
+        const result = await runEmulation({ mockBoxApi, file });
+
+        expect(result.response).toEqual({ statusCode: 200, body: 'Box event was queued for processing by skill' });
+        expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+        expect(result.skillInvocations[1].body.metadata.cards.map((card) => card.skill_card_title.code)).toEqual([
+            'skills_topics',
+            'skills_event_summary',
+            'skills_agenda',
+            'skills_compliance'
+        ]);
+        expect(result.skillInvocations[1].body.usage).toEqual({ unit: 'words', value: 48 });
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Partner Summit',
+            startDate: '2027-03-03T00:00:00.000Z',
+            endDate: '2027-03-05T00:00:00.000Z',
+            venue: 'Moscone Center West, San Francisco',
+            participantCount: 1200,
+            budget: 250000,
+            organizerEmail: 'jane.doe@example.com',
+            complianceStatus: 'Fail'
+        });
+    });
+
+    test('checks the lead time against the time the plan was uploaded, not the time it is processed', async () => {
+        const leadTime = 'The event must start at least 30 days after the plan is uploaded';
+        const file = eventPlanFile();
+        // the plan's event starts on 2027-03-03
+        await runEmulation({ mockBoxApi, file, invocation: { createdAt: new Date('2027-02-20T09:00:00Z') } });
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails').complianceViolations).toContain(leadTime);
+
+        const earlier = Object.assign({}, file, { versionId: `${file.id}2` });
+        await runEmulation({ mockBoxApi, file: earlier, invocation: { createdAt: new Date('2027-01-04T09:00:00Z') } });
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails').complianceViolations).not.toContain(leadTime);
+    });
+
+    test('keeps the cards of other skills next to the event cards', async () => {
+        const otherCard = {
+            type: 'skill_card',
+            skill: { type: 'service', id: 'other-skill' },
+            skill_card_type: 'keyword',
+            skill_card_title: { code: 'skills_topics', message: 'Topics' },
+            invocation: { type: 'skill_invocation', id: 'other-request' },
+            entries: [{ type: 'text', text: 'translation' }]
+        };
+        const file = eventPlanFile();
+        file.metadata['global/boxSkillsCards'] = { cards: [otherCard] };
+        const result = await runEmulation({ mockBoxApi, file });
+
+        const cards = result.skillInvocations.map((call) => call.body.metadata.cards);
+        expect(cards[0].map((card) => card.skill_card_title.code)).toEqual(['skills_topics', 'skills_status']);
+        expect(cards[1][0]).toEqual(otherCard);
+        expect(cards[1].map((card) => card.skill_card_title.code)).not.toContain('skills_status');
+        expect(mockBoxApi.getMetadata(file.id, 'global', 'boxSkillsCards').cards).toEqual(cards[1]);
+    });
+
+    test('reads the text of formats without a local parser from the extracted_text representation', async () => {
+        const file = eventPlanFile('Event Plan', {
+            name: 'event-plan.pptx',
+            content: Buffer.from('not a text file'),
+            representations: { extracted_text: { content: eventPlan, pendingPolls: 1 } }
+        });
+        const result = await runEmulation({ mockBoxApi, file });
+
+        expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+        expect(mockBoxApi.requests.map((request) => request.path)).toContain(
+            `/2.0/internal_files/${file.id}/versions/1/representations/extracted_text`
+        );
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Partner Summit',
+            participantCount: 1200
+        });
+    });
+
+    test('reads photos of event plans with OCR and marks low-confidence values for review', async () => {
+        const file = eventPlanFile('Event Plan', {
+            name: 'event-plan.heic',
+            content: Buffer.from('heic photo'),
+            representations: { jpg: Buffer.from('jpeg') }
+        });
+        const result = await runEmulation({ mockBoxApi, file });
+
+        expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Harbour Gala',
+            venue: 'Pier 27',
+            textSource: 'OCR (low confidence)',
+            ocrConfidence: 49
+        });
+    });
+
+    test('stops the OCR worker when told to, and starts a new one for the next photo', async () => {
+        const photo = () =>
+            eventPlanFile('Event Plan', {
+                name: 'event-plan.jpg',
+                content: Buffer.from('jpeg photo'),
+                representations: { jpg: Buffer.from('jpeg') }
+            });
+        await runEmulation({ mockBoxApi, file: photo() });
+        const started = createWorker.mock.results.length;
+        const worker = await createWorker.mock.results[started - 1].value;
+
+        await terminateOcrEngines();
+        expect(worker.terminate).toHaveBeenCalledTimes(1);
+
+        await runEmulation({ mockBoxApi, file: photo() });
+        expect(createWorker).toHaveBeenCalledTimes(started + 1);
+    });
+
+    test('logs JSON lines with the invocation ids, step and Box API spans but no tokens', async () => {
+        const file = eventPlanFile();
+        const result = await runEmulation({ mockBoxApi, file });
+        const lines = console.log.mock.calls.map(([line]) => line);
+        const requestId = JSON.parse(result.body).id;
+        const entries = lines.map((line) => JSON.parse(line)).filter((entry) => entry.requestId === requestId);
+
+        expect(entries.every((entry) => entry.fileId === file.id && entry.skillId && entry.step)).toBe(true);
+        expect(entries).toContainEqual(
+            expect.objectContaining({
+                span: 'box api call',
+                step: 'writeMetadata',
+                method: 'POST',
+                path: `/2.0/files/${file.id}/metadata/enterprise/eventDetails`,
+                durationMs: expect.any(Number)
+            })
+        );
+        expect(lines.join('\n')).not.toMatch(/emulator-(read|write)-token/);
+    });
+
+    test('does not write eventDetails for other document types', async () => {
+        const file = eventPlanFile('Vendor Contract');
+        const result = await runEmulation({ mockBoxApi, file });
+
+        expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toBeUndefined();
+    });
+
+    test('rejects invocations with an invalid signature without calling Box', async () => {
+        const requestCount = mockBoxApi.requests.length;
+        const body = JSON.stringify(createInvocationBody({ id: '1', name: 'plan.txt', size: 1 }));
+        const headers = signInvocation(body, { primaryKey: 'wrong-key', secondaryKey: 'also-wrong' });
+
+        const response = await invokeHandler(skill.handler, { body, headers });
+
+        expect(response).toEqual({ statusCode: 401, body: 'Unauthorized: invalid signature' });
+        expect(mockBoxApi.requests).toHaveLength(requestCount);
+    });
+
+    describe('rejects without calling Box', () => {
+        const signedInvocation = (overrides = {}, timestamp = undefined) => {
+            const body = JSON.stringify(Object.assign(createInvocationBody({ id: '1', name: 'plan.txt', size: 1 }), overrides));
+            return { body, headers: signInvocation(body, EMULATOR_KEYS, timestamp) };
+        };
+        let requestCount;
+
+        beforeEach(() => {
+            requestCount = mockBoxApi.requests.length;
+        });
+
+        afterEach(() => {
+            expect(mockBoxApi.requests).toHaveLength(requestCount);
+            delete process.env.box_allowed_skill_ids;
+        });
+
+        test('deliveries older than 10 minutes', async () => {
+            const event = signedInvocation({}, new Date(Date.now() - 11 * 60 * 1000));
+            await expect(invokeHandler(skill.handler, event)).resolves.toEqual({
+                statusCode: 401,
+                body: 'Unauthorized: stale delivery timestamp'
+            });
+        });
+
+        test('replays of a delivery', async () => {
+            const event = signedInvocation();
+            // the first delivery is turned away after it is recorded, so that neither calls Box
+            process.env.box_allowed_skill_ids = 'not-this-skill';
+            await invokeHandler(skill.handler, event);
+
+            await expect(invokeHandler(skill.handler, event)).resolves.toEqual({
+                statusCode: 401,
+                body: 'Unauthorized: replayed delivery'
+            });
+        });
+
+        test('signed bodies that are not skill invocations', async () => {
+            const event = signedInvocation({ source: { type: 'file', id: '1', name: 'plan.txt', size: '1 KB' } });
+            await expect(invokeHandler(skill.handler, event)).resolves.toEqual({
+                statusCode: 400,
+                body: 'Skill invocation failed: skills_invalid_event_error'
+            });
+        });
+
+        test('invocations of skills that are not allowed', async () => {
+            process.env.box_allowed_skill_ids = '2002, 2003';
+            await expect(invokeHandler(skill.handler, signedInvocation())).resolves.toEqual({
+                statusCode: 401,
+                body: 'Unauthorized: skill not allowed'
+            });
+        });
+    });
+
+    test('answers 400 for a malformed invocation body', async () => {
+        const body = '{"type":"skill_invocation"}';
+        const response = await invokeHandler(skill.handler, { body, headers: signInvocation(body, EMULATOR_KEYS) });
+
+        expect(response).toEqual({ statusCode: 400, body: 'Skill invocation failed: skills_invalid_event_error' });
+    });
+
+    test('saves a permanent error card when the eventDetails template is missing', async () => {
+        const templatesMock = createMockBoxApi();
+        templatesMock.addTemplate({ scope: 'enterprise', templateKey: 'eventSubmissionDocument', fields: [] });
+        await templatesMock.start();
+        try {
+            const result = await runEmulation({ mockBoxApi: templatesMock, file: eventPlanFile() });
+            const [, errorCall] = result.skillInvocations;
+            expect(errorCall.body.status).toBe('permanent_failure');
+            expect(errorCall.body.metadata.cards[0].status.message).toMatch(/eventDetails metadata template/);
+        } finally {
+            await templatesMock.close();
+            configureEnvironment(mockBoxApi.baseURL, EMULATOR_KEYS);
+        }
+    });
+
+    test('skips redeliveries of an invocation that already succeeded', async () => {
+        const file = eventPlanFile();
+        const invocation = { requestId: `duplicate_${file.id}` };
+        await runEmulation({ mockBoxApi, file, invocation });
+
+        const redelivery = await runEmulation({ mockBoxApi, file, invocation });
+
+        expect(redelivery.response).toEqual({ statusCode: 200, body: 'Box event was already processed by skill' });
+        expect(redelivery.skillInvocations).toEqual([]);
+    });
+
+    test('retries Box API calls that fail with a 5xx', async () => {
+        const file = eventPlanFile();
+        const metadataPath = new RegExp(`^/2\\.0/files/${file.id}/metadata/enterprise/eventDetails$`);
+        mockBoxApi.failRequests({ method: 'POST', pattern: metadataPath, statusCode: 503 });
+        const requestCount = mockBoxApi.requests.length;
+
+        const result = await runEmulation({ mockBoxApi, file });
+
+        expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+        const writes = result.requests
+            .slice(requestCount)
+            .filter((request) => request.method === 'POST' && metadataPath.test(request.path));
+        expect(writes).toHaveLength(2);
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+            eventName: 'Spring Partner Summit'
+        });
+    });
+
+    describe('when the invocation tokens expire', () => {
+        const serviceAccount = { BOX_CLIENT_ID: 'client-id', BOX_CLIENT_SECRET: 'client-secret', BOX_ENTERPRISE_ID: '11' };
+        const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+        const authorizationOf = (requests, fileId) =>
+            requests
+                .filter((request) => request.path.startsWith(`/2.0/files/${fileId}`))
+                .map((request) => request.headers.authorization);
+
+        afterEach(() => Object.keys(serviceAccount).forEach((name) => delete process.env[name]));
+
+        test('processes invocations that waited longer than their tokens last with the service account', async () => {
+            Object.assign(process.env, serviceAccount);
+            const file = eventPlanFile();
+            const requestCount = mockBoxApi.requests.length;
+            const result = await runEmulation({ mockBoxApi, file, invocation: { createdAt: hoursAgo(2) } });
+
+            expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+            // the handler saves the processing card right away, the worker then uses the service account
+            const requests = result.requests.slice(requestCount);
+            const tokenRequest = requests.findIndex((request) => request.path === '/oauth2/token');
+            expect(tokenRequest).toBeGreaterThan(-1);
+            const workerRequests = requests.slice(tokenRequest + 1);
+            expect(authorizationOf(workerRequests, file.id)).not.toHaveLength(0);
+            expect(authorizationOf(workerRequests, file.id).every((header) => /^Bearer service-token-/.test(header))).toBe(
+                true
+            );
+            expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+                eventName: 'Spring Partner Summit'
+            });
+        });
+
+        test('runs again with the service account when Box rejects the read token', async () => {
+            Object.assign(process.env, serviceAccount);
+            mockBoxApi.expireToken('rejected-read-token');
+            const file = eventPlanFile();
+            const requestCount = mockBoxApi.requests.length;
+            const result = await runEmulation({ mockBoxApi, file, invocation: { readToken: 'rejected-read-token' } });
+
+            const authorizations = authorizationOf(result.requests.slice(requestCount), file.id);
+            const rejected = authorizations.indexOf('Bearer rejected-read-token');
+            expect(rejected).toBeGreaterThan(-1);
+            expect(authorizations.slice(rejected + 1).every((header) => /^Bearer service-token-/.test(header))).toBe(true);
+            expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+            expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+                eventName: 'Spring Partner Summit'
+            });
+        });
+
+        test('saves a permanent authentication error card without a service account', async () => {
+            const file = eventPlanFile();
+            const result = await runEmulation({ mockBoxApi, file, invocation: { createdAt: hoursAgo(2) } });
+
+            const [, errorCall] = result.skillInvocations;
+            expect(errorCall.body.status).toBe('permanent_failure');
+            expect(errorCall.body.metadata.cards[0].status.message).toMatch(/access to this file expired/);
+            expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toBeUndefined();
+        });
+    });
+
+    describe('attendee rosters', () => {
+        const serviceAccount = { BOX_CLIENT_ID: 'client-id', BOX_CLIENT_SECRET: 'client-secret', BOX_ENTERPRISE_ID: '11' };
+        const rosterFile = (name, parentId, metadata = {}) => {
+            nextFileId += 1;
+            return {
+                id: String(nextFileId),
+                name,
+                parentId,
+                content: fs.readFileSync(path.join(__dirname, 'fixtures', 'roster.csv')),
+                metadata: {
+                    'enterprise/eventSubmissionDocument': Object.assign({ documentType: 'Attendee Roster' }, metadata)
+                }
+            };
+        };
+        const cardEntries = (result) =>
+            result.skillInvocations[1].body.metadata.cards[0].entries.map((entry) => entry.text);
+
+        beforeEach(() => Object.assign(process.env, serviceAccount));
+        afterEach(() => Object.keys(serviceAccount).forEach((name) => delete process.env[name]));
+
+        test('writes the counts to the event plan named after the same event, and keeps them for new plan versions', async () => {
+            const plan = eventPlanFile('Event Plan', { name: 'Spring Gala - Event Plan.txt', parentId: '700' });
+            await runEmulation({ mockBoxApi, file: plan });
+            // a namesake that is not an event plan is not updated
+            mockBoxApi.addFile({ id: 'notes700', name: 'Spring Gala.txt', content: 'notes', parentId: '700' });
+
+            const result = await runEmulation({ mockBoxApi, file: rosterFile('Spring Gala Attendee Roster.csv', '700') });
+
+            expect(result.skillInvocations.map((call) => call.body.status)).toEqual(['processing', 'success']);
+            expect(cardEntries(result)).toEqual([
+                'Registered: 4',
+                'Waitlisted: 1',
+                'Listed more than once: 2',
+                'Participant count written to Spring Gala - Event Plan.txt'
+            ]);
+            expect(mockBoxApi.getMetadata(plan.id, 'enterprise', 'eventDetails')).toMatchObject({
+                eventName: 'Spring Partner Summit',
+                participantCount: 4,
+                registeredCount: 4,
+                waitlistedCount: 1
+            });
+            expect(mockBoxApi.getMetadata('notes700', 'enterprise', 'eventDetails')).toBeUndefined();
+
+            await runEmulation({ mockBoxApi, file: Object.assign({}, plan, { versionId: `${plan.id}2` }) });
+            expect(mockBoxApi.getMetadata(plan.id, 'enterprise', 'eventDetails')).toMatchObject({ participantCount: 4 });
+        });
+
+        test('finds the event plan with the same eventKey', async () => {
+            const plan = eventPlanFile('Event Plan', { parentId: '701' });
+            plan.metadata['enterprise/eventSubmissionDocument'].eventKey = 'GALA-27';
+            const otherPlan = eventPlanFile('Event Plan', { parentId: '701' });
+            otherPlan.metadata['enterprise/eventSubmissionDocument'].eventKey = 'SUMMIT-27';
+            mockBoxApi.addFile(plan);
+            mockBoxApi.addFile(otherPlan);
+
+            const result = await runEmulation({
+                mockBoxApi,
+                file: rosterFile('registrations.csv', '701', { eventKey: 'GALA-27' })
+            });
+
+            expect(cardEntries(result)).toContain(`Participant count written to ${plan.name}`);
+            expect(mockBoxApi.getMetadata(plan.id, 'enterprise', 'eventDetails')).toMatchObject({ participantCount: 4 });
+            expect(mockBoxApi.getMetadata(otherPlan.id, 'enterprise', 'eventDetails')).toBeUndefined();
+        });
+
+        test('says how to link a roster without an event plan', async () => {
+            const result = await runEmulation({ mockBoxApi, file: rosterFile('Autumn Fair roster.csv', '702') });
+
+            expect(result.skillInvocations[1].body.status).toBe('success');
+            expect(cardEntries(result)[3]).toMatch(/^No event plan found/);
+        });
+    });
+
+    describe('scheduling conflicts', () => {
+        const serviceAccount = { BOX_CLIENT_ID: 'client-id', BOX_CLIENT_SECRET: 'client-secret', BOX_ENTERPRISE_ID: '11' };
+        const bookedPlan = (venue, startDate, endDate) =>
+            eventPlanFile('Event Plan', {
+                name: `${venue} booking.docx`,
+                parentId: '900',
+                metadata: { 'enterprise/eventDetails': { venue, startDate, endDate } }
+            });
+
+        beforeEach(() => Object.assign(process.env, serviceAccount));
+        afterEach(() => Object.keys(serviceAccount).forEach((name) => delete process.env[name]));
+
+        test('flags plans booking the same venue on overlapping dates and links to the clashing plans', async () => {
+            const clash = mockBoxApi.addFile(bookedPlan('The Moscone Center West', '2027-03-05T00:00:00.000Z'));
+            const otherVenue = mockBoxApi.addFile(
+                bookedPlan('Pier 27', '2027-03-03T00:00:00.000Z', '2027-03-05T00:00:00.000Z')
+            );
+            const later = mockBoxApi.addFile(
+                bookedPlan('Moscone Center West', '2027-03-06T00:00:00.000Z', '2027-03-07T00:00:00.000Z')
+            );
+            const file = eventPlanFile();
+
+            const result = await runEmulation({ mockBoxApi, file });
+
+            const eventDetails = mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails');
+            expect(eventDetails.scheduleConflict).toBe('Conflict');
+            const links = eventDetails.conflictingFiles.split('; ');
+            expect(links).toContain(`https://app.box.com/file/${clash.id}`);
+            expect(links).not.toContain(`https://app.box.com/file/${otherVenue.id}`);
+            expect(links).not.toContain(`https://app.box.com/file/${later.id}`);
+            // the plan it clashes with is flagged as well, with a link back
+            expect(mockBoxApi.getMetadata(clash.id, 'enterprise', 'eventDetails')).toMatchObject({
+                scheduleConflict: 'Conflict',
+                conflictingFiles: `https://app.box.com/file/${file.id}`
+            });
+            expect(mockBoxApi.getMetadata(otherVenue.id, 'enterprise', 'eventDetails').scheduleConflict).toBeUndefined();
+            const card = result.skillInvocations[1].body.metadata.cards.find(
+                (saved) => saved.skill_card_title.code === 'skills_scheduling_conflicts'
+            );
+            expect(card.status.message).toContain(
+                `The Moscone Center West booking.docx books The Moscone Center West for March 5, 2027 (https://app.box.com/file/${clash.id})`
+            );
+        });
+
+        test('checks the venue as corrected by hand', async () => {
+            const file = eventPlanFile();
+            await runEmulation({ mockBoxApi, file });
+            mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails').venue = 'Fort Mason Pavilion';
+            const moscone = mockBoxApi.addFile(bookedPlan('Moscone Center West', '2027-03-04T00:00:00.000Z'));
+            const fortMason = mockBoxApi.addFile(bookedPlan('Fort Mason Pavilion', '2027-03-04T00:00:00.000Z'));
+
+            await runEmulation({ mockBoxApi, file: Object.assign({}, file, { versionId: `${file.id}2` }) });
+
+            const eventDetails = mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails');
+            expect(eventDetails).toMatchObject({ venue: 'Fort Mason Pavilion', scheduleConflict: 'Conflict' });
+            expect(eventDetails.conflictingFiles.split('; ')).toEqual([`https://app.box.com/file/${fortMason.id}`]);
+            expect(mockBoxApi.getMetadata(moscone.id, 'enterprise', 'eventDetails').scheduleConflict).toBeUndefined();
+        });
+
+        test('writes None when no other plan books the venue', async () => {
+            const file = eventPlanFile('Event Plan', {
+                content: Buffer.from('Event Name: Harbour Gala\nEvent Dates: June 1, 2027\nVenue: Pier 27 Annex')
+            });
+
+            const result = await runEmulation({ mockBoxApi, file });
+
+            expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+                scheduleConflict: 'None',
+                conflictingFiles: ''
+            });
+            const codes = result.skillInvocations[1].body.metadata.cards.map((card) => card.skill_card_title.code);
+            expect(codes).not.toContain('skills_scheduling_conflicts');
+        });
+    });
+
+    describe('calendar files', () => {
+        const serviceAccount = { BOX_CLIENT_ID: 'client-id', BOX_CLIENT_SECRET: 'client-secret', BOX_ENTERPRISE_ID: '11' };
+        const uploadsSince = (start) =>
+            mockBoxApi.requests.slice(start).filter((request) => request.method === 'POST' && request.path.endsWith('/content'));
+
+        afterEach(() => Object.keys(serviceAccount).forEach((name) => delete process.env[name]));
+
+        test('saves an iCalendar file next to the event plan and a new version of it for new plan versions', async () => {
+            Object.assign(process.env, serviceAccount);
+            const file = eventPlanFile('Event Plan', { name: 'Spring Partner Summit.txt', parentId: '800' });
+            let start = mockBoxApi.requests.length;
+            await runEmulation({ mockBoxApi, file });
+
+            const { calendarFileId } = mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails');
+            const [calendarFile] = uploadsSince(start);
+            expect(calendarFile.path).toBe('/2.0/files/content');
+            expect(JSON.parse(calendarFile.body.attributes)).toEqual({ name: 'Spring Partner Summit.ics', parent: { id: '800' } });
+            // uploaded with the service account, not the invocation's write token
+            expect(calendarFile.headers.authorization).toMatch(/^Bearer /);
+            expect(calendarFile.headers.authorization).not.toBe('Bearer emulator-write-token');
+            const calendar = calendarFile.body.content.toString('utf8');
+            expect(calendar).toMatch(/^BEGIN:VCALENDAR\r\n/);
+            expect(calendar).toContain('\r\nSUMMARY:Spring Partner Summit\r\n');
+            expect(calendar).toContain('\r\nDTSTART;VALUE=DATE:20270303\r\nDTEND;VALUE=DATE:20270306\r\n');
+            expect(calendar).toContain(`\r\nUID:${file.id}-session-3@box-event-skill\r\nDTSTAMP:`);
+            expect(calendarFileId).toEqual(expect.any(String));
+
+            start = mockBoxApi.requests.length;
+            await runEmulation({ mockBoxApi, file: Object.assign({}, file, { versionId: `${file.id}2` }) });
+
+            expect(uploadsSince(start).map((request) => request.path)).toEqual([`/2.0/files/${calendarFileId}/content`]);
+            expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails').calendarFileId).toBe(calendarFileId);
+        });
+
+        test('writes the event details and cards without saving a calendar file when there is no service account', async () => {
+            const file = eventPlanFile('Event Plan', { name: 'Harbour Gala.txt', parentId: '801' });
+            const start = mockBoxApi.requests.length;
+
+            const result = await runEmulation({ mockBoxApi, file });
+
+            expect(result.skillInvocations[1].body.status).toBe('success');
+            expect(uploadsSince(start)).toEqual([]);
+            const eventDetails = mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails');
+            expect(eventDetails).toMatchObject({ eventName: 'Spring Partner Summit' });
+            expect(eventDetails.calendarFileId).toBeUndefined();
+            const codes = result.skillInvocations[1].body.metadata.cards.map((card) => card.skill_card_title.code);
+            expect(codes).toContain('skills_event_summary');
+            const warnings = console.warn.mock.calls.map(([line]) => JSON.parse(line).msg);
+            expect(warnings).toContainEqual(expect.stringMatching(/^Not saving the calendar file/));
+        });
+    });
+
+    test('keeps fields edited by hand when a new version is processed', async () => {
+        const file = eventPlanFile();
+        await runEmulation({ mockBoxApi, file });
+        mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails').participantCount = 950;
+
+        const result = await runEmulation({ mockBoxApi, file: Object.assign({}, file, { versionId: `${file.id}2` }) });
+
+        expect(mockBoxApi.getMetadata(file.id, 'enterprise', 'eventDetails')).toMatchObject({
+            participantCount: 950,
+            venue: 'Moscone Center West, San Francisco'
+        });
+        // the other values have not changed, so the new version does not write the template at all
+        const writes = result.requests.filter(
+            (request) => request.method === 'PUT' && request.path.endsWith(`/files/${file.id}/metadata/enterprise/eventDetails`)
+        );
+        expect(writes).toEqual([]);
+    });
+});
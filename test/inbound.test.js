@@ -0,0 +1,89 @@
+'use strict';
+
+const { createInvocationBody, signInvocation } = require('../lib/emulator/invocation');
+const { InvalidEventError, RequestRejectedError } = require('../lib/errors');
+const { createMemoryStore } = require('../lib/idempotency');
+const { RejectReason, readInboundSettings, validateRequest } = require('../lib/inbound');
+
+const keys = { primaryKey: 'primary', secondaryKey: 'secondary' };
+const now = Date.parse('2026-03-02T10:00:00Z');
+
+const signedEvent = (body = createInvocationBody({ id: '1', name: 'plan.txt', size: 1 }), timestamp = new Date(now)) => {
+    const raw = typeof body === 'string' ? body : JSON.stringify(body);
+    return { body: raw, headers: signInvocation(raw, keys, timestamp) };
+};
+
+const validate = (event, options = {}) =>
+    validateRequest(event, Object.assign({ store: createMemoryStore(), now }, keys, options));
+
+describe('validateRequest', () => {
+    test('resolves to the parsed body of a fresh signed invocation, whatever the case of its headers', async () => {
+        const event = signedEvent();
+        event.headers = Object.fromEntries(Object.entries(event.headers).map(([name, value]) => [name.toUpperCase(), value]));
+        await expect(validate(event)).resolves.toMatchObject({ type: 'skill_invocation', source: { id: '1' } });
+    });
+
+    test('accepts base64 encoded bodies', async () => {
+        const event = signedEvent();
+        await expect(
+            validate({ body: Buffer.from(event.body).toString('base64'), headers: event.headers, isBase64Encoded: true })
+        ).resolves.toMatchObject({ type: 'skill_invocation' });
+    });
+
+    test('checks the signature before anything else', async () => {
+        const event = signedEvent('not json', new Date(now - 60 * 60 * 1000));
+        event.headers['box-signature-primary'] = 'forged';
+        event.headers['box-signature-secondary'] = 'forged';
+        await expect(validate(event)).rejects.toEqual(new RequestRejectedError(RejectReason.INVALID_SIGNATURE));
+    });
+
+    test.each([
+        ['more than 10 minutes old', -11 * 60 * 1000],
+        ['more than a minute ahead', 2 * 60 * 1000]
+    ])('rejects deliveries timestamped %s', async (label, offset) => {
+        await expect(validate(signedEvent(undefined, new Date(now + offset)))).rejects.toMatchObject({
+            statusCode: 401,
+            reason: RejectReason.STALE_DELIVERY
+        });
+    });
+
+    test('rejects a delivery seen before, but not a retry signed at another time', async () => {
+        const store = createMemoryStore();
+        const body = createInvocationBody({ id: '1', name: 'plan.txt', size: 1 });
+        const event = signedEvent(body);
+        await validate(event, { store });
+
+        await expect(validate(event, { store })).rejects.toMatchObject({ reason: RejectReason.REPLAYED_DELIVERY });
+        const retry = signedEvent(body, new Date(now + 1000));
+        retry.headers['box-delivery-id'] = event.headers['box-delivery-id'];
+        await expect(validate(retry, { store })).resolves.toMatchObject({ type: 'skill_invocation' });
+    });
+
+    test('rejects signed bodies that do not match the skill invocation schema, naming the problem', async () => {
+        const body = createInvocationBody({ id: '1', name: 'plan.txt', size: 1 });
+        delete body.token.write;
+        const rejection = validate(signedEvent(body));
+        await expect(rejection).rejects.toBeInstanceOf(InvalidEventError);
+        await expect(rejection).rejects.toMatchObject({ statusCode: 400 });
+        // the wording of the problem is the schema validator's, only the missing property is checked
+        await expect(rejection).rejects.toThrow(/^Malformed skill invocation: .*\bwrite\b/);
+        await expect(validate(signedEvent('{"type":'))).rejects.toThrow('Skill invocation body is not valid JSON');
+    });
+
+    test('accepts only the allowed skills, comparing ids as strings', async () => {
+        const body = createInvocationBody({ id: '1', name: 'plan.txt', size: 1 }, { skillId: 2002 });
+        await expect(validate(signedEvent(body), { allowedSkillIds: ['2002'] })).resolves.toBeDefined();
+        await expect(validate(signedEvent(body), { allowedSkillIds: ['1001'] })).rejects.toMatchObject({
+            reason: RejectReason.SKILL_NOT_ALLOWED
+        });
+    });
+});
+
+describe('readInboundSettings', () => {
+    test('reads the keys and the allowed skill ids, allowing any skill without ids', () => {
+        expect(
+            readInboundSettings({ box_primary_key: 'p', box_secondary_key: 's', box_allowed_skill_ids: ' 1001, 1002 ,' })
+        ).toEqual({ primaryKey: 'p', secondaryKey: 's', allowedSkillIds: ['1001', '1002'] });
+        expect(readInboundSettings({}).allowedSkillIds).toBeUndefined();
+    });
+});
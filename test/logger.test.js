@@ -0,0 +1,90 @@
+'use strict';
+
+const { createLogger, redact, runWithContext } = require('../lib/logger');
+
+/** Logger that collects its lines, parsed, instead of writing them to the console */
+const createTestLogger = (options = {}) => {
+    const lines = [];
+    const collect = (line) => lines.push(JSON.parse(line));
+    const logger = createLogger(
+        Object.assign({ writers: { debug: collect, info: collect, warn: collect, error: collect } }, options)
+    );
+    return { logger, lines };
+};
+
+describe('createLogger', () => {
+    test('writes JSON lines with level, time, message and fields', () => {
+        const { logger, lines } = createTestLogger();
+        logger.info('Routing document', { documentType: 'Event Plan' });
+        expect(lines).toEqual([
+            { level: 'info', time: expect.any(String), msg: 'Routing document', documentType: 'Event Plan' }
+        ]);
+    });
+
+    test('drops lines below the configured level', () => {
+        const { logger, lines } = createTestLogger({ level: 'warn' });
+        logger.debug('debug');
+        logger.info('info');
+        logger.warn('warn');
+        logger.error('error');
+        expect(lines.map((line) => line.level)).toEqual(['warn', 'error']);
+    });
+
+    test('adds child and runWithContext fields to every line', async () => {
+        const { logger, lines } = createTestLogger();
+        const child = logger.child({ requestId: 'request-1' });
+        await runWithContext({ fileId: '42' }, () =>
+            runWithContext({ step: 'extractEventDetails' }, async () => {
+                await Promise.resolve();
+                child.info('Extracted event details');
+            })
+        );
+        child.info('Outside');
+        expect(lines[0]).toMatchObject({ requestId: 'request-1', fileId: '42', step: 'extractEventDetails' });
+        expect(lines[1]).not.toHaveProperty('fileId');
+    });
+
+    test('span logs the duration and outcome of an operation', async () => {
+        const { logger, lines } = createTestLogger();
+        await logger.span('pipeline step', () => Promise.resolve('done'), { template: 'eventDetails' });
+        await expect(logger.span('pipeline step', () => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+        expect(lines[0]).toMatchObject({
+            msg: 'pipeline step',
+            span: 'pipeline step',
+            durationMs: expect.any(Number),
+            outcome: 'success',
+            template: 'eventDetails'
+        });
+        expect(lines[1]).toMatchObject({ outcome: 'failure', error: { name: 'Error', message: 'boom' } });
+    });
+});
+
+describe('redact', () => {
+    test('removes tokens and the access token embedded in URLs', () => {
+        expect(
+            redact({
+                fileReadToken: 'read-token',
+                fileWriteToken: 'write-token',
+                fileDownloadURL: 'https://api.box.com/2.0/files/42/content?access_token=read-token',
+                serviceAccount: { clientID: 'client-id', clientSecret: 'client-secret' },
+                nested: [{ url: 'https://dl.box.com/rep?access_token=abc&x=1', header: 'Bearer abc' }]
+            })
+        ).toEqual({
+            fileReadToken: '[REDACTED]',
+            fileWriteToken: '[REDACTED]',
+            fileDownloadURL: '[REDACTED]',
+            serviceAccount: { clientID: 'client-id', clientSecret: '[REDACTED]' },
+            nested: [{ url: 'https://dl.box.com/rep?access_token=[REDACTED]&x=1', header: 'Bearer [REDACTED]' }]
+        });
+    });
+
+    test('serializes errors without their request or response', () => {
+        const error = Object.assign(new Error('Unexpected API Response [404 Not Found]'), {
+            statusCode: 404,
+            request: { headers: { Authorization: 'Bearer abc' } }
+        });
+        expect(redact({ error })).toEqual({
+            error: { name: 'Error', message: 'Unexpected API Response [404 Not Found]', statusCode: 404 }
+        });
+    });
+});
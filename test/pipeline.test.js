@@ -0,0 +1,664 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { FilesReader, SkillsWriter } = require('../skills-kit-2.0');
+const { validateConfig } = require('../lib/config');
+const { createInvocationBody, createTemplateSchemas } = require('../lib/emulator');
+const { createEventCards } = require('../lib/pipeline/cards');
+const { hasShadowRoutes, resolveRoute, runPipeline } = require('../lib/pipeline');
+const { createMetadataPatch } = require('../lib/pipeline/patch');
+const { findEventsBetween, toEventName } = require('../lib/pipeline/related');
+const { clearSchemaCache, validateTemplateValues } = require('../lib/pipeline/schema');
+const { compareWithCurrent, toShadowValues } = require('../lib/pipeline/shadow');
+const { saveFile } = require('../lib/pipeline/upload');
+
+const EVENT_PLAN = [
+    'Event Name: Spring Partner Summit',
+    'Event Dates: March 3-5, 2027',
+    'Venue: Moscone Center West',
+    'Expected Attendance: 1,200',
+    'Agenda',
+    'Day 1 - Keynote',
+    'Day 2 - Workshops'
+].join('\n');
+
+const config = {
+    templates: {
+        eventDetails: {
+            scope: 'enterprise',
+            templateKey: 'eventDetails',
+            provenanceField: 'skillProvenance',
+            fields: {
+                eventName: { type: 'string' },
+                startDate: { type: 'date' },
+                endDate: { type: 'date' },
+                venue: { type: 'string' },
+                participantCount: { type: 'float' },
+                textSource: { type: 'enum', options: ['Document', 'OCR', 'OCR (low confidence)'] },
+                ocrConfidence: { type: 'float' }
+            }
+        }
+    },
+    routing: {
+        template: 'eventDetails',
+        field: 'eventName',
+        routes: [
+            { documentType: 'Event Plan', pipeline: 'eventPlan' },
+            { documentType: 'Event Brief', pipeline: 'eventPlan', outputs: { topicsCard: false, metadata: false } }
+        ],
+        defaultPipeline: 'eventPlan'
+    },
+    pipelines: {
+        eventPlan: {
+            reads: [],
+            writes: ['eventDetails'],
+            steps: ['extractEventDetails', 'publishEventCards'],
+            outputs: { topicsCard: true, summaryCard: true, agendaCard: true }
+        }
+    }
+};
+
+const [eventDetailsSchema] = createTemplateSchemas(config);
+
+const createContext = (outputs, instance) => {
+    const filesReader = new FilesReader(createInvocationBody({ id: '42', name: 'plan.txt', size: 10 }));
+    filesReader.fileReadClient = { files: { getRepresentationInfo: jest.fn().mockResolvedValue({ entries: [] }) } };
+    filesReader.getContentStream = () => Promise.resolve(Readable.from([Buffer.from(EVENT_PLAN)]));
+    const skillsWriter = new SkillsWriter(filesReader.getFileContext());
+    skillsWriter.fileWriteClient = {
+        files: {
+            getMetadata: instance
+                ? jest.fn().mockResolvedValue(instance)
+                : jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { statusCode: 404 })),
+            addMetadata: jest.fn().mockResolvedValue({}),
+            updateMetadata: jest.fn().mockResolvedValue({})
+        },
+        metadata: { getTemplateSchema: jest.fn().mockResolvedValue(eventDetailsSchema) }
+    };
+    return { filesReader, skillsWriter, documentType: 'Event Plan', outputs };
+};
+
+describe('resolveRoute', () => {
+    test('returns the outputs of the matching route', () => {
+        expect(resolveRoute(config.routing, { documentType: 'Event Brief' })).toEqual({
+            pipeline: 'eventPlan',
+            outputs: { topicsCard: false, metadata: false }
+        });
+        expect(resolveRoute(config.routing, { documentType: 'Other' })).toEqual({ pipeline: 'eventPlan', outputs: {} });
+    });
+
+    test('returns the shadow switch of a route in shadow mode', () => {
+        const routing = Object.assign({}, config.routing, {
+            routes: [
+                { documentType: 'Event Plan', pipeline: 'eventPlan', shadow: { template: 'eventDetailsShadow' } },
+                { documentType: 'Event Brief', pipeline: 'eventPlan', shadow: true },
+                { documentType: 'Memo', pipeline: 'eventPlan', shadow: false }
+            ]
+        });
+
+        expect(resolveRoute(routing, { documentType: 'Event Plan' }).shadow).toEqual({ template: 'eventDetailsShadow' });
+        expect(resolveRoute(routing, { documentType: 'Event Brief' }).shadow).toEqual({});
+        expect(resolveRoute(routing, { documentType: 'Memo' }).shadow).toBeUndefined();
+        expect(resolveRoute(routing, { documentType: 'Other' }).shadow).toBeUndefined();
+        expect(hasShadowRoutes(routing)).toBe(true);
+        expect(hasShadowRoutes(config.routing)).toBe(false);
+    });
+});
+
+describe('toEventName', () => {
+    test('matches rosters with the event plans named after the same event', () => {
+        expect(toEventName('Spring Gala - Attendee Roster.xlsx')).toBe('spring gala');
+        expect(toEventName('spring_gala_event_plan.docx')).toBe('spring gala');
+        expect(toEventName('Spring Gala (Registrations).csv')).toBe('spring gala');
+        expect(toEventName('Roster.csv')).toBe('roster');
+    });
+});
+
+describe('validateConfig outputs', () => {
+    test('rejects unknown outputs and non-boolean switches', () => {
+        const invalid = JSON.parse(JSON.stringify(config));
+        invalid.pipelines.eventPlan.outputs = { facesCard: true, agendaCard: 'yes' };
+        invalid.routing.routes[0].outputs = [];
+        expect(validateConfig(invalid)).toEqual([
+            'pipelines.eventPlan.outputs.facesCard is not one of metadata, topicsCard, summaryCard, agendaCard, complianceCard, rosterCard, calendarFile, conflictCard',
+            'pipelines.eventPlan.outputs.agendaCard must be true or false',
+            'routing.routes[0].outputs must be an object'
+        ]);
+    });
+});
+
+describe('validateConfig cards', () => {
+    test('accepts the merge and keepHistory switches only', () => {
+        expect(validateConfig(Object.assign({}, config, { cards: { merge: true, keepHistory: false } }))).toEqual([]);
+        expect(validateConfig(Object.assign({}, config, { cards: { merge: 'yes', replace: true } }))).toEqual([
+            'cards.merge must be true or false',
+            'cards.replace is not one of merge, keepHistory'
+        ]);
+    });
+});
+
+describe('validateConfig calendar', () => {
+    test('accepts IANA time zone names only', () => {
+        expect(validateConfig(Object.assign({}, config, { calendar: { timeZone: 'Europe/Berlin' } }))).toEqual([]);
+        expect(validateConfig(Object.assign({}, config, { calendar: { timeZone: 'Pacific Time' } }))).toEqual([
+            'calendar.timeZone must be an IANA time zone name, such as America/New_York'
+        ]);
+    });
+});
+
+describe('validateConfig conflicts', () => {
+    test('accepts a folder id to search below', () => {
+        expect(validateConfig(Object.assign({}, config, { conflicts: { folderId: '12345' } }))).toEqual([]);
+        expect(validateConfig(Object.assign({}, config, { conflicts: { folderId: 'Events' } }))).toEqual([
+            'conflicts.folderId must be the id of a Box folder'
+        ]);
+    });
+
+    // the pipeline checks the plans for conflicts on the template it writes
+    const withConflicts = (conflicts, pipeline) => {
+        const eventPlan = Object.assign({}, config.pipelines.eventPlan, { steps: ['extractEventDetails', 'checkConflicts'] });
+        return Object.assign({}, config, {
+            conflicts,
+            pipelines: { eventPlan: Object.assign(eventPlan, pipeline) }
+        });
+    };
+
+    test('accepts an approval filter on a field of the template the plans are compared on', () => {
+        const withApproval = (approval) => withConflicts({ approval });
+        expect(validateConfig(withApproval({ field: 'textSource', value: 'Document' }))).toEqual([]);
+        expect(validateConfig(withApproval({ field: 'approvalStatus', value: 'Approved' }))).toEqual([
+            'conflicts.approval.field "approvalStatus" is not a field of template eventDetails'
+        ]);
+        expect(validateConfig(withApproval({ field: 'textSource' }))).toEqual([
+            'conflicts.approval must be an object with a field and a non-empty string value'
+        ]);
+    });
+
+    test('compares the plans on conflicts.template, which the pipeline must write', () => {
+        const venueBooking = Object.assign({}, config.templates.eventDetails, { templateKey: 'venueBooking' });
+        const templates = Object.assign({ venueBooking }, config.templates);
+        const approval = { field: 'approvalStatus', value: 'Approved' };
+        const withTemplate = (conflicts, writes) =>
+            Object.assign(withConflicts(conflicts, { writes }), { templates });
+
+        expect(validateConfig(withTemplate({ template: 'venueBooking' }, ['eventDetails', 'venueBooking']))).toEqual([]);
+        expect(validateConfig(withTemplate({ template: 'venueBooking', approval }, ['venueBooking']))).toEqual([
+            'conflicts.approval.field "approvalStatus" is not a field of template venueBooking'
+        ]);
+        expect(validateConfig(withTemplate({ template: 'venueBooking' }, ['eventDetails']))).toEqual([
+            'pipelines.eventPlan must write template venueBooking for its checkConflicts step'
+        ]);
+        expect(validateConfig(withTemplate({}, ['eventDetails', 'venueBooking']))).toEqual([
+            'conflicts.template must be set for the checkConflicts step of pipelines.eventPlan'
+        ]);
+        expect(validateConfig(withTemplate({ template: 'booking' }, ['venueBooking']))).toEqual([
+            'conflicts.template "booking" is not a configured template'
+        ]);
+    });
+
+    test('needs the venue and dates on the template the plans are compared on', () => {
+        const fields = { eventName: { type: 'string' }, startDate: { type: 'date' } };
+        const eventDetails = Object.assign({}, config.templates.eventDetails, { fields });
+        const withFields = Object.assign(withConflicts(undefined), { templates: { eventDetails } });
+
+        expect(validateConfig(withFields)).toEqual([
+            'template eventDetails must declare venue to be checked for conflicts',
+            'template eventDetails must declare endDate to be checked for conflicts'
+        ]);
+    });
+});
+
+describe('findEventsBetween', () => {
+    beforeEach(() => clearSchemaCache());
+
+    test('only finds the plans with the approval value when there is an approval filter', async () => {
+        const fields = Object.assign(
+            { approvalStatus: { type: 'enum', options: ['Draft', 'Approved'] } },
+            config.templates.eventDetails.fields
+        );
+        const eventDetails = Object.assign({}, config.templates.eventDetails, { fields });
+        const instance = { venue: 'Pier 27', startDate: '2027-06-01T00:00:00.000Z' };
+        const entry = { type: 'file', id: '7', name: 'gala.docx', metadata: { enterprise: { eventDetails: instance } } };
+        const client = {
+            metadata: {
+                getTemplateSchema: jest.fn().mockResolvedValue(eventDetailsSchema),
+                query: jest.fn().mockResolvedValue({ entries: [entry] })
+            }
+        };
+
+        const events = await findEventsBetween(client, { templates: { eventDetails } }, instance, {
+            template: 'eventDetails',
+            folderId: '900',
+            approval: { field: 'approvalStatus', value: 'Approved' }
+        });
+
+        expect(events).toEqual([Object.assign({ fileId: '7', name: 'gala.docx' }, instance)]);
+        const [from, folderId, query] = client.metadata.query.mock.calls[0];
+        expect([from, folderId]).toEqual(['enterprise.eventDetails', '900']);
+        expect(query.query).toMatch(/ AND approvalStatus = :approval$/);
+        expect(query.query_params).toMatchObject({ approval: 'Approved' });
+    });
+});
+
+describe('validateConfig roster', () => {
+    test('needs the document type of the event plans for the roster step', () => {
+        const withRoster = (roster) => {
+            const pipelines = Object.assign({}, config.pipelines, {
+                roster: { reads: [], writes: ['eventDetails'], steps: ['countRosterAttendees'] }
+            });
+            return Object.assign({}, config, { pipelines, roster });
+        };
+        expect(validateConfig(withRoster({ planDocumentType: 'Event Plan', eventKeyField: 'venue' }))).toEqual([]);
+        expect(validateConfig(withRoster(undefined))).toEqual([
+            'roster must be configured for the countRosterAttendees step of pipelines.roster'
+        ]);
+        expect(validateConfig(withRoster({ planDocumentType: 'Plan', eventKeyField: 'eventKey' }))).toEqual([
+            'roster.planDocumentType "Plan" is not the documentType of a route',
+            'roster.eventKeyField "eventKey" is not a field of template eventDetails'
+        ]);
+    });
+});
+
+describe('validateConfig shadow', () => {
+    test('accepts a side-car template declaring the comparison fields', () => {
+        const shadowed = (shadow, templates = {}) => {
+            const candidate = JSON.parse(JSON.stringify(config));
+            Object.assign(candidate.templates, templates);
+            candidate.routing.routes[0].shadow = shadow;
+            return candidate;
+        };
+        const sideCar = (fields) => ({
+            eventDetailsShadow: {
+                scope: 'enterprise',
+                templateKey: 'eventDetailsShadow',
+                fields: fields.reduce((result, field) => Object.assign(result, { [field]: { type: 'string' } }), {})
+            }
+        });
+        const allFields = ['shadowPipeline', 'agreementRate', 'changedFields', 'shadowChanges', 'comparedAt'];
+
+        expect(validateConfig(shadowed(true))).toEqual([]);
+        expect(validateConfig(shadowed({ template: 'eventDetailsShadow' }, sideCar(allFields)))).toEqual([]);
+        expect(validateConfig(shadowed('yes'))).toEqual(['routing.routes[0].shadow must be true, false or an object']);
+        expect(validateConfig(shadowed({ template: 'shadow' }))).toEqual([
+            'routing.routes[0].shadow.template "shadow" is not a configured template'
+        ]);
+        expect(validateConfig(shadowed({ template: 'eventDetailsShadow' }, sideCar(['shadowPipeline'])))).toEqual([
+            'routing.routes[0].shadow.template eventDetailsShadow is missing the fields agreementRate, changedFields, shadowChanges, comparedAt'
+        ]);
+    });
+});
+
+describe('saveFile', () => {
+    const uploaded = (id) => Promise.resolve({ total_count: 1, entries: [{ type: 'file', id }] });
+    const boxError = (statusCode, body) => Object.assign(new Error('Box error'), { statusCode, response: { body } });
+    const createClient = () => ({
+        files: { uploadFile: jest.fn(() => uploaded('new')), uploadNewFileVersion: jest.fn((id) => uploaded(id)) }
+    });
+    const file = { parentId: '5', name: 'plan.ics', content: Buffer.from('BEGIN:VCALENDAR') };
+
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('uploads a new version of the file saved before, or a new file when it was deleted', async () => {
+        const client = createClient();
+        await expect(saveFile(client, Object.assign({ fileId: '9' }, file))).resolves.toEqual({ type: 'file', id: '9' });
+        expect(client.files.uploadFile).not.toHaveBeenCalled();
+
+        client.files.uploadNewFileVersion.mockRejectedValueOnce(boxError(404, { code: 'not_found' }));
+        await expect(saveFile(client, Object.assign({ fileId: '9' }, file))).resolves.toEqual({ type: 'file', id: 'new' });
+        expect(client.files.uploadFile).toHaveBeenCalledWith('5', 'plan.ics', file.content);
+    });
+
+    test('uploads a new version of a file with the same name in the folder', async () => {
+        const client = createClient();
+        client.files.uploadFile.mockRejectedValueOnce(
+            boxError(409, { code: 'item_name_in_use', context_info: { conflicts: { type: 'file', id: '12' } } })
+        );
+        await expect(saveFile(client, file)).resolves.toEqual({ type: 'file', id: '12' });
+
+        client.files.uploadFile.mockRejectedValueOnce(boxError(403, { code: 'access_denied_insufficient_permissions' }));
+        await expect(saveFile(client, file)).rejects.toMatchObject({ name: 'AccessDeniedError' });
+    });
+});
+
+describe('createEventCards', () => {
+    const writer = new SkillsWriter(
+        new FilesReader(createInvocationBody({ id: '42', name: 'plan.txt', size: 10 })).getFileContext()
+    );
+    const extracted = {
+        eventDetails: {
+            startDate: '2027-03-03T00:00:00.000Z',
+            endDate: '2027-03-05T00:00:00.000Z',
+            venue: 'Moscone Center West',
+            participantCount: 1200
+        },
+        keyTerms: ['Partner', 'Summit'],
+        agenda: ['Day 1 - Keynote']
+    };
+
+    test('builds topics, summary and agenda cards', () => {
+        const cards = createEventCards(writer, extracted, { topicsCard: true, summaryCard: true, agendaCard: true });
+        expect(cards.map((card) => [card.skill_card_type, card.skill_card_title.message])).toEqual([
+            ['keyword', 'Topics'],
+            ['keyword', 'Event Summary'],
+            ['transcript', 'Agenda']
+        ]);
+        expect(cards[1].entries.map((entry) => entry.text)).toEqual([
+            'Date: March 3, 2027 – March 5, 2027',
+            'Venue: Moscone Center West',
+            'Participants: 1,200'
+        ]);
+    });
+
+    test('warns on the summary card when the details were read with low OCR confidence', () => {
+        const textSource = { textSource: 'OCR (low confidence)', ocrConfidence: 54 };
+        const [summary] = createEventCards(writer, Object.assign({}, extracted, { textSource }), { summaryCard: true });
+        expect(summary.entries.map((entry) => entry.text)).toContain(
+            'Read by OCR with 54% confidence, check against the document'
+        );
+    });
+
+    test('leaves out cards that are switched off or have no entries', () => {
+        const cards = createEventCards(
+            writer,
+            Object.assign({}, extracted, { agenda: [] }),
+            { topicsCard: false, summaryCard: true, agendaCard: true }
+        );
+        expect(cards.map((card) => card.skill_card_title.message)).toEqual(['Event Summary']);
+    });
+});
+
+describe('validateTemplateValues', () => {
+    const schema = {
+        templateKey: 'eventDetails',
+        fields: [
+            { key: 'startDate', type: 'date' },
+            { key: 'participantCount', type: 'float' },
+            { key: 'venue', type: 'string' },
+            { key: 'format', type: 'enum', options: [{ key: 'In Person' }, { key: 'Virtual' }] },
+            { key: 'tracks', type: 'multiSelect', options: [{ key: 'Sales' }, { key: 'Product' }] }
+        ]
+    };
+
+    beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('coerces dates, numbers and options to what the template accepts', () => {
+        expect(
+            validateTemplateValues(schema, {
+                startDate: 'March 3, 2027',
+                participantCount: 'approximately 1,200',
+                venue: ' Pier 27 ',
+                format: 'in person',
+                tracks: 'sales; PRODUCT'
+            })
+        ).toEqual({
+            values: {
+                startDate: '2027-03-03T00:00:00.000Z',
+                participantCount: 1200,
+                venue: 'Pier 27',
+                format: 'In Person',
+                tracks: ['Sales', 'Product']
+            },
+            problems: []
+        });
+        expect(validateTemplateValues(schema, { startDate: '2027-01-20' }).values).toEqual({
+            startDate: '2027-01-20T00:00:00.000Z'
+        });
+    });
+
+    test('leaves out and reports values that do not match', () => {
+        const checked = validateTemplateValues(schema, {
+            startDate: 'next spring',
+            participantCount: 'lots',
+            format: 'Hybrid',
+            budget: 5000,
+            venue: 'Pier 27'
+        });
+        expect(checked.values).toEqual({ venue: 'Pier 27' });
+        expect(checked.problems.map((problem) => problem.message)).toEqual([
+            'startDate: "next spring" is not a date',
+            'participantCount: "lots" is not a number',
+            'format: "Hybrid" is not one of In Person, Virtual',
+            'budget: 5000 is not a field of the template'
+        ]);
+    });
+});
+
+describe('createMetadataPatch', () => {
+    test('adds missing fields and tests and replaces changed ones, leaving the rest alone', () => {
+        const instance = { $version: 3, eventName: 'Summit', venue: 'Pier 27', budget: 5000 };
+        expect(createMetadataPatch(instance, { eventName: 'Summit', venue: 'Pier 70', 'a/b': 1 })).toEqual([
+            { op: 'test', path: '/venue', value: 'Pier 27' },
+            { op: 'replace', path: '/venue', value: 'Pier 70' },
+            { op: 'add', path: '/a~1b', value: 1 }
+        ]);
+        expect(createMetadataPatch(instance, { eventName: 'Summit' })).toEqual([]);
+    });
+});
+
+describe('runPipeline metadata updates', () => {
+    beforeEach(() => {
+        clearSchemaCache();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    const provenance = (values) => JSON.stringify({ requestId: 'earlier', fileVersionId: '1', values });
+
+    test('patches only the changed fields and keeps fields edited since the provenance marker', async () => {
+        const previous = { eventName: 'Spring Partner Summit', participantCount: 1000, venue: 'Moscone Center' };
+        const instance = Object.assign({}, previous, { participantCount: 950, skillProvenance: provenance(previous) });
+        const context = await runPipeline('eventPlan', createContext({ metadata: true }, instance), config);
+
+        const [, , , patch] = context.skillsWriter.fileWriteClient.files.updateMetadata.mock.calls[0];
+        expect(patch.filter((operation) => operation.op !== 'test').map((operation) => operation.path)).toEqual([
+            '/venue',
+            '/startDate',
+            '/endDate',
+            '/textSource',
+            '/skillProvenance'
+        ]);
+        expect(context.changes.eventDetails).toContainEqual({
+            field: 'venue',
+            from: 'Moscone Center',
+            to: 'Moscone Center West'
+        });
+        const marker = JSON.parse(patch[patch.length - 1].value);
+        expect(marker).toMatchObject({ fileVersionId: expect.any(String) });
+        expect(marker.values).toMatchObject({ participantCount: 1000, venue: 'Moscone Center West' });
+    });
+
+    test('works out the changes without writing them in a dry run, and compares them with the current metadata', async () => {
+        const previous = { eventName: 'Spring Partner Summit', participantCount: 1200, venue: 'Moscone Center' };
+        const instance = Object.assign({}, previous, { skillProvenance: provenance(previous) });
+        const context = createContext({ metadata: true }, instance);
+        Object.assign(context, { dryRun: true, metadata: { eventDetails: previous } });
+
+        await runPipeline('eventPlan', context, config);
+
+        expect(context.skillsWriter.fileWriteClient.files.updateMetadata).not.toHaveBeenCalled();
+        expect(context.changes.eventDetails.map((change) => change.field)).toEqual([
+            'venue',
+            'startDate',
+            'endDate',
+            'textSource'
+        ]);
+        const comparison = compareWithCurrent(context, config);
+        expect(comparison).toMatchObject({
+            pipeline: 'eventPlan',
+            compared: [
+                'eventDetails.eventName',
+                'eventDetails.startDate',
+                'eventDetails.endDate',
+                'eventDetails.venue',
+                'eventDetails.participantCount',
+                'eventDetails.textSource'
+            ],
+            disagreed: ['eventDetails.startDate', 'eventDetails.endDate', 'eventDetails.venue', 'eventDetails.textSource'],
+            agreement: 2 / 6
+        });
+        expect(toShadowValues(comparison, new Date('2027-01-01T00:00:00.000Z'))).toEqual({
+            shadowPipeline: 'eventPlan',
+            agreementRate: 33.3,
+            changedFields: 'eventDetails.startDate, eventDetails.endDate, eventDetails.venue, eventDetails.textSource',
+            shadowChanges: JSON.stringify(context.changes),
+            comparedAt: '2027-01-01T00:00:00.000Z'
+        });
+    });
+
+    test('leaves the fields kept as manual edits out of the comparison with the current metadata', async () => {
+        const previous = { eventName: 'Spring Partner Summit', participantCount: 1200, venue: 'Moscone Center West' };
+        const current = Object.assign({}, previous, { participantCount: 950 });
+        const instance = Object.assign({}, current, { skillProvenance: provenance(previous) });
+        const context = createContext({ metadata: true }, instance);
+        Object.assign(context, { dryRun: true, metadata: { eventDetails: current } });
+
+        await runPipeline('eventPlan', context, config);
+
+        const comparison = compareWithCurrent(context, config);
+        expect(comparison).toMatchObject({
+            compared: [
+                'eventDetails.eventName',
+                'eventDetails.startDate',
+                'eventDetails.endDate',
+                'eventDetails.venue',
+                'eventDetails.textSource'
+            ],
+            disagreed: ['eventDetails.startDate', 'eventDetails.endDate', 'eventDetails.textSource'],
+            kept: ['eventDetails.participantCount'],
+            agreement: 2 / 5
+        });
+    });
+
+    test('does not write when nothing changed', async () => {
+        const first = await runPipeline('eventPlan', createContext({ metadata: true }), config);
+        const [, , , values] = first.skillsWriter.fileWriteClient.files.addMetadata.mock.calls[0];
+
+        const context = await runPipeline('eventPlan', createContext({ metadata: true }, values), config);
+
+        expect(context.skillsWriter.fileWriteClient.files.updateMetadata).not.toHaveBeenCalled();
+        expect(context.changes.eventDetails).toEqual([]);
+    });
+});
+
+describe('runPipeline outputs', () => {
+    beforeEach(() => {
+        clearSchemaCache();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test('publishes the cards and writes the metadata switched on by the pipeline', async () => {
+        const context = await runPipeline('eventPlan', createContext(), config);
+        expect(context.cards.map((card) => card.skill_card_title.message)).toEqual([
+            'Topics',
+            'Event Summary',
+            'Agenda'
+        ]);
+        expect(context.skillsWriter.fileWriteClient.files.addMetadata).toHaveBeenCalledTimes(1);
+        expect(context.written.eventDetails).toMatchObject({ eventName: 'Spring Partner Summit', textSource: 'Document' });
+    });
+
+    test('writes the values that match the template schema and lists the others on a status card', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const context = createContext();
+        const schema = JSON.parse(JSON.stringify(eventDetailsSchema));
+        schema.fields.find((field) => field.key === 'venue').type = 'date';
+        context.skillsWriter.fileWriteClient.metadata.getTemplateSchema.mockResolvedValue(schema);
+
+        await runPipeline('eventPlan', context, config);
+
+        const [, , , values] = context.skillsWriter.fileWriteClient.files.addMetadata.mock.calls[0];
+        expect(values).toMatchObject({ eventName: 'Spring Partner Summit', participantCount: 1200 });
+        expect(values).not.toHaveProperty('venue');
+        expect(context.written.eventDetails).not.toHaveProperty('venue');
+        const statusCard = context.cards[context.cards.length - 1];
+        expect(statusCard.skill_card_type).toBe('status');
+        expect(statusCard.status.message).toBe(
+            '1 value was not written to the metadata: venue: "Moscone Center West" is not a date'
+        );
+    });
+
+    test('checks the event details against the rules and lists the findings on a compliance card', async () => {
+        const compliance = JSON.parse(JSON.stringify(config));
+        Object.assign(compliance.templates.eventDetails.fields, {
+            complianceStatus: { type: 'enum', options: ['Pass', 'Fail', 'Incomplete'] },
+            complianceViolations: { type: 'string' }
+        });
+        compliance.pipelines.eventPlan.steps.push('checkCompliance');
+        compliance.rules = [
+            {
+                id: 'catering',
+                description: 'Catering must be specified for more than 100 attendees',
+                when: { field: 'participantCount', operator: 'gt', value: 100 },
+                field: 'catering',
+                operator: 'exists'
+            },
+            {
+                id: 'venueCapacity',
+                description: 'Participant count must not exceed the venue capacity',
+                field: 'participantCount',
+                operator: 'lte',
+                valueField: 'venueCapacity'
+            }
+        ];
+        const context = createContext({ complianceCard: true });
+        context.skillsWriter.fileWriteClient.metadata.getTemplateSchema.mockResolvedValue(
+            createTemplateSchemas(compliance)[0]
+        );
+
+        await runPipeline('eventPlan', context, compliance);
+
+        expect(context.written.eventDetails).toMatchObject({
+            complianceStatus: 'Fail',
+            complianceViolations: 'Catering must be specified for more than 100 attendees'
+        });
+        const complianceCard = context.cards[context.cards.length - 1];
+        expect(complianceCard.skill_card_title.message).toBe('Compliance');
+        expect(complianceCard.entries.map((entry) => entry.text)).toEqual([
+            'Fail: 1 of 1 rules checked were violated',
+            'Violated: Catering must be specified for more than 100 attendees',
+            'Not checked: Participant count must not exceed the venue capacity (no venueCapacity found)'
+        ]);
+    });
+
+    test('checks the rules against the values kept because they were edited by hand', async () => {
+        const compliance = JSON.parse(JSON.stringify(config));
+        Object.assign(compliance.templates.eventDetails.fields, {
+            venueCapacity: { type: 'float' },
+            complianceStatus: { type: 'enum', options: ['Pass', 'Fail', 'Incomplete'] },
+            complianceViolations: { type: 'string' }
+        });
+        compliance.pipelines.eventPlan.steps.push('checkCompliance');
+        compliance.rules = [
+            {
+                id: 'venueCapacity',
+                description: 'Participant count must not exceed the venue capacity',
+                field: 'participantCount',
+                operator: 'lte',
+                valueField: 'venueCapacity'
+            }
+        ];
+        // the plan says 1,200 attendees, corrected by hand to 900 since the skill wrote it
+        const previous = { eventName: 'Spring Partner Summit', participantCount: 1200 };
+        const skillProvenance = JSON.stringify({ requestId: 'earlier', fileVersionId: '1', values: previous });
+        const instance = Object.assign({}, previous, { participantCount: 900, venueCapacity: 1000, skillProvenance });
+        const context = createContext({ metadata: true }, instance);
+        context.skillsWriter.fileWriteClient.metadata.getTemplateSchema.mockResolvedValue(
+            createTemplateSchemas(compliance)[0]
+        );
+
+        await runPipeline('eventPlan', context, compliance);
+
+        expect(context.extracted.compliance.status).toBe('Pass');
+        expect(context.written.eventDetails).toMatchObject({ complianceStatus: 'Pass', complianceViolations: '' });
+    });
+
+    test('route outputs override the pipeline outputs', async () => {
+        const context = await runPipeline('eventPlan', createContext({ topicsCard: false, metadata: false }), config);
+        expect(context.cards.map((card) => card.skill_card_title.message)).toEqual(['Event Summary', 'Agenda']);
+        expect(context.skillsWriter.fileWriteClient.files.addMetadata).not.toHaveBeenCalled();
+        expect(context.written).toEqual({});
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { evaluateRules, validateRules } = require('../lib/rules');
+
+const NOW = Date.parse('2027-01-01T00:00:00.000Z');
+
+const rules = [
+    {
+        id: 'venueCapacity',
+        description: 'Participant count must not exceed the venue capacity',
+        field: 'participantCount',
+        operator: 'lte',
+        valueField: 'venueCapacity'
+    },
+    {
+        id: 'leadTime',
+        description: 'The event must start at least 30 days from now',
+        field: 'startDate',
+        operator: 'atLeastDaysAhead',
+        value: 30
+    },
+    {
+        id: 'catering',
+        description: 'Catering must be specified for more than 100 attendees',
+        when: { field: 'participantCount', operator: 'gt', value: 100 },
+        field: 'catering',
+        operator: 'exists'
+    },
+    {
+        id: 'budgetRange',
+        description: 'Budget must be between $5,000 and $500,000',
+        field: 'budget',
+        operator: 'between',
+        value: [5000, 500000]
+    }
+];
+
+const outcomes = (compliance) => compliance.results.map((result) => [result.id, result.outcome]);
+
+describe('evaluateRules', () => {
+    test('passes when every rule that applies holds', () => {
+        const compliance = evaluateRules(
+            rules,
+            { participantCount: 80, venueCapacity: 100, startDate: '2027-03-01T00:00:00.000Z', budget: 42500 },
+            { now: NOW }
+        );
+        expect(compliance.status).toBe('Pass');
+        expect(outcomes(compliance)).toEqual([
+            ['venueCapacity', 'passed'],
+            ['leadTime', 'passed'],
+            ['catering', 'notApplicable'],
+            ['budgetRange', 'passed']
+        ]);
+    });
+
+    test('fails on any violated rule, and an exists rule fails on a missing value', () => {
+        const compliance = evaluateRules(
+            rules,
+            { participantCount: 1200, venueCapacity: 1000, startDate: '2027-01-20T00:00:00.000Z', budget: 2000 },
+            { now: NOW }
+        );
+        expect(compliance.status).toBe('Fail');
+        expect(outcomes(compliance)).toEqual([
+            ['venueCapacity', 'failed'],
+            ['leadTime', 'failed'],
+            ['catering', 'failed'],
+            ['budgetRange', 'failed']
+        ]);
+    });
+
+    test('skips rules whose values are missing and reports them as incomplete', () => {
+        const compliance = evaluateRules(rules, { participantCount: 80, budget: 42500 }, { now: NOW });
+        expect(compliance.status).toBe('Incomplete');
+        expect(compliance.results.filter((result) => result.outcome === 'skipped')).toEqual([
+            {
+                id: 'venueCapacity',
+                description: 'Participant count must not exceed the venue capacity',
+                outcome: 'skipped',
+                missing: ['venueCapacity']
+            },
+            {
+                id: 'leadTime',
+                description: 'The event must start at least 30 days from now',
+                outcome: 'skipped',
+                missing: ['startDate']
+            }
+        ]);
+    });
+});
+
+describe('validateRules', () => {
+    test('accepts the rules of the skill configuration', () => {
+        expect(validateRules(rules)).toEqual([]);
+    });
+
+    test('reports rules that cannot be evaluated', () => {
+        expect(
+            validateRules([
+                { id: 'a', description: 'A', field: 'budget', operator: 'within', value: 1 },
+                { id: 'a', description: 'B', field: 'budget', operator: 'between', value: 5000 },
+                { id: 'c', field: 'catering', operator: 'exists', when: { field: 'participantCount', operator: 'gt' } }
+            ])
+        ).toEqual([
+            'rules[0].operator must be one of eq, ne, lt, lte, gt, gte, between, in, exists, atLeastDaysAhead',
+            'rules[1].id "a" is used by another rule',
+            'rules[1].value is not valid for operator between',
+            'rules[2].description must be a non-empty string',
+            'rules[2].when must set value or valueField'
+        ]);
+        expect(validateRules({})).toEqual(['rules must be a list']);
+    });
+
+    test('only compares with the value of another field for operators that take any value', () => {
+        expect(
+            validateRules([
+                { id: 'a', description: 'A', field: 'participantCount', operator: 'between', valueField: 'venueCapacity' },
+                { id: 'b', description: 'B', field: 'venue', operator: 'in', valueField: 'approvedVenues' },
+                { id: 'c', description: 'C', field: 'participantCount', operator: 'lte', valueField: 'venueCapacity' }
+            ])
+        ).toEqual([
+            'rules[0].valueField cannot be used with operator between, set value instead',
+            'rules[1].valueField cannot be used with operator in, set value instead'
+        ]);
+    });
+});
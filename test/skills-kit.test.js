@@ -0,0 +1,532 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const jimp = require('jimp');
+const {
+    FilesReader,
+    SkillsWriter,
+    SkillsErrorEnum,
+    cardTitle,
+    cardType,
+    runWithDeadline,
+    skillInvocationStatus,
+    usageUnit
+} = require('../skills-kit-2.0');
+const { createInvocationBody } = require('../lib/emulator/invocation');
+const { createMockBoxApi } = require('../lib/emulator/mock-box-api');
+
+const invocationBody = (file = {}) =>
+    createInvocationBody(
+        Object.assign({ id: '42', name: 'Event Plan.PDF', size: 2 * 1048576, versionId: '4201' }, file),
+        { requestId: 'request-1', skillId: 7, readToken: 'read-token', writeToken: 'write-token' }
+    );
+
+/** Client stub for putData: records the skill_invocations calls instead of sending them */
+const createWriteClientStub = () => {
+    const calls = [];
+    return {
+        calls,
+        put: jest.fn((apiPath, params) => {
+            calls.push({ apiPath, body: params.body });
+            return Promise.resolve({ statusCode: 200 });
+        }),
+        wrapWithDefaultHandler: (method) => (apiPath, params, callback) => {
+            const result = method(apiPath, params);
+            if (callback) result.then((response) => callback(null, response));
+            return result;
+        }
+    };
+};
+
+describe('FilesReader', () => {
+    test('reads file context from a skill invocation body string', () => {
+        const reader = new FilesReader(JSON.stringify(invocationBody()));
+        expect(reader.getFileContext()).toEqual({
+            requestId: 'request-1',
+            skillId: '7',
+            fileId: '42',
+            fileVersionId: '4201',
+            fileName: 'Event Plan.PDF',
+            fileSize: 2 * 1048576,
+            fileFormat: 'pdf',
+            fileType: 'DOCUMENT',
+            fileDownloadURL: 'https://api.box.com/2.0/files/42/content?access_token=read-token',
+            fileReadToken: 'read-token',
+            fileWriteToken: 'write-token',
+            tokenExpiresAt: expect.any(Number)
+        });
+    });
+
+    test('tells when the invocation tokens expire, and reads with another client once told to', () => {
+        const createdAt = new Date('2026-03-02T10:00:00Z');
+        const body = createInvocationBody({ id: '42', name: 'plan.txt', size: 1 }, { createdAt });
+        body.token.write.expires_in = 1800;
+        const reader = new FilesReader(body);
+
+        expect(reader.tokenExpiresAt).toBe(Date.parse('2026-03-02T10:30:00Z'));
+        expect(reader.isTokenExpired(Date.parse('2026-03-02T10:29:59Z'))).toBe(false);
+        expect(reader.isTokenExpired(Date.parse('2026-03-02T10:30:00Z'))).toBe(true);
+        expect(reader.isTokenExpired()).toBe(true);
+        expect(new FilesReader(Object.assign({}, body, { created_at: undefined })).isTokenExpired()).toBe(false);
+
+        const serviceClient = {};
+        expect(reader.useClient(serviceClient).fileReadClient).toBe(serviceClient);
+        const writer = new SkillsWriter(reader.getFileContext());
+        expect(writer.useClient(serviceClient).fileWriteClient).toBe(serviceClient);
+    });
+
+    test('tells when the event the invocation is for happened, falling back to when the invocation was created', () => {
+        const createdAt = new Date('2026-03-02T10:00:00Z');
+        const body = createInvocationBody({ id: '42', name: 'plan.txt', size: 1 }, { createdAt });
+        body.event.created_at = '2026-03-02T09:58:00Z';
+
+        expect(new FilesReader(body).eventTime).toBe(Date.parse('2026-03-02T09:58:00Z'));
+        expect(new FilesReader(Object.assign({}, body, { event: undefined })).eventTime).toBe(createdAt.getTime());
+        expect(new FilesReader(Object.assign({}, body, { event: undefined, created_at: undefined })).eventTime).toBeUndefined();
+    });
+
+    test.each([
+        ['clip.mp4', 'VIDEO'],
+        ['call.mp3', 'AUDIO'],
+        ['scan.jpeg', 'IMAGE'],
+        ['notes.docx', 'DOCUMENT'],
+        ['no-extension', 'DOCUMENT']
+    ])('classifies %s as %s', (name, fileType) => {
+        expect(new FilesReader(invocationBody({ name })).fileType).toBe(fileType);
+    });
+
+    test('validates format and size', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const reader = new FilesReader(invocationBody());
+        expect(reader.validateFormat(['pdf', 'docx'])).toBe(true);
+        expect(() => reader.validateFormat(['txt'])).toThrow(SkillsErrorEnum.INVALID_FILE_FORMAT);
+        expect(reader.validateSize(2)).toBe(true);
+        expect(() => reader.validateSize(1)).toThrow(SkillsErrorEnum.INVALID_FILE_SIZE);
+        console.error.mockRestore();
+    });
+
+    test('getContentStream resolves to a stream over the file content', async () => {
+        const reader = new FilesReader(invocationBody());
+        const source = new PassThrough();
+        reader.fileReadClient = { files: { getReadStream: jest.fn(() => Promise.resolve(source)) } };
+        source.end('event plan');
+
+        const content = await reader.getContentBinary();
+        expect(reader.fileReadClient.files.getReadStream).toHaveBeenCalledWith('42', null);
+        expect(content).toBe('event plan');
+    });
+
+    test('getBasicFormatFileURL polls pending representations until they are ready', async () => {
+        const reader = new FilesReader(invocationBody());
+        const get = jest
+            .fn()
+            .mockResolvedValueOnce({ statusCode: 200, body: { status: { state: 'pending' } } })
+            .mockResolvedValueOnce({
+                statusCode: 200,
+                body: { status: { state: 'success' }, content: { url_template: 'https://dl.test/rep/{+asset_path}' } }
+            });
+        reader.fileReadClient = {
+            get,
+            files: {
+                getRepresentationInfo: jest.fn().mockResolvedValue({
+                    entries: [{ status: { state: 'pending' }, info: { url: 'https://api.test/info' } }]
+                })
+            }
+        };
+
+        await expect(reader.getBasicFormatFileURL()).resolves.toBe('https://dl.test/rep/?access_token=read-token');
+        expect(get).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('FilesReader.getExtractedText', () => {
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    const repEntry = (state) => ({
+        representation: 'extracted_text',
+        status: { state },
+        content: { url_template: 'https://dl.test/extracted/{+asset_path}' },
+        info: { url: 'https://api.test/info' }
+    });
+
+    const createReader = (entries, text) => {
+        const reader = new FilesReader(invocationBody({ name: 'plan.pptx' }));
+        const get = jest.fn((url) => {
+            if (url === 'https://api.test/info') {
+                return Promise.resolve({ statusCode: 200, body: repEntry('success') });
+            }
+            const stream = new PassThrough();
+            // split inside a multi-byte character, which must still decode as UTF-8
+            const bytes = Buffer.from(text);
+            stream.write(bytes.subarray(0, 5));
+            stream.end(bytes.subarray(5));
+            return Promise.resolve(stream);
+        });
+        reader.fileReadClient = { get, files: { getRepresentationInfo: jest.fn().mockResolvedValue({ entries }) } };
+        return reader;
+    };
+
+    test('downloads the representation and decodes it as UTF-8', async () => {
+        const reader = createReader([repEntry('success')], '\uFEFFCafé Ü event');
+        await expect(reader.getExtractedText()).resolves.toBe('Café Ü event');
+        expect(reader.fileReadClient.files.getRepresentationInfo).toHaveBeenCalledWith('42', '[extracted_text]');
+        expect(reader.fileReadClient.get).toHaveBeenCalledWith('https://dl.test/extracted/', { streaming: true });
+    });
+
+    test('waits for a pending representation', async () => {
+        const reader = createReader([repEntry('pending')], 'ready');
+        await expect(reader.getExtractedText()).resolves.toBe('ready');
+        expect(reader.fileReadClient.get).toHaveBeenCalledWith('https://api.test/info');
+    });
+
+    test('rejects when the representation is not ready before the deadline', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const reader = createReader([repEntry('pending')], 'late');
+        reader.fileReadClient.get.mockResolvedValueOnce({ statusCode: 200, body: repEntry('pending') });
+        await expect(reader.getExtractedText({ deadline: Date.now() + 100 })).rejects.toThrow(
+            SkillsErrorEnum.FILE_PROCESSING_ERROR
+        );
+        console.error.mockRestore();
+    });
+
+    test.each([[[]], [[repEntry('error')]]])('falls back to the original file without a representation', async (entries) => {
+        const reader = createReader(entries, 'unused');
+        const fallback = jest.fn().mockResolvedValue('parsed locally');
+        await expect(reader.getExtractedText({ fallback })).resolves.toBe('parsed locally');
+        expect(fallback).toHaveBeenCalledWith(reader);
+    });
+
+    test('rejects without a representation or fallback', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(createReader([], '').getExtractedText()).rejects.toThrow(SkillsErrorEnum.FILE_PROCESSING_ERROR);
+        console.error.mockRestore();
+    });
+
+    test('stops polling after maxPolls polls with a deadline error', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const reader = createReader([repEntry('pending')], 'late');
+        reader.fileReadClient.get.mockResolvedValue({ statusCode: 200, body: repEntry('pending') });
+        await expect(reader.getExtractedText({ maxPolls: 1 })).rejects.toMatchObject({
+            message: SkillsErrorEnum.FILE_PROCESSING_ERROR,
+            deadlineExceeded: true
+        });
+        expect(reader.fileReadClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('getExtractedTextPages splits pages on form feeds', async () => {
+        const reader = createReader([repEntry('success')], 'page one\fpage two\f');
+        await expect(reader.getExtractedTextPages()).resolves.toEqual(['page one', 'page two']);
+    });
+});
+
+describe('FilesReader.getImageRepresentation', () => {
+    test('resolves to the bytes of the JPEG representation, or null without one', async () => {
+        const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x80]);
+        const reader = new FilesReader(invocationBody({ name: 'scan.pdf' }));
+        const getRepresentationInfo = jest.fn().mockResolvedValueOnce({
+            entries: [
+                {
+                    representation: 'jpg',
+                    status: { state: 'success' },
+                    content: { url_template: 'https://dl.test/jpg/{+asset_path}' }
+                }
+            ]
+        });
+        reader.fileReadClient = {
+            get: jest.fn().mockResolvedValue(Readable.from([jpeg])),
+            files: { getRepresentationInfo }
+        };
+
+        await expect(reader.getImageRepresentation()).resolves.toEqual(jpeg);
+        expect(getRepresentationInfo).toHaveBeenCalledWith('42', '[jpg?dimensions=1024x1024]');
+
+        getRepresentationInfo.mockResolvedValueOnce({ entries: [] });
+        await expect(reader.getImageRepresentation()).resolves.toBeNull();
+    });
+});
+
+describe('Box API calls', () => {
+    let mockBoxApi;
+    let apiEndpoint;
+    const skillInvocationPuts = () =>
+        mockBoxApi.requests.filter((request) => request.method === 'PUT' && request.path.startsWith('/2.0/skill_invocations'));
+    const createWriter = () => new SkillsWriter(new FilesReader(invocationBody()).getFileContext());
+
+    beforeAll(async () => {
+        mockBoxApi = createMockBoxApi();
+        apiEndpoint = process.env.box_api_endpoint;
+        process.env.box_api_endpoint = `${await mockBoxApi.start()}/2.0`;
+    });
+
+    afterAll(() => {
+        process.env.box_api_endpoint = apiEndpoint;
+        return mockBoxApi.close();
+    });
+
+    beforeEach(() => {
+        mockBoxApi.requests.length = 0;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        mockBoxApi.clearFailures();
+        jest.restoreAllMocks();
+    });
+
+    test('are retried after a 429, waiting as long as Retry-After asks', async () => {
+        mockBoxApi.failRequests({
+            method: 'PUT',
+            pattern: /^\/2\.0\/skill_invocations\//,
+            statusCode: 429,
+            headers: { 'Retry-After': '1' }
+        });
+        const started = Date.now();
+
+        await createWriter().saveProcessingCard();
+
+        expect(Date.now() - started).toBeGreaterThanOrEqual(1000);
+        expect(skillInvocationPuts()).toHaveLength(2);
+        expect(mockBoxApi.skillInvocations.slice(-1)[0].body.status).toBe(skillInvocationStatus.PROCESSING);
+    });
+
+    test('are retried after a 5xx, until the deadline', async () => {
+        mockBoxApi.failRequests({ method: 'PUT', pattern: /^\/2\.0\/skill_invocations\//, statusCode: 503, times: 5 });
+
+        await expect(runWithDeadline(Date.now() + 50, () => createWriter().saveProcessingCard())).rejects.toMatchObject({
+            statusCode: 503,
+            deadlineExceeded: true
+        });
+        expect(skillInvocationPuts().length).toBeLessThan(5);
+    });
+
+    test('are not retried after other client errors', async () => {
+        mockBoxApi.failRequests({ method: 'PUT', pattern: /^\/2\.0\/skill_invocations\//, statusCode: 400 });
+
+        await expect(createWriter().saveProcessingCard()).rejects.toMatchObject({ statusCode: 400 });
+        expect(skillInvocationPuts()).toHaveLength(1);
+    });
+});
+
+describe('SkillsWriter', () => {
+    let writer;
+    let client;
+
+    beforeEach(() => {
+        writer = new SkillsWriter(new FilesReader(invocationBody()).getFileContext());
+        client = createWriteClientStub();
+        writer.fileWriteClient = client;
+    });
+
+    test('createTopicsCard builds a keyword card from the non-empty entries', () => {
+        const card = writer.createTopicsCard([{ text: ' venue ' }, { text: '  ' }, { text: 'budget' }]);
+        expect(card).toMatchObject({
+            type: 'skill_card',
+            skill: { type: 'service', id: '7' },
+            skill_card_type: 'keyword',
+            skill_card_title: { code: 'skills_topics', message: 'Topics' },
+            invocation: { type: 'skill_invocation', id: 'request-1' },
+            entries: [
+                { text: 'venue', type: 'text' },
+                { text: 'budget', type: 'text' }
+            ]
+        });
+    });
+
+    test('card title codes replace every space', () => {
+        const card = writer.createTranscriptsCard([{ text: 'Day 1' }], { title: 'Event Agenda Items' });
+        expect(card.skill_card_title).toEqual({ code: 'skills_event_agenda_items', message: 'Event Agenda Items' });
+    });
+
+    test('createTranscriptsCard accepts entries without appears when a duration is given', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const card = writer.createTranscriptsCard(
+            [{ text: 'no timeline' }, { text: 'timeline', appears: [{ start: 1, end: 2 }] }],
+            { duration: 5 }
+        );
+        expect(card.duration).toBe(5);
+        expect(card.entries).toHaveLength(2);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    test('createFacesCard downsizes each image to a thumbnail data URI', async () => {
+        const imagePath = path.join(os.tmpdir(), `skills-kit-face-${process.pid}.png`);
+        const image = await new Promise((resolve, reject) =>
+            // eslint-disable-next-line no-new
+            new jimp(90, 90, 0xff0000ff, (err, created) => (err ? reject(err) : resolve(created)))
+        );
+        await image.writeAsync(imagePath);
+        try {
+            const card = await writer.createFacesCard([
+                { text: 'Organizer', image_url: imagePath },
+                { text: 'Missing', image_url: path.join(os.tmpdir(), 'does-not-exist.png') }
+            ]);
+            expect(card.skill_card_type).toBe('timeline');
+            expect(card.entries[0].type).toBe('image');
+            expect(card.entries[0].image_url).toMatch(/^data:image\/png;base64,/);
+            expect(card.entries[1].image_url).toBe(path.join(os.tmpdir(), 'does-not-exist.png'));
+        } finally {
+            fs.unlinkSync(imagePath);
+        }
+    });
+
+    test('createCard builds a card of any type', () => {
+        const card = writer.createCard({ type: cardType.STATUS, title: 'Metadata Validation', status: { code: 'x' } });
+        expect(card).toMatchObject({
+            skill_card_type: 'status',
+            skill_card_title: { code: 'skills_metadata_validation', message: 'Metadata Validation' },
+            status: { code: 'x' }
+        });
+        expect(card).not.toHaveProperty('entries');
+    });
+
+    test('saveCards puts the cards with success status and default usage', async () => {
+        const card = writer.createTopicsCard([{ text: 'venue' }]);
+        await expect(writer.saveCards([card])).resolves.toEqual({ statusCode: 200 });
+        expect(client.calls).toEqual([
+            {
+                apiPath: '/skill_invocations/7',
+                body: {
+                    status: 'success',
+                    file: { type: 'file', id: '42' },
+                    metadata: { cards: [card] },
+                    usage: { unit: 'files', value: 1 }
+                }
+            }
+        ]);
+    });
+
+    test('saveCards uses valid custom usage and ignores invalid usage', async () => {
+        await writer.saveCards([], { usage: { unit: usageUnit.PAGES, value: 3 } });
+        await writer.saveCards([], { usage: { unit: 'lines', value: 3 } });
+        expect(client.calls[0].body.usage).toEqual({ unit: 'pages', value: 3 });
+        expect(client.calls[1].body.usage).toEqual({ unit: 'files', value: 1 });
+    });
+
+    test('saveProcessingCard saves a pending status card without usage', async () => {
+        await writer.saveProcessingCard();
+        const { body } = client.calls[0];
+        expect(body.status).toBe('processing');
+        expect(body.usage).toBeNull();
+        expect(body.metadata.cards[0]).toMatchObject({
+            skill_card_type: 'status',
+            status: { code: 'skills_pending_status' }
+        });
+    });
+
+    test('saveErrorCard reports permanent failures unless told the failure is transient', async () => {
+        await writer.saveErrorCard(SkillsErrorEnum.NO_INFO_FOUND);
+        await writer.saveErrorCard('not_an_error_code', {
+            message: 'Try again later',
+            failureType: skillInvocationStatus.TRANSIENT_FAILURE
+        });
+        expect(client.calls[0].body.status).toBe('permanent_failure');
+        expect(client.calls[0].body.metadata.cards[0].status).toEqual({ code: SkillsErrorEnum.NO_INFO_FOUND });
+        expect(client.calls[1].body.status).toBe('transient_failure');
+        expect(client.calls[1].body.metadata.cards[0].status).toEqual({
+            code: 'custom_error',
+            message: 'Try again later'
+        });
+    });
+
+    describe('merging cards', () => {
+        const existingCard = (skillId, type, title, requestId) => ({
+            created_at: '2026-09-01T10:00:00.000Z',
+            type: 'skill_card',
+            skill: { type: 'service', id: skillId },
+            skill_card_type: type,
+            skill_card_title: { code: `skills_${title.toLowerCase()}`, message: title },
+            invocation: { type: 'skill_invocation', id: requestId },
+            entries: []
+        });
+        const otherSkillTopics = existingCard('8', 'keyword', 'Topics', 'other-request');
+        const previousTopics = existingCard('7', 'keyword', 'Topics', 'request-0');
+        const previousSummary = existingCard('7', 'keyword', 'Summary', 'request-0');
+        const processingCard = existingCard('7', 'status', 'Status', 'request-1');
+
+        beforeEach(() => {
+            client.files = {
+                getMetadata: jest.fn().mockResolvedValue({
+                    cards: [otherSkillTopics, previousTopics, previousSummary, processingCard]
+                })
+            };
+        });
+
+        test('replaces only the cards of this skill with the same title code', async () => {
+            const card = writer.createTopicsCard([{ text: 'venue' }]);
+            await writer.saveCards([card], { merge: true });
+            expect(client.files.getMetadata).toHaveBeenCalledWith('42', 'global', 'boxSkillsCards');
+            expect(client.calls[0].body.metadata.cards).toEqual([otherSkillTopics, previousSummary, card]);
+        });
+
+        test('keeps the replaced cards of earlier file versions as history', async () => {
+            writer = new SkillsWriter(new FilesReader(invocationBody()).getFileContext(), {
+                merge: true,
+                keepHistory: true
+            });
+            writer.fileWriteClient = client;
+            const card = writer.createTopicsCard([{ text: 'venue' }]);
+            await writer.saveCards([card]);
+            expect(client.calls[0].body.metadata.cards).toEqual([
+                otherSkillTopics,
+                previousSummary,
+                card,
+                Object.assign({}, previousTopics, {
+                    skill_card_title: { code: 'skills_topics_request-0', message: 'Topics (2026-09-01)' }
+                })
+            ]);
+        });
+
+        test('replaces the cards saved with the title code earlier versions of the kit gave the title', async () => {
+            // the kit used to replace only the first space of the title
+            const previousAgenda = existingCard('7', 'transcript', 'Event Agenda Items', 'request-0');
+            previousAgenda.skill_card_title.code = 'skills_event_agenda items';
+            client.files.getMetadata.mockResolvedValue({ cards: [otherSkillTopics, previousAgenda] });
+            const card = writer.createTranscriptsCard([{ text: 'Day 1' }], { title: 'Event Agenda Items' });
+            await writer.saveCards([card], { merge: true });
+            expect(client.calls[0].body.metadata.cards).toEqual([otherSkillTopics, card]);
+        });
+
+        test('saves the cards alone when the file has none', async () => {
+            client.files.getMetadata.mockRejectedValue(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+            const card = writer.createTopicsCard([{ text: 'venue' }]);
+            await writer.saveCards([card], { merge: true });
+            expect(client.calls[0].body.metadata.cards).toEqual([card]);
+        });
+    });
+
+    test('keeps the deprecated positional and callback API working, with a warning', async () => {
+        const emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+        const callback = jest.fn();
+
+        const card = writer.createMetadataCard(cardType.TOPIC, 'Topics', undefined, [{ text: 'venue' }], 5);
+        expect(card).toMatchObject({ skill_card_type: 'keyword', skill_card_title: { code: 'skills_topics' }, duration: 5 });
+        expect(writer.createTopicsCard([{ text: 'venue' }], 5, cardTitle.TOPIC)).toMatchObject({
+            skill_card_title: { code: 'skills_topics' },
+            duration: 5
+        });
+        await writer.saveDataCards([card], callback, undefined, { unit: 'pages', value: 3 });
+        await writer.saveErrorCard('not_an_error_code', 'Try again later', callback, 'transient_failure');
+        await writer.saveProcessingCard(callback);
+
+        expect(client.calls.map((call) => call.body.status)).toEqual(['success', 'transient_failure', 'processing']);
+        expect(client.calls[0].body.usage).toEqual({ unit: 'pages', value: 3 });
+        expect(client.calls[1].body.metadata.cards[0].status).toEqual({
+            code: 'custom_error',
+            message: 'Try again later'
+        });
+        expect(callback).toHaveBeenCalledTimes(3);
+        expect(callback).toHaveBeenCalledWith(null, { statusCode: 200 });
+        expect(emitWarning.mock.calls.map((call) => call[2])).toEqual([
+            'SKILLS_KIT_DEP001',
+            'SKILLS_KIT_DEP002',
+            'SKILLS_KIT_DEP003',
+            'SKILLS_KIT_DEP004'
+        ]);
+    });
+});